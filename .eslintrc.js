@@ -18,6 +18,14 @@ module.exports = {
         "**/?(*.)+(spec|test).[j]s?(x)",
         "**/test-*.[j]s?(x)",
       ],
+    },
+    // Jest
+    {
+      files: [
+        "**/{tests,test,__tests__}/**/*.[j]s?(x)",
+        "**/?(*.)+(spec|test).[j]s?(x)",
+        "**/test-*.[j]s?(x)",
+      ],
       rules: {
         "jest/no-standalone-expect": [
           "error",
@@ -0,0 +1,125 @@
+const path = require("path");
+
+const { getImageMetadata } = require("./utils");
+
+/** @typedef {import("webpack").Compiler} Compiler */
+/** @typedef {import("webpack").AssetInfo} AssetInfo */
+/** @typedef {import("./index").Rules} Rules */
+
+/**
+ * @typedef {Object} Budget
+ * @property {Rules} [test] Names of images which are checked, all images are checked by default.
+ * @property {string | string[]} [format] Formats (extensions of names) of images which are checked, all formats are checked by default.
+ * @property {number} [maxBytes] Maximum size of an image in bytes.
+ * @property {number} [maxWidth] Maximum width of an image in pixels.
+ */
+
+/**
+ * @typedef {Object} BudgetImage
+ * @property {string} filename
+ * @property {Buffer} data
+ * @property {AssetInfo} [info]
+ */
+
+/**
+ * @param {Compiler} compiler
+ * @param {Budget} budget
+ * @param {string} filename
+ * @returns {boolean}
+ */
+function isBudgetMatched(compiler, budget, filename) {
+  if (
+    typeof budget.test !== "undefined" &&
+    !compiler.webpack.ModuleFilenameHelpers.matchObject(
+      { test: budget.test },
+      filename,
+    )
+  ) {
+    return false;
+  }
+
+  if (typeof budget.format === "undefined") {
+    return true;
+  }
+
+  const format = path.extname(filename).slice(1).toLowerCase();
+
+  return (Array.isArray(budget.format) ? budget.format : [budget.format]).some(
+    (item) => item.toLowerCase() === format,
+  );
+}
+
+/**
+ * @param {Compiler} compiler
+ * @param {BudgetImage} image
+ * @param {Budget[]} budgets
+ * @returns {Promise<Error[]>}
+ */
+async function checkImageBudgets(compiler, image, budgets) {
+  const matched = budgets.filter((budget) =>
+    isBudgetMatched(compiler, budget, image.filename),
+  );
+  /** @type {Error[]} */
+  const problems = [];
+
+  if (matched.length === 0) {
+    return problems;
+  }
+
+  const size = image.data.length;
+  // The width is read from the header only when it is checked
+  const width = matched.some((budget) => typeof budget.maxWidth === "number")
+    ? (image.info?.width ?? (await getImageMetadata(image.data)).width)
+    : undefined;
+
+  for (const { maxBytes, maxWidth } of matched) {
+    if (typeof maxBytes === "number" && size > maxBytes) {
+      problems.push(
+        new Error(
+          `Image '${image.filename}' exceeds the budget: ${size} bytes, the maximum is ${maxBytes} bytes`,
+        ),
+      );
+    }
+
+    if (
+      typeof maxWidth === "number" &&
+      typeof width === "number" &&
+      width > maxWidth
+    ) {
+      problems.push(
+        new Error(
+          `Image '${image.filename}' exceeds the budget: ${width}px wide, the maximum is ${maxWidth}px`,
+        ),
+      );
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Budgets are checked for final images (results of the cache too), so changes of budgets don't need new processing,
+ * problems are reported as errors or warnings according to the `severityError` option.
+ * @param {Compiler} compiler
+ * @param {BudgetImage[]} images
+ * @param {Budget[] | undefined} budgets
+ * @param {string | undefined} severityError
+ * @returns {Promise<{ warnings: Error[], errors: Error[] }>}
+ */
+async function checkBudgets(compiler, images, budgets, severityError) {
+  if (!budgets || budgets.length === 0 || severityError === "off") {
+    return { warnings: [], errors: [] };
+  }
+
+  const problems = (
+    await Promise.all(
+      images.map((image) => checkImageBudgets(compiler, image, budgets)),
+    )
+  ).flat();
+
+  return severityError === "warning"
+    ? { warnings: problems, errors: [] }
+    : { warnings: [], errors: problems };
+}
+
+module.exports = { checkBudgets };
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+
+const { compareManifests, getComparisonMarkdown } = require("./compare");
+
+const USAGE = `Usage: image-minimizer-compare <before> <after> [options]
+
+Compares image manifests of two builds (the "manifest" option of the plugin).
+
+Options:
+  --json           Print the comparison as JSON instead of Markdown
+  --output <file>  Write the comparison to the file instead of the standard output
+  --help           Print this message
+`;
+
+/**
+ * @param {string} filename
+ * @returns {Promise<import("./manifest").Manifest>}
+ */
+async function readManifest(filename) {
+  return JSON.parse(await fs.promises.readFile(filename, "utf8"));
+}
+
+/**
+ * @param {string[]} args
+ * @returns {Promise<number>}
+ */
+async function run(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      json: { type: "boolean" },
+      output: { type: "string" },
+      help: { type: "boolean" },
+    },
+  });
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+
+    return 0;
+  }
+
+  if (positionals.length !== 2) {
+    process.stderr.write(USAGE);
+
+    return 1;
+  }
+
+  const [before, after] = await Promise.all(
+    positionals.map((filename) => readManifest(filename)),
+  );
+  const comparison = compareManifests(before, after);
+  const result = values.json
+    ? `${JSON.stringify(comparison, null, 2)}\n`
+    : getComparisonMarkdown(comparison);
+
+  if (values.output) {
+    await fs.promises.writeFile(values.output, result);
+  } else {
+    process.stdout.write(result);
+  }
+
+  return 0;
+}
+
+run(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    process.stderr.write(`${error.message}\n`);
+    process.exitCode = 1;
+  },
+);
@@ -0,0 +1,260 @@
+const { formatSize } = require("./report");
+
+/** @typedef {import("./manifest").Manifest} Manifest */
+/** @typedef {import("./manifest").ManifestVariant} ManifestVariant */
+
+/**
+ * @typedef {Object} ComparedImage
+ * @property {string} sourceFilename
+ * @property {string} format
+ * @property {string | null} preset
+ * @property {number | null} width
+ * @property {number | null} height
+ * @property {string | null} before Name of the image in the first build.
+ * @property {string | null} after Name of the image in the second build.
+ * @property {number} beforeSize
+ * @property {number} afterSize
+ * @property {number} delta
+ */
+
+/**
+ * @typedef {Object} ManifestComparison
+ * @property {ComparedImage[]} added
+ * @property {ComparedImage[]} removed
+ * @property {ComparedImage[]} grown
+ * @property {ComparedImage[]} shrunk
+ * @property {number} unchanged Number of images with the same size.
+ * @property {number} beforeSize
+ * @property {number} afterSize
+ * @property {number} delta
+ */
+
+/**
+ * Names of images contain hashes, so images are matched by their sources, formats, presets and widths.
+ * @param {string} sourceFilename
+ * @param {ManifestVariant} variant
+ * @returns {string}
+ */
+function getImageKey(sourceFilename, variant) {
+  return JSON.stringify([
+    sourceFilename,
+    variant.format,
+    variant.preset ?? null,
+    variant.width ?? null,
+  ]);
+}
+
+/**
+ * @param {Manifest} manifest
+ * @returns {Map<string, { sourceFilename: string, variant: ManifestVariant }>}
+ */
+function getManifestImages(manifest) {
+  /** @type {Map<string, { sourceFilename: string, variant: ManifestVariant }>} */
+  const images = new Map();
+
+  for (const [sourceFilename, variants] of Object.entries(manifest)) {
+    for (const variant of variants) {
+      images.set(getImageKey(sourceFilename, variant), {
+        sourceFilename,
+        variant,
+      });
+    }
+  }
+
+  return images;
+}
+
+/**
+ * Compares manifests of two builds (i.e. of the main branch and of a pull request) emitted by the `manifest` option.
+ * @param {Manifest} before
+ * @param {Manifest} after
+ * @returns {ManifestComparison}
+ */
+function compareManifests(before, after) {
+  const beforeImages = getManifestImages(before);
+  const afterImages = getManifestImages(after);
+  /** @type {ManifestComparison} */
+  const comparison = {
+    added: [],
+    removed: [],
+    grown: [],
+    shrunk: [],
+    unchanged: 0,
+    beforeSize: 0,
+    afterSize: 0,
+    delta: 0,
+  };
+
+  for (const key of new Set([...beforeImages.keys(), ...afterImages.keys()])) {
+    const beforeImage = beforeImages.get(key);
+    const afterImage = afterImages.get(key);
+    const { sourceFilename, variant } =
+      /** @type {{ sourceFilename: string, variant: ManifestVariant }} */ (
+        afterImage ?? beforeImage
+      );
+    const beforeSize = beforeImage?.variant.size ?? 0;
+    const afterSize = afterImage?.variant.size ?? 0;
+    /** @type {ComparedImage} */
+    const image = {
+      sourceFilename,
+      format: variant.format,
+      preset: variant.preset ?? null,
+      width: variant.width ?? null,
+      height: variant.height ?? null,
+      before: beforeImage?.variant.name ?? null,
+      after: afterImage?.variant.name ?? null,
+      beforeSize,
+      afterSize,
+      delta: afterSize - beforeSize,
+    };
+
+    comparison.beforeSize += beforeSize;
+    comparison.afterSize += afterSize;
+
+    if (!beforeImage) {
+      comparison.added.push(image);
+    } else if (!afterImage) {
+      comparison.removed.push(image);
+    } else if (image.delta > 0) {
+      comparison.grown.push(image);
+    } else if (image.delta < 0) {
+      comparison.shrunk.push(image);
+    } else {
+      comparison.unchanged += 1;
+    }
+  }
+
+  comparison.delta = comparison.afterSize - comparison.beforeSize;
+
+  // The largest changes are first
+  for (const images of [
+    comparison.added,
+    comparison.removed,
+    comparison.grown,
+    comparison.shrunk,
+  ]) {
+    images.sort(
+      (a, b) =>
+        Math.abs(b.delta) - Math.abs(a.delta) ||
+        a.sourceFilename.localeCompare(b.sourceFilename),
+    );
+  }
+
+  return comparison;
+}
+
+/**
+ * @param {number} delta
+ * @returns {string}
+ */
+function formatDelta(delta) {
+  if (delta === 0) {
+    return "0 bytes";
+  }
+
+  return `${delta > 0 ? "+" : "-"}${formatSize(Math.abs(delta))}`;
+}
+
+/**
+ * @param {number} beforeSize
+ * @param {number} afterSize
+ * @returns {string}
+ */
+function formatPercent(beforeSize, afterSize) {
+  if (beforeSize === 0) {
+    return "";
+  }
+
+  const percent =
+    Math.round(((afterSize - beforeSize) / beforeSize) * 1000) / 10;
+
+  return ` (${percent > 0 ? "+" : ""}${percent}%)`;
+}
+
+/**
+ * Pipes and backticks break tables and code spans of Markdown.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeMarkdown(value) {
+  return value.replace(/\|/g, "\\|").replace(/`/g, "'");
+}
+
+/**
+ * @param {ComparedImage} image
+ * @returns {string}
+ */
+function getImageTitle(image) {
+  const details = [
+    image.format,
+    ...(image.preset ? [`preset ${image.preset}`] : []),
+    ...(typeof image.width === "number" && typeof image.height === "number"
+      ? [`${image.width}×${image.height}`]
+      : []),
+  ];
+
+  return `\`${escapeMarkdown(image.sourceFilename)}\` (${escapeMarkdown(
+    details.join(", "),
+  )})`;
+}
+
+/**
+ * @param {string} title
+ * @param {ComparedImage[]} images
+ * @returns {string[]}
+ */
+function getTableMarkdown(title, images) {
+  if (images.length === 0) {
+    return [];
+  }
+
+  return [
+    `#### ${title} (${images.length})`,
+    "",
+    "| Image | Before | After | Change |",
+    "| :--- | ---: | ---: | ---: |",
+    ...images.map(
+      (image) =>
+        `| ${getImageTitle(image)} | ${
+          image.before === null ? "-" : formatSize(image.beforeSize)
+        } | ${
+          image.after === null ? "-" : formatSize(image.afterSize)
+        } | ${formatDelta(image.delta)}${formatPercent(
+          image.beforeSize,
+          image.afterSize,
+        )} |`,
+    ),
+    "",
+  ];
+}
+
+/**
+ * Returns a summary of the comparison for comments of pull requests.
+ * @param {ManifestComparison} comparison
+ * @returns {string}
+ */
+function getComparisonMarkdown(comparison) {
+  const lines = [
+    "### Images",
+    "",
+    `Total size: ${formatSize(comparison.beforeSize)} → ${formatSize(
+      comparison.afterSize,
+    )}, ${formatDelta(comparison.delta)}${formatPercent(
+      comparison.beforeSize,
+      comparison.afterSize,
+    )}`,
+    "",
+    ...getTableMarkdown("New images", comparison.added),
+    ...getTableMarkdown("Removed images", comparison.removed),
+    ...getTableMarkdown("Grown images", comparison.grown),
+    ...getTableMarkdown("Shrunk images", comparison.shrunk),
+  ];
+
+  if (comparison.unchanged > 0) {
+    lines.push(`Unchanged images: ${comparison.unchanged}`, "");
+  }
+
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+module.exports = { compareManifests, getComparisonMarkdown };
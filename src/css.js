@@ -0,0 +1,127 @@
+const {
+  MODERN_FORMATS,
+  getMimeType,
+  getImageVariants,
+  resolveImage,
+  findVariant,
+  getVariantUrl,
+} = require("./variants");
+
+/** @typedef {import("webpack").Compilation} Compilation */
+
+/**
+ * @typedef {Object} Insertion
+ * @property {number} position
+ * @property {string} content
+ */
+
+// Comments are matched to skip them, values can contain strings and functions with parentheses, i.e. data URI
+const DECLARATION_REGEXP =
+  /\/\*[\s\S]*?\*\/|([{;]\s*)(background(?:-image)?\s*:)((?:[^;{}"'()]|"[^"]*"|'[^']*'|\((?:[^()"']|"[^"]*"|'[^']*')*\))*)/gi;
+const URL_REGEXP = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)\s"']*))\s*\)/gi;
+
+/**
+ * @param {string} url
+ * @returns {string}
+ */
+function quoteUrl(url) {
+  return `url("${url.replace(/["\\]/g, "\\$&")}")`;
+}
+
+/**
+ * Returns `image-set()` with generated formats of an image and the image itself as the last option.
+ * @param {Compilation} compilation
+ * @param {string} url
+ * @param {string} outputName
+ * @param {Map<string, import("./variants").ImageAsset[]>} variants
+ * @returns {string | null}
+ */
+function getImageSet(compilation, url, outputName, variants) {
+  const image = resolveImage(compilation, url, outputName);
+
+  if (!image) {
+    return null;
+  }
+
+  /** @type {string[]} */
+  const options = [];
+
+  for (const { extension, type } of MODERN_FORMATS) {
+    const variant = findVariant(image, variants, extension);
+
+    if (variant && variant !== image) {
+      options.push(
+        `${quoteUrl(getVariantUrl(url, image, variant))} type("${type}")`,
+      );
+    }
+  }
+
+  const type = getMimeType(image.name);
+
+  if (options.length === 0 || !type) {
+    return null;
+  }
+
+  return `image-set(${[...options, `${quoteUrl(url)} type("${type}")`].join(
+    ", ",
+  )})`;
+}
+
+/**
+ * Finds `background` declarations with images which have generated variants,
+ * the same declaration with `image-set()` is added after the original one, so browsers without `image-set()` use the original declaration.
+ * @param {Compilation} compilation
+ * @param {string} css
+ * @param {string} outputName
+ * @returns {Insertion[]}
+ */
+function getImageSetInsertions(compilation, css, outputName) {
+  const variants = getImageVariants(compilation);
+  /** @type {Insertion[]} */
+  const insertions = [];
+
+  for (const match of css.matchAll(DECLARATION_REGEXP)) {
+    const [, prefix, property, value] = match;
+
+    if (!property || /image-set\(/i.test(value)) {
+      continue;
+    }
+
+    let hasImageSet = false;
+
+    const newValue = value.replace(
+      URL_REGEXP,
+      (urlFunction, doubleQuoted, singleQuoted, unquoted) => {
+        const imageSet = getImageSet(
+          compilation,
+          doubleQuoted ?? singleQuoted ?? unquoted,
+          outputName,
+          variants,
+        );
+
+        if (!imageSet) {
+          return urlFunction;
+        }
+
+        hasImageSet = true;
+
+        return imageSet;
+      },
+    );
+
+    if (hasImageSet) {
+      insertions.push({
+        position:
+          /** @type {number} */ (match.index) +
+          prefix.length +
+          property.length +
+          value.trimEnd().length,
+        content: `;${property}${newValue.trimEnd()}`,
+      });
+    }
+  }
+
+  return insertions;
+}
+
+module.exports = { getImageSetInsertions };
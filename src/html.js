@@ -0,0 +1,337 @@
+const {
+  MODERN_FORMATS,
+  getImageVariants,
+  resolveImage,
+  findVariant,
+  getVariantUrl,
+  getImageSize,
+} = require("./variants");
+
+/** @typedef {import("webpack").Compilation} Compilation */
+/** @typedef {import("./variants").ImageAsset} ImageAsset */
+/** @typedef {import("./css").Insertion} Insertion */
+
+/**
+ * @typedef {Object} HtmlTagObject
+ * @property {string} tagName
+ * @property {Record<string, string | boolean | undefined | null>} attributes
+ * @property {boolean} voidTag
+ * @property {string} [innerHTML]
+ * @property {Record<string, any>} [meta]
+ */
+
+/**
+ * @typedef {Object} PictureSource
+ * @property {string} type
+ * @property {string} srcset
+ */
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  return value.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeAttribute(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * @param {string} tag
+ * @returns {Record<string, string>}
+ */
+function parseAttributes(tag) {
+  /** @type {Record<string, string>} */
+  const attributes = {};
+  const attributeRegExp =
+    /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  // Skip the tag name
+  const content = tag.replace(/^<[a-z]+/i, "").replace(/\/?>$/, "");
+
+  let match;
+
+  while ((match = attributeRegExp.exec(content)) !== null) {
+    const [, name, doubleQuoted, singleQuoted, unquoted] = match;
+
+    attributes[name.toLowerCase()] = unescapeAttribute(
+      doubleQuoted ?? singleQuoted ?? unquoted ?? "",
+    );
+  }
+
+  return attributes;
+}
+
+/**
+ * @param {string} srcset
+ * @returns {Array<{ url: string, descriptor: string }>}
+ */
+function parseSrcset(srcset) {
+  return srcset
+    .split(",")
+    .map((candidate) => candidate.trim())
+    .filter(Boolean)
+    .map((candidate) => {
+      const [url, ...descriptor] = candidate.split(/\s+/);
+
+      return { url, descriptor: descriptor.join(" ") };
+    });
+}
+
+/**
+ * Builds `<source>` of each generated format for an image, only when all candidates of `srcset` have the format.
+ * @param {Compilation} compilation
+ * @param {Record<string, string | boolean | undefined | null>} attributes
+ * @param {string} outputName
+ * @param {Map<string, ImageAsset[]>} variants
+ * @returns {PictureSource[]}
+ */
+function getPictureSources(compilation, attributes, outputName, variants) {
+  const { src, srcset } = attributes;
+  const candidates =
+    typeof srcset === "string" && srcset
+      ? parseSrcset(srcset)
+      : typeof src === "string" && src
+        ? [{ url: src, descriptor: "" }]
+        : [];
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const images = candidates.map(({ url }) =>
+    resolveImage(compilation, url, outputName),
+  );
+
+  /** @type {PictureSource[]} */
+  const sources = [];
+
+  for (const { extension, type } of MODERN_FORMATS) {
+    /** @type {string[]} */
+    const urls = [];
+    let hasGenerated = false;
+
+    for (const [index, image] of images.entries()) {
+      if (!image) {
+        break;
+      }
+
+      const variant = findVariant(image, variants, extension);
+
+      if (!variant) {
+        break;
+      }
+
+      const { url, descriptor } = candidates[index];
+      const variantUrl = getVariantUrl(url, image, variant);
+
+      hasGenerated ||= variant !== image;
+      urls.push(descriptor ? `${variantUrl} ${descriptor}` : variantUrl);
+    }
+
+    if (hasGenerated && urls.length === candidates.length) {
+      sources.push({ type, srcset: urls.join(", ") });
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * @param {PictureSource[]} sources
+ * @param {string | boolean | undefined | null} sizes
+ * @returns {string}
+ */
+function sourcesToHtml(sources, sizes) {
+  return sources
+    .map(
+      (source) =>
+        `<source type="${source.type}" srcset="${escapeAttribute(
+          source.srcset,
+        )}"${
+          typeof sizes === "string" ? ` sizes="${escapeAttribute(sizes)}"` : ""
+        }>`,
+    )
+    .join("");
+}
+
+/**
+ * Wraps `<img>` with generated variants into `<picture>`, existing `<picture>`, comments and scripts are kept as is.
+ * @param {Compilation} compilation
+ * @param {string} html
+ * @param {string} outputName
+ * @returns {string}
+ */
+function rewritePictures(compilation, html, outputName) {
+  const variants = getImageVariants(compilation);
+
+  return html.replace(
+    /<!--[\s\S]*?-->|<(picture|script|style|template|textarea)\b[\s\S]*?<\/\1\s*>|<img\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi,
+    (tag, skippedTagName) => {
+      if (skippedTagName || tag.startsWith("<!--")) {
+        return tag;
+      }
+
+      const attributes = parseAttributes(tag);
+      const sources = getPictureSources(
+        compilation,
+        attributes,
+        outputName,
+        variants,
+      );
+
+      if (sources.length === 0) {
+        return tag;
+      }
+
+      return `<picture>${sourcesToHtml(sources, attributes.sizes)}${tag}</picture>`;
+    },
+  );
+}
+
+/**
+ * @param {HtmlTagObject} tag
+ * @returns {string}
+ */
+function tagToHtml(tag) {
+  const attributes = Object.entries(tag.attributes)
+    .filter(
+      ([, value]) => value !== false && value !== null && value !== undefined,
+    )
+    .map(([name, value]) =>
+      value === true ? ` ${name}` : ` ${name}="${escapeAttribute(`${value}`)}"`,
+    )
+    .join("");
+
+  return `<${tag.tagName}${attributes}>`;
+}
+
+/**
+ * Replaces `<img>` tag objects with generated variants by `<picture>` tag objects.
+ * @param {Compilation} compilation
+ * @param {HtmlTagObject[]} tags
+ * @param {string} outputName
+ * @returns {HtmlTagObject[]}
+ */
+function rewritePictureTags(compilation, tags, outputName) {
+  const variants = getImageVariants(compilation);
+
+  return tags.map((tag) => {
+    if (tag.tagName !== "img") {
+      return tag;
+    }
+
+    const sources = getPictureSources(
+      compilation,
+      tag.attributes,
+      outputName,
+      variants,
+    );
+
+    if (sources.length === 0) {
+      return tag;
+    }
+
+    return {
+      tagName: "picture",
+      voidTag: false,
+      attributes: {},
+      innerHTML: `${sourcesToHtml(sources, tag.attributes.sizes)}${tagToHtml(
+        tag,
+      )}`,
+      meta: { ...tag.meta, plugin: "image-minimizer-webpack-plugin" },
+    };
+  });
+}
+
+/**
+ * Finds `<img>` without `width` or `height` attributes, the missing attribute is calculated from the aspect ratio of the image.
+ * @param {Compilation} compilation
+ * @param {string} html
+ * @param {string} outputName
+ * @returns {Promise<Insertion[]>}
+ */
+async function getImageSizeInsertions(compilation, html, outputName) {
+  /** @type {Insertion[]} */
+  const insertions = [];
+
+  for (const match of html.matchAll(
+    /<!--[\s\S]*?-->|<(script|style|template|textarea)\b[\s\S]*?<\/\1\s*>|<img\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi,
+  )) {
+    const [tag, skippedTagName] = match;
+
+    if (skippedTagName || tag.startsWith("<!--")) {
+      continue;
+    }
+
+    const attributes = parseAttributes(tag);
+
+    if (
+      typeof attributes.src !== "string" ||
+      (typeof attributes.width === "string" &&
+        typeof attributes.height === "string")
+    ) {
+      continue;
+    }
+
+    const image = resolveImage(compilation, attributes.src, outputName);
+
+    if (!image) {
+      continue;
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    const { width, height } = await getImageSize(compilation, image);
+
+    if (!width || !height) {
+      continue;
+    }
+
+    let content;
+
+    if (typeof attributes.width === "string") {
+      // Relative values (i.e. `100%`) can't be used to calculate the height
+      if (!/^\d+$/.test(attributes.width)) {
+        continue;
+      }
+
+      content = ` height="${Math.round(
+        (Number(attributes.width) * height) / width,
+      )}"`;
+    } else if (typeof attributes.height === "string") {
+      if (!/^\d+$/.test(attributes.height)) {
+        continue;
+      }
+
+      content = ` width="${Math.round(
+        (Number(attributes.height) * width) / height,
+      )}"`;
+    } else {
+      content = ` width="${width}" height="${height}"`;
+    }
+
+    insertions.push({
+      // Before the end of the tag, i.e. `>` or ` />`
+      position:
+        /** @type {number} */ (match.index) +
+        tag.replace(/\s*\/?>$/, "").length,
+      content,
+    });
+  }
+
+  return insertions;
+}
+
+module.exports = {
+  rewritePictures,
+  rewritePictureTags,
+  getImageSizeInsertions,
+};
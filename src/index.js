@@ -4,11 +4,47 @@ const os = require("os");
 const { validate } = require("schema-utils");
 
 const worker = require("./worker");
+const { DEFAULT_PALETTE_COLORS } = require("./palette");
+const { getThreadsCount } = require("./pool");
+const { getStore } = require("./store");
+const {
+  addProcessing,
+  isProcessed,
+  hasProcessingInfo,
+  getProcessingTotals,
+  formatProcessing,
+} = require("./stats");
+const {
+  DEFAULT_REPORT_FILENAME,
+  addImageWarnings,
+  getReportHtml,
+} = require("./report");
+const { DEFAULT_MANIFEST_FILENAME, getManifest } = require("./manifest");
+const { checkBudgets } = require("./budgets");
+const { compareManifests, getComparisonMarkdown } = require("./compare");
+const {
+  MINIMIZE_TITLE,
+  getGeneratorTitle,
+  createProgressReporter,
+  reportLoaderProgress,
+} = require("./progress");
+const {
+  rewritePictures,
+  rewritePictureTags,
+  getImageSizeInsertions,
+} = require("./html");
+const { getImageSetInsertions } = require("./css");
 const schema = require("./plugin-options.json");
 const {
   throttleAll,
+  estimateImageMemory,
+  createImageDecoder,
+  getTransformerPackages,
+  getPackageVersions,
+  getCacheIdentity,
   memoize,
   imageminNormalizeConfig,
+  imageminCheckConfig,
   imageminMinify,
   imageminGenerate,
   squooshMinify,
@@ -16,7 +52,9 @@ const {
   sharpMinify,
   sharpGenerate,
   svgoMinify,
+  traceGenerate,
   IMAGE_MINIMIZER_PLUGIN_INFO_MAPPINGS,
+  EXPORTS_QUERY_REGEX,
 } = require("./utils.js");
 
 /** @typedef {import("schema-utils/declarations/validate").Schema} Schema */
@@ -30,6 +68,7 @@ const {
 /** @typedef {import("webpack").Module} Module */
 /** @typedef {import("./utils.js").imageminMinify} ImageminMinifyFunction */
 /** @typedef {import("./utils.js").squooshMinify} SquooshMinifyFunction */
+/** @typedef {import("./placeholder").PlaceholderType} PlaceholderType */
 
 /** @typedef {RegExp | string} Rule */
 /** @typedef {Rule[] | Rule} Rules */
@@ -65,9 +104,10 @@ const {
  * @property {string} name
  * @property {AssetInfo} info
  * @property {Source} inputSource
- * @property {WorkerResult & { source?: Source } | undefined} output
+ * @property {WorkerResult & { source?: Source } | Array<WorkerResult & { source?: Source }> | undefined} output
  * @property {ReturnType<ReturnType<Compilation["getCache"]>["getItemCache"]>} cacheItem
  * @property {Transformer<T> | Transformer<T>[]} transformer
+ * @property {StepCache} [stepCache]
  */
 
 /**
@@ -92,18 +132,34 @@ const {
  * @property {boolean} [enabled]
  */
 
+/**
+ * @typedef {Object} DecodedImage
+ * @property {Buffer} data Raw pixels with interleaved channels.
+ * @property {{ width: number, height: number, channels: 1 | 2 | 3 | 4 }} info
+ * @property {import("sharp").Metadata} metadata Metadata of the original image.
+ */
+
+/**
+ * @typedef {Object} TransformerContext
+ * @property {AbortSignal} [signal] Aborted when results are not needed anymore, i.e. the compiler is invalidated in the watch mode.
+ * @property {() => Promise<DecodedImage | null>} [decode] Decodes the original image once for all transformers of the image, it is available only when the original image is transformed.
+ */
+
 /**
  * @template T
  * @callback BasicTransformerImplementation
  * @param {WorkerResult} original
  * @param {BasicTransformerOptions<T>} [options]
- * @returns {Promise<WorkerResult | null>}
+ * @param {TransformerContext} [context]
+ * @returns {Promise<WorkerResult | WorkerResult[] | null>}
  */
 
 /**
  * @typedef {Object} BasicTransformerHelpers
  * @property {() => void} [setup]
  * @property {() => void} [teardown]
+ * @property {(options: any) => any} [cacheKey] Identifies results of the implementation with the options in the cache instead of the source code of the implementation.
+ * @property {string | number} [version] Identifies results of the implementation in the cache instead of the source code of the implementation.
  */
 
 /**
@@ -153,6 +209,26 @@ const {
  * @property {Transformer<T> | Transformer<T>[]} transformer
  * @property {string} [severityError]
  * @property {Function} [generateFilename]
+ * @property {PlaceholderType[]} [placeholder]
+ * @property {number} [palette]
+ * @property {number} [threads]
+ * @property {AbortSignal} [signal]
+ * @property {() => Promise<DecodedImage | null>} [decode]
+ * @property {StepCache} [stepCache]
+ * @property {import("./store").Store} [store]
+ * @property {(index: number, result: WorkerResult, filenameTemplate: undefined | string | FilenameFn) => void} [onStep]
+ */
+
+/**
+ * @typedef {Object} CachedStep
+ * @property {WorkerResult} result
+ * @property {number} [filenameIndex] Index of the transformer with the filename template of the result.
+ */
+
+/**
+ * @typedef {Object} StepCache
+ * @property {(transformers: Transformer<any>[]) => Promise<CachedStep | undefined>} get
+ * @property {(transformers: Transformer<any>[], step: CachedStep) => Promise<void>} store
  */
 
 /**
@@ -170,12 +246,35 @@ const {
  * @property {G extends any[] ? { [P in keyof G]: Generator<G[P]> } : Generator<G>[]} [generator] Allows to set the generator.
  * @property {boolean} [loader] Automatically adding `imagemin-loader`.
  * @property {number} [concurrency] Maximum number of concurrency optimization processes in one time.
+ * @property {number} [memoryLimit] Maximum estimated memory (in bytes) of decoded images which are processed in one time.
  * @property {string} [severityError] Allows to choose how errors are displayed.
  * @property {boolean} [deleteOriginalAssets] Allows to remove original assets. Useful for converting to a `webp` and remove original assets.
+ * @property {PlaceholderType | PlaceholderType[]} [placeholder] Allows to generate placeholders for images and store them in the asset info.
+ * @property {boolean | number} [palette] Allows to extract the dominant color and the palette of images and store them in the asset info.
+ * @property {boolean} [imageSet] Allows to add `image-set()` with generated `avif`/`webp` variants to `background` declarations of CSS assets.
+ * @property {boolean} [dimensions] Allows to add missing `width` and `height` attributes to `<img>` in HTML assets.
+ * @property {boolean} [picture] Allows to rewrite `<img>` with generated `avif`/`webp` variants into `<picture>` in HTML files of `html-webpack-plugin`.
+ * @property {boolean | number} [threads] Allows to run minimizers and generators in worker threads.
+ * @property {boolean | string | import("./store").StoreOptions} [store] Allows to store results in a directory which is shared between projects and builds.
+ * @property {boolean | string} [report] Allows to emit an HTML report with results of processing of images.
+ * @property {boolean | string} [manifest] Allows to emit a JSON manifest which maps source images to all their images in the output.
+ * @property {import("./budgets").Budget[]} [budgets] Allows to limit sizes and widths of images, exceeded budgets are reported according to the `severityError` option.
  */
 
 const getSerializeJavascript = memoize(() => require("serialize-javascript"));
 
+/**
+ * Names of images which are processed by the plugin and their sources, budgets are checked for them after processing.
+ * @type {WeakMap<Compilation, Map<string, string>>}
+ */
+const budgetImages = new WeakMap();
+
+/**
+ * Compilations with aborted processing of images, they are not emitted because their images are not optimized.
+ * @type {WeakSet<Compilation>}
+ */
+const abortedCompilations = new WeakSet();
+
 /**
  * @template T, [G=T]
  * @extends {WebpackPluginInstance}
@@ -199,7 +298,18 @@ class ImageMinimizerPlugin {
       generator,
       loader = true,
       concurrency,
+      memoryLimit,
       deleteOriginalAssets = true,
+      placeholder,
+      palette,
+      picture = false,
+      imageSet = false,
+      dimensions = false,
+      threads,
+      store,
+      report,
+      manifest,
+      budgets,
     } = options;
 
     if (!minimizer && !generator) {
@@ -208,6 +318,22 @@ class ImageMinimizerPlugin {
       );
     }
 
+    for (const transformer of [
+      ...(Array.isArray(minimizer) ? minimizer : minimizer ? [minimizer] : []),
+      ...(generator ?? []),
+    ]) {
+      if (
+        transformer.implementation === imageminMinify ||
+        transformer.implementation === imageminGenerate
+      ) {
+        imageminCheckConfig(
+          /** @type {import("./utils").ImageminOptions} */ (
+            /** @type {unknown} */ (transformer.options)
+          ),
+        );
+      }
+    }
+
     /**
      * @private
      */
@@ -219,8 +345,21 @@ class ImageMinimizerPlugin {
       include,
       loader,
       concurrency,
+      memoryLimit,
       test,
       deleteOriginalAssets,
+      placeholder:
+        typeof placeholder === "string" ? [placeholder] : placeholder,
+      palette: palette === true ? DEFAULT_PALETTE_COLORS : palette || undefined,
+      picture,
+      imageSet,
+      dimensions,
+      threads: getThreadsCount(threads),
+      store,
+      report: report === true ? DEFAULT_REPORT_FILENAME : report || undefined,
+      manifest:
+        manifest === true ? DEFAULT_MANIFEST_FILENAME : manifest || undefined,
+      budgets,
     };
   }
 
@@ -229,9 +368,10 @@ class ImageMinimizerPlugin {
    * @param {Compiler} compiler
    * @param {Compilation} compilation
    * @param {Record<string, Source>} assets
+   * @param {AbortSignal} [signal]
    * @returns {Promise<void>}
    */
-  async optimize(compiler, compilation, assets) {
+  async optimize(compiler, compilation, assets, signal) {
     const minimizers =
       typeof this.options.minimizer !== "undefined"
         ? Array.isArray(this.options.minimizer)
@@ -275,13 +415,43 @@ class ImageMinimizerPlugin {
               compilation.getAsset(name)
             );
 
+            /**
+             * @param {Transformer<any>[]} transformers
+             */
+            const getStepCacheItem = (transformers) =>
+              cache.getItemCache(
+                getSerializeJavascript()({
+                  name,
+                  steps: getCacheIdentity(transformers),
+                  versions: getPackageVersions(transformers),
+                }),
+                cache.getLazyHashedEtag(source),
+              );
+
+            /**
+             * Results of each transformer of a chain are cached, so changes of a transformer invalidate only it and next transformers
+             * @type {StepCache}
+             */
+            const stepCache = {
+              get: (transformers) =>
+                getStepCacheItem(transformers).getPromise(),
+              store: (transformers, step) =>
+                getStepCacheItem(transformers).storePromise(step),
+            };
+
             /**
              * @template Z
              * @param {Transformer<Z> | Array<Transformer<Z>>} transformer
              * @returns {Promise<Task<Z>>}
              */
             const getFromCache = async (transformer) => {
-              const cacheName = getSerializeJavascript()({ name, transformer });
+              const cacheName = getSerializeJavascript()({
+                name,
+                transformer: getCacheIdentity(transformer),
+                versions: getPackageVersions(transformer),
+                placeholder: this.options.placeholder,
+                palette: this.options.palette,
+              });
               const eTag = cache.getLazyHashedEtag(source);
               const cacheItem = cache.getItemCache(cacheName, eTag);
               const output = await cacheItem.getPromise();
@@ -293,6 +463,7 @@ class ImageMinimizerPlugin {
                 output,
                 cacheItem,
                 transformer,
+                stepCache: Array.isArray(transformer) ? stepCache : undefined,
               };
             };
 
@@ -329,13 +500,60 @@ class ImageMinimizerPlugin {
       1,
       this.options.concurrency ?? os.cpus()?.length ?? 1,
     );
+    // Half of memory is left for webpack and other plugins
+    const memoryLimit =
+      this.options.memoryLimit ?? Math.max(1, Math.floor(os.totalmem() / 2));
     const { RawSource } = compiler.webpack.sources;
 
+    // Cached results are not decoded, so they don't use memory
+    const memory = await Promise.all(
+      assetsForTransformers.map(({ inputSource, output }) => {
+        if (output) {
+          return 0;
+        }
+
+        const source = inputSource.source();
+
+        return estimateImageMemory(
+          Buffer.isBuffer(source) ? source : Buffer.from(source),
+        );
+      }),
+    );
+
+    // Tasks of the same image share the decoded original image, it is released when the last of them is done
+    /** @type {Map<string, number>} */
+    const pendingTasksCount = new Map();
+    /** @type {Map<string, () => Promise<DecodedImage | null>>} */
+    const decoders = new Map();
+
+    for (const { name, output } of assetsForTransformers) {
+      if (!output) {
+        pendingTasksCount.set(name, (pendingTasksCount.get(name) ?? 0) + 1);
+      }
+    }
+
+    const reportProgress = createProgressReporter(
+      compiler,
+      assetsForTransformers.length,
+    );
+
+    // Results from the cache are not processed, so they are not a part of the time of processing
+    /** @type {Set<string>} */
+    const processedSources = new Set();
+
     const scheduledTasks = assetsForTransformers.map((asset) => async () => {
-      const { name, info, inputSource, cacheItem, transformer } = asset;
+      const { name, info, inputSource, cacheItem, transformer, stepCache } =
+        asset;
       let { output } = asset;
       let input;
 
+      const reportProcessed = reportProgress(
+        name,
+        Array.isArray(transformer)
+          ? MINIMIZE_TITLE
+          : getGeneratorTitle(transformer),
+      );
+
       const sourceFromInputSource = inputSource.source();
 
       if (!output) {
@@ -345,6 +563,16 @@ class ImageMinimizerPlugin {
           input = Buffer.from(input);
         }
 
+        let decode = decoders.get(name);
+
+        if (
+          !decode &&
+          /** @type {number} */ (pendingTasksCount.get(name)) > 1
+        ) {
+          decode = createImageDecoder(input);
+          decoders.set(name, decode);
+        }
+
         const minifyOptions =
           /** @type {InternalWorkerOptions<T>} */
           ({
@@ -354,51 +582,157 @@ class ImageMinimizerPlugin {
             severityError: this.options.severityError,
             transformer,
             generateFilename: compilation.getAssetPath.bind(compilation),
+            placeholder: this.options.placeholder,
+            palette: this.options.palette,
+            threads: this.options.threads,
+            signal,
+            decode,
+            stepCache,
+            store: this.options.store
+              ? getStore(this.options.store, compiler.context)
+              : undefined,
           });
 
-        output = await worker(minifyOptions);
+        let result;
 
-        output.source = new RawSource(output.data);
+        try {
+          result = await worker(minifyOptions);
+        } finally {
+          const count = /** @type {number} */ (pendingTasksCount.get(name)) - 1;
 
-        await cacheItem.storePromise({
-          source: output.source,
-          info: output.info,
-          filename: output.filename,
-          warnings: output.warnings,
-          errors: output.errors,
-        });
-      }
+          pendingTasksCount.set(name, count);
 
-      compilation.warnings = [
-        ...compilation.warnings,
-        .../** @type {[WebpackError]} */ (output.warnings),
-      ];
+          if (count === 0) {
+            decoders.delete(name);
+          }
+        }
 
-      compilation.errors = [
-        ...compilation.errors,
-        .../** @type {[WebpackError]} */ (output.errors),
-      ];
+        output = (Array.isArray(result) ? result : [result]).map((item) => ({
+          ...item,
+          source: new RawSource(item.data),
+        }));
+
+        for (const item of output) {
+          processedSources.add(
+            typeof item.info?.sourceFilename === "string"
+              ? item.info.sourceFilename
+              : name,
+          );
+        }
 
-      if (compilation.getAsset(output.filename)) {
-        compilation.updateAsset(
-          output.filename,
-          /** @type {Source} */ (output.source),
-          output.info,
+        await cacheItem.storePromise(
+          output.map((item) => ({
+            source: item.source,
+            info: item.info,
+            filename: item.filename,
+            warnings: item.warnings,
+            errors: item.errors,
+          })),
         );
-      } else {
-        compilation.emitAsset(
-          output.filename,
-          /** @type {Source} */ (output.source),
-          output.info,
+      }
+
+      const outputs = Array.isArray(output) ? output : [output];
+      let isEmitted = false;
+
+      if (this.options.budgets) {
+        const images = budgetImages.get(compilation) ?? new Map();
+
+        for (const item of outputs) {
+          images.set(
+            item.filename,
+            typeof info.sourceFilename === "string"
+              ? info.sourceFilename
+              : name,
+          );
+        }
+
+        budgetImages.set(compilation, images);
+      }
+
+      // Transformers can return several results, i.e. multiple formats, each of them is own asset
+      for (const item of outputs) {
+        compilation.warnings = [
+          ...compilation.warnings,
+          .../** @type {[WebpackError]} */ (item.warnings),
+        ];
+
+        addImageWarnings(
+          compilation,
+          typeof item.info?.sourceFilename === "string"
+            ? item.info.sourceFilename
+            : name,
+          item.warnings,
         );
 
-        if (this.options.deleteOriginalAssets) {
-          compilation.deleteAsset(name);
+        compilation.errors = [
+          ...compilation.errors,
+          .../** @type {[WebpackError]} */ (item.errors),
+        ];
+
+        if (compilation.getAsset(item.filename)) {
+          compilation.updateAsset(
+            item.filename,
+            /** @type {Source} */ (item.source),
+            item.info,
+          );
+        } else {
+          compilation.emitAsset(
+            item.filename,
+            /** @type {Source} */ (item.source),
+            item.info,
+          );
+
+          isEmitted = true;
         }
       }
+
+      // Don't remove the original asset when one of results replaced it
+      if (
+        this.options.deleteOriginalAssets &&
+        isEmitted &&
+        outputs.every((item) => item.filename !== name)
+      ) {
+        compilation.deleteAsset(name);
+      }
+
+      reportProcessed();
     });
 
-    await throttleAll(limit, scheduledTasks);
+    const startTime = performance.now();
+
+    try {
+      await throttleAll(limit, scheduledTasks, { memoryLimit, memory, signal });
+
+      if (processedSources.size > 0) {
+        addProcessing(
+          compilation,
+          startTime,
+          performance.now(),
+          processedSources,
+        );
+      }
+    } catch (error) {
+      if (signal?.aborted) {
+        compiler
+          .getInfrastructureLogger(this.constructor.name)
+          .debug(
+            "Processing of images is aborted, the compilation is invalidated",
+          );
+
+        // The watcher usually starts a new compilation, but the invalidated one is finished when the watcher is suspended or changes are not aggregated yet
+        let rootCompilation = compilation;
+
+        while (rootCompilation.compiler.parentCompilation) {
+          rootCompilation = rootCompilation.compiler.parentCompilation;
+        }
+
+        abortedCompilations.add(rootCompilation);
+
+        return;
+      }
+
+      throw error;
+    }
   }
 
   /**
@@ -457,6 +791,188 @@ class ImageMinimizerPlugin {
     }
   }
 
+  /**
+   * Budgets are checked once after all images are processed, so images are checked in their final state.
+   * @private
+   * @param {Compiler} compiler
+   * @param {Compilation} compilation
+   * @returns {Promise<void>}
+   */
+  async reportBudgetProblems(compiler, compilation) {
+    const images = budgetImages.get(compilation);
+
+    if (!images) {
+      return;
+    }
+
+    budgetImages.delete(compilation);
+
+    const problems = await Promise.all(
+      [...images].map(async ([filename, sourceFilename]) => {
+        const asset = compilation.getAsset(filename);
+
+        return {
+          sourceFilename,
+          ...(await checkBudgets(
+            compiler,
+            asset
+              ? [{ filename, data: asset.source.buffer(), info: asset.info }]
+              : [],
+            this.options.budgets,
+            this.options.severityError,
+          )),
+        };
+      }),
+    );
+
+    for (const { sourceFilename, warnings, errors } of problems) {
+      compilation.warnings = [
+        ...compilation.warnings,
+        .../** @type {WebpackError[]} */ (warnings),
+      ];
+      compilation.errors = [
+        ...compilation.errors,
+        .../** @type {WebpackError[]} */ (errors),
+      ];
+
+      addImageWarnings(compilation, sourceFilename, warnings);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Compiler} compiler
+   * @param {Compilation} compilation
+   * @param {Record<string, Source>} assets
+   */
+  addImageSets(compiler, compilation, assets) {
+    const { ReplaceSource } = compiler.webpack.sources;
+
+    for (const name of Object.keys(assets)) {
+      if (!/\.css$/i.test(name)) {
+        continue;
+      }
+
+      const { source } = /** @type {Asset} */ (compilation.getAsset(name));
+      const insertions = getImageSetInsertions(
+        compilation,
+        source.source().toString(),
+        name,
+      );
+
+      if (insertions.length === 0) {
+        continue;
+      }
+
+      // `ReplaceSource` keeps source maps
+      const newSource = new ReplaceSource(source);
+
+      for (const { position, content } of insertions) {
+        newSource.insert(position, content);
+      }
+
+      compilation.updateAsset(name, newSource);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Compiler} compiler
+   * @param {Compilation} compilation
+   * @param {Record<string, Source>} assets
+   */
+  async addImageDimensions(compiler, compilation, assets) {
+    const { ReplaceSource } = compiler.webpack.sources;
+
+    for (const name of Object.keys(assets)) {
+      if (!/\.html?$/i.test(name)) {
+        continue;
+      }
+
+      const { source } = /** @type {Asset} */ (compilation.getAsset(name));
+      // eslint-disable-next-line no-await-in-loop
+      const insertions = await getImageSizeInsertions(
+        compilation,
+        source.source().toString(),
+        name,
+      );
+
+      if (insertions.length === 0) {
+        continue;
+      }
+
+      const newSource = new ReplaceSource(source);
+
+      for (const { position, content } of insertions) {
+        newSource.insert(position, content);
+      }
+
+      compilation.updateAsset(name, newSource);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Compiler} compiler
+   * @param {Compilation} compilation
+   */
+  setupHtmlWebpackPlugin(compiler, compilation) {
+    // Hooks are bound to the instance of `html-webpack-plugin` used in the configuration
+    const htmlWebpackPlugin =
+      /** @type {{ constructor: { getHooks?: Function } } | undefined} */
+      (
+        compiler.options.plugins.find(
+          (plugin) =>
+            plugin &&
+            plugin.constructor.name === "HtmlWebpackPlugin" &&
+            typeof (/** @type {any} */ (plugin.constructor).getHooks) ===
+              "function",
+        )
+      );
+
+    if (!htmlWebpackPlugin) {
+      return;
+    }
+
+    const pluginName = this.constructor.name;
+    const hooks = /** @type {Function} */ (
+      htmlWebpackPlugin.constructor.getHooks
+    )(compilation);
+
+    hooks.alterAssetTagGroups.tap(
+      pluginName,
+      /**
+       * @param {{ headTags: import("./html").HtmlTagObject[], bodyTags: import("./html").HtmlTagObject[], outputName: string }} data
+       */
+      (data) => {
+        data.headTags = rewritePictureTags(
+          compilation,
+          data.headTags,
+          data.outputName,
+        );
+        data.bodyTags = rewritePictureTags(
+          compilation,
+          data.bodyTags,
+          data.outputName,
+        );
+
+        return data;
+      },
+    );
+
+    hooks.beforeEmit.tap(
+      pluginName,
+      /**
+       * @param {{ html: string, outputName: string }} data
+       */
+      (data) => {
+        data.html = rewritePictures(compilation, data.html, data.outputName);
+
+        return data;
+      },
+    );
+  }
+
   /**
    * @param {import("webpack").Compiler} compiler
    */
@@ -466,6 +982,10 @@ class ImageMinimizerPlugin {
     this.setupAll();
 
     if (this.options.loader) {
+      compiler.hooks.finishMake.tap({ name: pluginName }, (compilation) => {
+        reportLoaderProgress(compiler, compilation);
+      });
+
       compiler.hooks.compilation.tap({ name: pluginName }, (compilation) => {
         // Collect asset and update info from old loaders
         compilation.hooks.moduleAsset.tap(
@@ -504,8 +1024,19 @@ class ImageMinimizerPlugin {
       });
 
       compiler.hooks.afterPlugins.tap({ name: pluginName }, () => {
-        const { minimizer, generator, test, include, exclude, severityError } =
-          this.options;
+        const {
+          minimizer,
+          generator,
+          test,
+          include,
+          exclude,
+          severityError,
+          placeholder,
+          palette,
+          threads,
+          store,
+          budgets,
+        } = this.options;
 
         const minimizerForLoader = minimizer;
         let generatorForLoader = generator;
@@ -527,45 +1058,175 @@ class ImageMinimizerPlugin {
           return;
         }
 
+        const { hashFunction } = compiler.options.output;
+        // Modules are identified by `ident` of the loader, so they are built again when the cache identity of transformers is changed
+        const ident = `ImageMinimizerPlugin|${compiler.webpack.util
+          .createHash(/** @type {string} */ (hashFunction))
+          .update(
+            getSerializeJavascript()({
+              generator: generatorForLoader
+                ? getCacheIdentity(generatorForLoader)
+                : undefined,
+              minimizer: minimizerForLoader
+                ? getCacheIdentity(minimizerForLoader)
+                : undefined,
+              versions: getPackageVersions([
+                ...(generatorForLoader ?? []),
+                ...(Array.isArray(minimizerForLoader)
+                  ? minimizerForLoader
+                  : minimizerForLoader
+                    ? [minimizerForLoader]
+                    : []),
+              ]),
+              // Problems of budgets are reported by modules
+              budgets,
+            }),
+          )
+          .digest("hex")}`;
+        const use = [
+          {
+            loader: require.resolve(path.join(__dirname, "loader.js")),
+            ident,
+            options:
+              /** @type {import("./loader").LoaderOptions<T>} */
+              ({
+                generator: generatorForLoader,
+                minimizer: minimizerForLoader,
+                severityError,
+                placeholder,
+                palette,
+                threads,
+                store,
+                budgets,
+              }),
+          },
+        ];
         const loader = /** @type {InternalLoaderOptions<T>} */ ({
           test,
           include,
           exclude,
           enforce: "pre",
-          loader: require.resolve(path.join(__dirname, "loader.js")),
-          options:
-            /** @type {import("./loader").LoaderOptions<T>} */
-            ({
-              generator: generatorForLoader,
-              minimizer: minimizerForLoader,
-              severityError,
-            }),
+          use,
         });
         const dataURILoader = /** @type {InternalLoaderOptions<T>} */ ({
           scheme: /^data$/,
           mimetype: /^image\/.+/i,
           enforce: "pre",
-          loader: require.resolve(path.join(__dirname, "loader.js")),
-          options:
-            /** @type {import("./loader").LoaderOptions<T>} */
-            ({
-              generator: generatorForLoader,
-              minimizer: minimizerForLoader,
-              severityError,
-            }),
+          use,
+        });
+
+        // Images imported with `?srcset`, `?meta`, `?placeholder` and `?palette` are JavaScript modules
+        const exportsRule = /** @type {import("webpack").RuleSetRule} */ ({
+          test,
+          include,
+          exclude,
+          resourceQuery: EXPORTS_QUERY_REGEX,
+          type: "javascript/auto",
         });
 
         compiler.options.module.rules.push(loader);
         compiler.options.module.rules.push(dataURILoader);
+        compiler.options.module.rules.push(exportsRule);
+
+        // Traced SVG placeholders are inlined as data URI, i.e. `?as=traced`
+        if (Array.isArray(generatorForLoader)) {
+          for (const item of generatorForLoader) {
+            if (item.implementation === traceGenerate && item.preset) {
+              compiler.options.module.rules.push({
+                test,
+                include,
+                exclude,
+                resourceQuery: new RegExp(
+                  `[?&]as=${item.preset.replace(
+                    /[$()*+.?[\\\]^{|}]/g,
+                    "\\$&",
+                  )}(?:&|$)`,
+                ),
+                type: "asset/inline",
+                generator: { dataUrl: { encoding: false } },
+              });
+            }
+          }
+        }
       });
     }
 
     compiler.hooks.thisCompilation.tap(pluginName, (compilation) => {
+      const { minimizer, generator } = this.options;
+
+      // The persistent cache is invalidated after packages of implementations are updated
+      compilation.buildDependencies.addAll(
+        getTransformerPackages([
+          ...(Array.isArray(minimizer)
+            ? minimizer
+            : minimizer
+              ? [minimizer]
+              : []),
+          ...(Array.isArray(generator) ? generator : []),
+        ]).map((item) => item.path),
+      );
+
       compilation.hooks.afterSeal.tapPromise({ name: pluginName }, async () => {
         await this.teardownAll();
       });
+
+      if (this.options.picture) {
+        this.setupHtmlWebpackPlugin(compiler, compilation);
+      }
+
+      const { report, manifest } = this.options;
+
+      if (report || manifest) {
+        compilation.hooks.processAssets.tapPromise(
+          {
+            name: pluginName,
+            stage: compiler.webpack.Compilation.PROCESS_ASSETS_STAGE_REPORT,
+          },
+          async () => {
+            const { RawSource } = compiler.webpack.sources;
+
+            if (report) {
+              compilation.emitAsset(
+                report,
+                new RawSource(await getReportHtml(compilation)),
+                { development: true },
+              );
+            }
+
+            if (manifest) {
+              compilation.emitAsset(
+                manifest,
+                new RawSource(
+                  JSON.stringify(
+                    await getManifest(compilation, manifest),
+                    null,
+                    2,
+                  ),
+                ),
+              );
+            }
+          },
+        );
+      }
+    });
+
+    /** @type {Set<AbortController>} */
+    const abortControllers = new Set();
+
+    // In the watch mode running optimizations are stale after changes, a new compilation is started for them
+    compiler.hooks.invalid.tap(pluginName, () => {
+      for (const abortController of abortControllers) {
+        abortController.abort();
+      }
+
+      abortControllers.clear();
     });
 
+    // Unoptimized images are not emitted, the next compilation emits them
+    compiler.hooks.shouldEmit.tap(pluginName, (compilation) =>
+      abortedCompilations.has(compilation) ? false : undefined,
+    );
+
     compiler.hooks.compilation.tap(pluginName, (compilation) => {
       compilation.hooks.processAssets.tapPromise(
         {
@@ -575,11 +1236,132 @@ class ImageMinimizerPlugin {
           additionalAssets: true,
         },
         async (assets) => {
-          await this.optimize(compiler, compilation, assets);
+          const abortController = new AbortController();
+
+          abortControllers.add(abortController);
+
+          try {
+            await this.optimize(
+              compiler,
+              compilation,
+              assets,
+              abortController.signal,
+            );
+          } finally {
+            abortControllers.delete(abortController);
+          }
         },
       );
 
+      if (this.options.budgets) {
+        compilation.hooks.processAssets.tapPromise(
+          {
+            name: pluginName,
+            // Before the report, so problems are shown in it
+            stage: compiler.webpack.Compilation.PROCESS_ASSETS_STAGE_REPORT - 1,
+          },
+          async () => {
+            await this.reportBudgetProblems(compiler, compilation);
+          },
+        );
+      }
+
+      if (this.options.imageSet) {
+        compilation.hooks.processAssets.tap(
+          {
+            name: pluginName,
+            // Images are generated on the previous stage, source maps are extracted on the next stages
+            stage:
+              compiler.webpack.Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_SIZE +
+              1,
+          },
+          (assets) => {
+            this.addImageSets(compiler, compilation, assets);
+          },
+        );
+      }
+
+      if (this.options.dimensions) {
+        compilation.hooks.processAssets.tapPromise(
+          {
+            name: pluginName,
+            // After `html-webpack-plugin`, it emits HTML files on the `PROCESS_ASSETS_STAGE_OPTIMIZE_INLINE` stage
+            stage:
+              compiler.webpack.Compilation
+                .PROCESS_ASSETS_STAGE_OPTIMIZE_INLINE + 1,
+          },
+          async (assets) => {
+            await this.addImageDimensions(compiler, compilation, assets);
+          },
+        );
+      }
+
+      compilation.hooks.statsFactory.tap(pluginName, (stats) => {
+        stats.hooks.extract
+          .for("compilation")
+          .tap(pluginName, (object, statsCompilation) => {
+            const totals = getProcessingTotals(statsCompilation);
+
+            if (totals) {
+              object.imageMinimizer = totals;
+            }
+          });
+        // Results from the cache keep the time of the build which processed them,
+        // the info is extracted by webpack, so it is changed after it
+        stats.hooks.extract
+          .for("asset")
+          .tap(
+            { name: pluginName, stage: 1 },
+            (object, asset, { compilation: statsCompilation }) => {
+              if (
+                object.info &&
+                hasProcessingInfo(asset.info) &&
+                typeof asset.info.sourceFilename === "string" &&
+                !isProcessed(statsCompilation, asset.info.sourceFilename)
+              ) {
+                const { processingTime, ...info } = object.info;
+
+                object.info = info;
+              }
+            },
+          );
+      });
+
       compilation.hooks.statsPrinter.tap(pluginName, (stats) => {
+        stats.hooks.print
+          .for("asset.info.originalSize")
+          .tap(
+            "image-minimizer-webpack-plugin",
+            (originalSize, { asset, green, formatFlag, formatSize }) =>
+              asset && hasProcessingInfo(asset.info)
+                ? /** @type {Function} */ (green)(
+                    /** @type {Function} */ (formatFlag)(
+                      formatProcessing(
+                        /** @type {import("./stats").ProcessingTotals} */ (
+                          asset.info
+                        ),
+                        /** @type {(size: number) => string} */ (formatSize),
+                      ),
+                    ),
+                  )
+                : "",
+          );
+
+        stats.hooks.print
+          .for("compilation.imageMinimizer")
+          .tap(
+            "image-minimizer-webpack-plugin",
+            (totals, { bold, formatSize }) =>
+              `${
+                /** @type {Function} */ (bold)(
+                  `images (${totals.count}, ${totals.outputs} outputs):`,
+                )
+              } ${formatProcessing(
+                totals,
+                /** @type {(size: number) => string} */ (formatSize),
+              )}`,
+          );
+
         stats.hooks.print
           .for("asset.info.minimized")
           .tap(
@@ -617,5 +1399,8 @@ ImageMinimizerPlugin.squooshGenerate = squooshGenerate;
 ImageMinimizerPlugin.sharpMinify = sharpMinify;
 ImageMinimizerPlugin.sharpGenerate = sharpGenerate;
 ImageMinimizerPlugin.svgoMinify = svgoMinify;
+ImageMinimizerPlugin.traceGenerate = traceGenerate;
+ImageMinimizerPlugin.compareManifests = compareManifests;
+ImageMinimizerPlugin.getComparisonMarkdown = getComparisonMarkdown;
 
 module.exports = ImageMinimizerPlugin;
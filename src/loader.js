@@ -6,10 +6,25 @@ const {
   IMAGE_MINIMIZER_PLUGIN_INFO_MAPPINGS,
   ABSOLUTE_URL_REGEX,
   WINDOWS_PATH_REGEX,
+  getImageMetadata,
+  createImageDecoder,
+  getTransformerPackages,
 } = require("./utils.js");
+const { generatePlaceholder } = require("./placeholder");
+const { DEFAULT_PALETTE_COLORS, extractPalette } = require("./palette");
+const { getThreadsCount } = require("./pool");
+const { getStore } = require("./store");
+const { checkBudgets } = require("./budgets");
+const { addProcessing } = require("./stats");
+const {
+  MINIMIZE_TITLE,
+  getGeneratorTitle,
+  createLoaderProgressReporter,
+} = require("./progress");
 
 /** @typedef {import("schema-utils/declarations/validate").Schema} Schema */
 /** @typedef {import("webpack").Compilation} Compilation */
+/** @typedef {import("webpack").Compiler} Compiler */
 /** @typedef {import("./utils").WorkerResult} WorkerResult */
 
 /**
@@ -28,6 +43,11 @@ const {
  * @property {string} [severityError] Allows to choose how errors are displayed.
  * @property {Minimizer<T> | Minimizer<T>[]} [minimizer]
  * @property {Generator<T>[]} [generator]
+ * @property {import("./index").PlaceholderType | import("./index").PlaceholderType[]} [placeholder] Allows to generate placeholders for images and store them in the asset info.
+ * @property {boolean | number} [palette] Allows to extract the dominant color and the palette of images and store them in the asset info.
+ * @property {boolean | number} [threads] Allows to run minimizers and generators in worker threads.
+ * @property {boolean | string | import("./store").StoreOptions} [store] Allows to store results in a directory which is shared between projects and builds.
+ * @property {import("./budgets").Budget[]} [budgets] Allows to limit sizes and widths of images.
  */
 
 // Workaround - https://github.com/webpack-contrib/image-minimizer-webpack-plugin/issues/341
@@ -94,44 +114,375 @@ function processSizeQuery(transformers, widthQuery, heightQuery, unitQuery) {
 }
 
 /**
+ * @param {string | null} widthsQuery
+ * @returns {number[]}
+ */
+function parseWidthsQuery(widthsQuery) {
+  if (!widthsQuery) {
+    return [];
+  }
+
+  const widths = new Set();
+
+  for (const item of widthsQuery.split(/[;,]/)) {
+    const width = Number.parseInt(item, 10);
+
+    if (Number.isFinite(width) && width > 0) {
+      widths.add(width);
+    }
+  }
+
+  return [...widths].sort((a, b) => a - b);
+}
+
+/**
+ * @param {string} filename
+ * @param {string} suffix
+ * @returns {string}
+ */
+function addFilenameSuffix(filename, suffix) {
+  const ext = path.extname(filename);
+
+  return `${filename.slice(0, filename.length - ext.length)}${suffix}${ext}`;
+}
+
+/**
+ * @param {string} filename
+ * @returns {string}
+ */
+function publicPathCode(filename) {
+  return `__webpack_public_path__ + ${JSON.stringify(
+    filename.replace(/\\/g, "/"),
+  )}`;
+}
+
+/**
+ * @param {Record<string, any>} properties
+ * @returns {string}
+ */
+function propertiesCode(properties) {
+  return Object.entries(properties)
+    .map(([key, value]) => `  ${key}: ${JSON.stringify(value ?? null)},\n`)
+    .join("");
+}
+
+/**
+ * Images emitted by the loader are named like asset modules, by the `output.assetModuleFilename` option (or the `generator.filename` option of the rule) with the hash of their content.
  * @template T
- * @this {import("webpack").LoaderContext<LoaderOptions<T>>}
- * @param {Buffer} content
- * @returns {Promise<Buffer | undefined>}
+ * @param {import("webpack").LoaderContext<LoaderOptions<T>>} loaderContext
+ * @param {string} filename Name of the image, it is used for the `[name]`, `[ext]` and `[path]` placeholders.
+ * @param {Buffer} data
+ * @param {import("webpack").AssetInfo} [info]
+ * @returns {string} Name of the emitted asset.
  */
-async function loader(content) {
-  // Avoid optimize twice
-  const imageMinimizerPluginInfo = this._module
-    ? IMAGE_MINIMIZER_PLUGIN_INFO_MAPPINGS.get(this._module)
-    : undefined;
+function emitImage(loaderContext, filename, data, info) {
+  const compilation = /** @type {Compilation} */ (loaderContext._compilation);
+  const { hashFunction, hashDigest, hashDigestLength, hashSalt } =
+    compilation.outputOptions;
+  const hash = compilation.compiler.webpack.util.createHash(
+    /** @type {string} */ (hashFunction),
+  );
 
-  if (
-    imageMinimizerPluginInfo?.minimized ||
-    imageMinimizerPluginInfo?.generated
-  ) {
-    return content;
+  if (hashSalt) {
+    hash.update(hashSalt);
   }
 
-  // @ts-ignore
-  const options = this.getOptions(/** @type {Schema} */ (schema));
-  const callback = this.async();
-  const { generator, minimizer, severityError } = options;
+  hash.update(data);
+
+  const contentHash = /** @type {string} */ (
+    hash.digest(/** @type {string} */ (hashDigest))
+  ).slice(0, hashDigestLength);
+  const { path: assetPath, info: assetInfo } = compilation.getAssetPathWithInfo(
+    /** @type {string | ((pathData: import("webpack").PathData) => string)} */ (
+      loaderContext._module?.generatorOptions?.filename ??
+        compilation.outputOptions.assetModuleFilename
+    ),
+    { module: loaderContext._module, filename, contentHash },
+  );
 
-  if (!minimizer && !generator) {
-    callback(
-      new Error(
-        "Not configured 'minimizer' or 'generator' options, please setup them",
+  loaderContext.emitFile(assetPath, data, undefined, {
+    ...info,
+    ...assetInfo,
+  });
+
+  return assetPath;
+}
+
+/**
+ * Exceeded budgets don't change emitted images, they are only reported.
+ * @template T
+ * @param {import("webpack").LoaderContext<LoaderOptions<T>>} loaderContext
+ * @param {import("./budgets").BudgetImage[]} images
+ * @param {import("./budgets").Budget[] | undefined} budgets
+ * @param {string | undefined} severityError
+ * @returns {Promise<void>}
+ */
+async function emitBudgetProblems(
+  loaderContext,
+  images,
+  budgets,
+  severityError,
+) {
+  const { warnings, errors } = await checkBudgets(
+    /** @type {Compiler} */ (loaderContext._compiler),
+    images,
+    budgets,
+    severityError,
+  );
+
+  for (const warning of warnings) {
+    loaderContext.emitWarning(warning);
+  }
+
+  for (const error of errors) {
+    loaderContext.emitError(error);
+  }
+}
+
+/**
+ * @template T
+ * @param {import("webpack").LoaderContext<LoaderOptions<T>>} loaderContext
+ * @param {Buffer} content
+ * @param {import("./index").InternalWorkerOptions<T>} minifyOptions
+ * @param {number[]} widths
+ * @param {import("./budgets").Budget[]} [budgets]
+ * @returns {Promise<string>}
+ */
+async function srcsetLoader(
+  loaderContext,
+  content,
+  minifyOptions,
+  widths,
+  budgets,
+) {
+  const transformers = Array.isArray(minifyOptions.transformer)
+    ? minifyOptions.transformer
+    : [minifyOptions.transformer];
+
+  // Each width is resized from the same decoded image
+  const decode = createImageDecoder(content);
+  const startTime = performance.now();
+  const outputs = (
+    await Promise.all(
+      widths.map((width) =>
+        worker({
+          ...minifyOptions,
+          decode,
+          transformer: processSizeQuery(transformers, `${width}`, "auto", "px"),
+        }),
+      ),
+    )
+  ).map((result) => (Array.isArray(result) ? result : [result]));
+
+  addProcessing(
+    /** @type {Compilation} */ (loaderContext._compilation),
+    startTime,
+    performance.now(),
+    [minifyOptions.filename],
+  );
+
+  /** @type {Array<{ filename: string, width?: number, height?: number }>} */
+  const variants = [];
+  const filenames = new Set(outputs.map(([output]) => output.filename));
+
+  for (const [index, results] of outputs.entries()) {
+    const [output] = results;
+
+    for (const warning of results.flatMap((item) => item.warnings)) {
+      loaderContext.emitWarning(warning);
+    }
+
+    const errors = results.flatMap((item) => item.errors);
+
+    if (errors.length > 0) {
+      for (const error of errors) {
+        loaderContext.emitError(error);
+      }
+
+      continue;
+    }
+
+    const width = output.info.width ?? widths[index];
+    /**
+     * Transformers without the `filename` option return the same name for all widths
+     * @param {string} name
+     * @returns {string}
+     */
+    const getFilename = (name) =>
+      filenames.size === outputs.length
+        ? name
+        : addFilenameSuffix(name, `-${width}w`);
+    // Other formats of the same width are emitted next to the image
+    const images = results.map((item) => ({
+      filename: emitImage(
+        loaderContext,
+        getFilename(item.filename),
+        item.data,
+        item.info,
       ),
+      data: item.data,
+      info: item.info,
+    }));
+    const [{ filename }] = images;
+
+    // eslint-disable-next-line no-await-in-loop
+    await emitBudgetProblems(
+      loaderContext,
+      images,
+      budgets,
+      minifyOptions.severityError,
     );
 
-    return;
+    variants.push({ filename, width, height: output.info.height });
+  }
+
+  if (variants.length === 0) {
+    const filename = emitImage(loaderContext, minifyOptions.filename, content);
+
+    return `export default {
+  src: ${publicPathCode(filename)},
+  srcset: ${publicPathCode(filename)},
+};
+`;
+  }
+
+  const largest = variants[variants.length - 1];
+  const srcset = variants
+    .map(
+      ({ filename, width }) =>
+        `${publicPathCode(filename)} + ${JSON.stringify(` ${width}w`)}`,
+    )
+    .join(' + ", " + ');
+
+  return `export default {
+  src: ${publicPathCode(largest.filename)},
+  srcset: ${srcset},
+${propertiesCode({ width: largest.width, height: largest.height })}};
+`;
+}
+
+/**
+ * @template T
+ * @param {import("webpack").LoaderContext<LoaderOptions<T>>} loaderContext
+ * @param {WorkerResult} output
+ * @param {URLSearchParams} parsedQuery
+ * @returns {Promise<string>}
+ */
+async function exportsLoader(loaderContext, output, parsedQuery) {
+  const { format, width, height, hasAlpha, isAnimated } =
+    await getImageMetadata(output.data);
+
+  /** @type {Record<string, any>} */
+  const properties = {
+    width: width ?? output.info.width,
+    height: height ?? output.info.height,
+  };
+
+  if (parsedQuery.has("meta")) {
+    Object.assign(properties, {
+      format,
+      size: output.data.length,
+      hasAlpha,
+      isAnimated,
+      generatedBy: output.info.generatedBy ?? [],
+      minimizedBy: output.info.minimizedBy ?? [],
+    });
+  }
+
+  if (parsedQuery.has("placeholder")) {
+    const type = /** @type {import("./index").PlaceholderType} */ (
+      parsedQuery.get("placeholder") || "thumbhash"
+    );
+
+    try {
+      properties.placeholder =
+        output.info.placeholder?.[type] ??
+        (await generatePlaceholder(output.data, type));
+    } catch (error) {
+      const originalError =
+        error instanceof Error
+          ? error
+          : new Error(/** @type {string} */ (error));
+
+      loaderContext.emitError(
+        new Error(`Error with '${output.filename}': ${originalError.message}`),
+      );
+    }
+  }
+
+  if (parsedQuery.has("palette")) {
+    const colors = Number.parseInt(parsedQuery.get("palette") ?? "", 10);
+    const hasColors = Number.isFinite(colors) && colors > 0;
+
+    try {
+      Object.assign(
+        properties,
+        // Reuse the palette from the `palette` option when the query doesn't specify number of colors
+        !hasColors && typeof output.info.dominantColor === "string"
+          ? {
+              dominantColor: output.info.dominantColor,
+              palette: output.info.palette,
+            }
+          : await extractPalette(output.data, hasColors ? colors : undefined),
+      );
+    } catch (error) {
+      const originalError =
+        error instanceof Error
+          ? error
+          : new Error(/** @type {string} */ (error));
+
+      loaderContext.emitError(
+        new Error(`Error with '${output.filename}': ${originalError.message}`),
+      );
+    }
+  }
+
+  const filename = emitImage(
+    loaderContext,
+    output.filename,
+    output.data,
+    output.info,
+  );
+
+  return `export default {
+  src: ${publicPathCode(filename)},
+${propertiesCode(properties)}};
+`;
+}
+
+/**
+ * @template T
+ * @param {import("webpack").LoaderContext<LoaderOptions<T>>} loaderContext
+ * @param {Buffer} content
+ * @param {LoaderOptions<T>} options
+ * @returns {Promise<Buffer | string>}
+ */
+async function processImage(loaderContext, content, options) {
+  const { generator, minimizer, severityError, budgets } = options;
+  const placeholder =
+    typeof options.placeholder === "string"
+      ? [options.placeholder]
+      : options.placeholder;
+  const palette =
+    options.palette === true
+      ? DEFAULT_PALETTE_COLORS
+      : options.palette || undefined;
+  const threads = getThreadsCount(options.threads);
+  const store = options.store
+    ? getStore(options.store, loaderContext.rootContext)
+    : undefined;
+
+  if (!minimizer && !generator) {
+    throw new Error(
+      "Not configured 'minimizer' or 'generator' options, please setup them",
+    );
   }
 
   let transformer = minimizer;
 
   const parsedQuery =
-    this.resourceQuery.length > 0
-      ? new URLSearchParams(this.resourceQuery)
+    loaderContext.resourceQuery.length > 0
+      ? new URLSearchParams(loaderContext.resourceQuery)
       : null;
 
   if (parsedQuery) {
@@ -139,45 +490,114 @@ async function loader(content) {
 
     if (presetName) {
       if (!generator) {
-        callback(
-          new Error(
-            "Please specify the 'generator' option to use 'as' query param for generation purposes.",
-          ),
+        throw new Error(
+          "Please specify the 'generator' option to use 'as' query param for generation purposes.",
         );
-
-        return;
       }
 
       const presets = generator.filter((item) => item.preset === presetName);
 
       if (presets.length > 1) {
-        callback(
-          new Error(
-            "Found several identical preset names, the 'preset' option should be unique",
-          ),
+        throw new Error(
+          "Found several identical preset names, the 'preset' option should be unique",
         );
-
-        return;
       }
 
       if (presets.length === 0) {
-        callback(
-          new Error(
-            `Can't find '${presetName}' preset in the 'generator' option`,
-          ),
+        throw new Error(
+          `Can't find '${presetName}' preset in the 'generator' option`,
         );
-
-        return;
       }
 
       [transformer] = presets;
     }
   }
 
+  const filename =
+    ABSOLUTE_URL_REGEX.test(loaderContext.resourcePath) &&
+    !WINDOWS_PATH_REGEX.test(loaderContext.resourcePath)
+      ? loaderContext.resourcePath
+      : path.relative(loaderContext.rootContext, loaderContext.resourcePath);
+  const isExportsQuery = Boolean(
+    parsedQuery &&
+      ["meta", "placeholder", "palette"].some((key) => parsedQuery.has(key)),
+  );
+  /** @type {WorkerResult} */
+  const original = {
+    filename,
+    data: content,
+    warnings: [],
+    errors: [],
+    info: { sourceFilename: filename },
+  };
+
   if (!transformer) {
-    callback(null, content);
+    if (!isExportsQuery) {
+      return content;
+    }
 
-    return;
+    return exportsLoader(
+      loaderContext,
+      original,
+      /** @type {URLSearchParams} */ (parsedQuery),
+    );
+  }
+
+  // Modules are built again after packages of implementations are updated
+  for (const { path: packageJsonPath } of getTransformerPackages(transformer)) {
+    loaderContext.addBuildDependency(packageJsonPath);
+  }
+
+  const isSrcsetQuery = Boolean(parsedQuery && parsedQuery.has("srcset"));
+  const widths = isSrcsetQuery
+    ? parseWidthsQuery(
+        /** @type {URLSearchParams} */ (parsedQuery).get("widths"),
+      )
+    : [];
+
+  if (isSrcsetQuery && widths.length === 0) {
+    throw new Error(
+      "Please specify the 'widths' query param to use 'srcset' query param, i.e. '?srcset&widths=320;640;1280'",
+    );
+  }
+
+  // Images are counted after the query is validated and marked as processed even when they fail, so the progress reaches the total
+  const reportProcessed = createLoaderProgressReporter(
+    /** @type {Compiler} */ (loaderContext._compiler),
+    /** @type {Compilation} */ (loaderContext._compilation),
+  )(
+    filename,
+    transformer === minimizer
+      ? MINIMIZE_TITLE
+      : getGeneratorTitle(/** @type {Generator<T>} */ (transformer)),
+  );
+
+  if (isSrcsetQuery) {
+    try {
+      return await srcsetLoader(
+        loaderContext,
+        content,
+        /** @type {import("./index").InternalWorkerOptions<T>} */ ({
+          input: content,
+          filename,
+          severityError,
+          transformer,
+          generateFilename:
+            /** @type {Compilation} */
+            (loaderContext._compilation).getAssetPath.bind(
+              loaderContext._compilation,
+            ),
+          placeholder,
+          palette,
+          threads,
+          store,
+        }),
+        widths,
+        budgets,
+      );
+    } finally {
+      reportProcessed();
+    }
   }
 
   if (parsedQuery) {
@@ -204,12 +624,6 @@ async function loader(content) {
     }
   }
 
-  const filename =
-    ABSOLUTE_URL_REGEX.test(this.resourcePath) &&
-    !WINDOWS_PATH_REGEX.test(this.resourcePath)
-      ? this.resourcePath
-      : path.relative(this.rootContext, this.resourcePath);
-
   const minifyOptions =
     /** @type {import("./index").InternalWorkerOptions<T>} */ ({
       input: content,
@@ -218,34 +632,88 @@ async function loader(content) {
       transformer,
       generateFilename:
         /** @type {Compilation} */
-        (this._compilation).getAssetPath.bind(this._compilation),
+        (loaderContext._compilation).getAssetPath.bind(
+          loaderContext._compilation,
+        ),
+      placeholder,
+      palette,
+      threads,
+      store,
     });
 
-  const output = await worker(minifyOptions);
+  const startTime = performance.now();
+  let result;
+
+  try {
+    result = await worker(minifyOptions);
+  } finally {
+    reportProcessed();
+  }
+
+  addProcessing(
+    /** @type {Compilation} */ (loaderContext._compilation),
+    startTime,
+    performance.now(),
+    [filename],
+  );
 
-  if (output.errors && output.errors.length > 0) {
-    for (const error of output.errors) {
-      this.emitError(error);
+  // The first result is used for the module, others (i.e. other formats) are emitted as assets
+  const [output, ...siblings] = Array.isArray(result) ? result : [result];
+  const errors = [output, ...siblings].flatMap((item) => item.errors ?? []);
+
+  if (errors.length > 0) {
+    for (const error of errors) {
+      loaderContext.emitError(error);
     }
 
-    callback(null, content);
+    if (!isExportsQuery) {
+      return content;
+    }
 
-    return;
+    return exportsLoader(
+      loaderContext,
+      original,
+      /** @type {URLSearchParams} */ (parsedQuery),
+    );
   }
 
-  if (output.warnings && output.warnings.length > 0) {
-    for (const warning of output.warnings) {
-      this.emitWarning(warning);
-    }
+  for (const warning of [output, ...siblings].flatMap(
+    (item) => item.warnings ?? [],
+  )) {
+    loaderContext.emitWarning(warning);
+  }
+
+  await emitBudgetProblems(
+    loaderContext,
+    [output, ...siblings],
+    budgets,
+    severityError,
+  );
+
+  for (const sibling of siblings) {
+    loaderContext.emitFile(
+      sibling.filename,
+      sibling.data,
+      undefined,
+      sibling.info,
+    );
+  }
+
+  if (isExportsQuery) {
+    return exportsLoader(
+      loaderContext,
+      output,
+      /** @type {URLSearchParams} */ (parsedQuery),
+    );
   }
 
   // Change content of the data URI after minimizer
-  if (this._module?.resourceResolveData?.encodedContent) {
+  if (loaderContext._module?.resourceResolveData?.encodedContent) {
     const isBase64 = /^base64$/i.test(
-      this._module.resourceResolveData.encoding,
+      loaderContext._module.resourceResolveData.encoding,
     );
 
-    this._module.resourceResolveData.encodedContent = isBase64
+    loaderContext._module.resourceResolveData.encodedContent = isBase64
       ? output.data.toString("base64")
       : encodeURIComponent(output.data.toString("utf-8")).replace(
           /[!'()*]/g,
@@ -253,7 +721,7 @@ async function loader(content) {
             `%${/** @type {number} */ (character.codePointAt(0)).toString(16)}`,
         );
   } else {
-    let query = this.resourceQuery;
+    let query = loaderContext.resourceQuery;
 
     if (parsedQuery) {
       // Remove query param from the bundle due we need that only for bundle purposes
@@ -266,19 +734,58 @@ async function loader(content) {
     }
 
     // Old approach for `file-loader` and other old loaders
-    changeResource(this, output, query);
+    changeResource(loaderContext, output, query);
 
     // Change name of assets modules after generator
-    if (this._module && !this._module.matchResource) {
-      this._module.matchResource = `${output.filename}${query}`;
+    if (loaderContext._module && !loaderContext._module.matchResource) {
+      loaderContext._module.matchResource = `${output.filename}${query}`;
     }
   }
 
-  if (this._module) {
-    IMAGE_MINIMIZER_PLUGIN_INFO_MAPPINGS.set(this._module, output.info);
+  if (loaderContext._module) {
+    IMAGE_MINIMIZER_PLUGIN_INFO_MAPPINGS.set(
+      loaderContext._module,
+      output.info,
+    );
+  }
+
+  return output.data;
+}
+
+/**
+ * @template T
+ * @this {import("webpack").LoaderContext<LoaderOptions<T>>}
+ * @param {Buffer} content
+ * @returns {Promise<Buffer | undefined>}
+ */
+async function loader(content) {
+  // Avoid optimize twice
+  const imageMinimizerPluginInfo = this._module
+    ? IMAGE_MINIMIZER_PLUGIN_INFO_MAPPINGS.get(this._module)
+    : undefined;
+
+  if (
+    imageMinimizerPluginInfo?.minimized ||
+    imageMinimizerPluginInfo?.generated
+  ) {
+    return content;
+  }
+
+  // @ts-ignore
+  const options = this.getOptions(/** @type {Schema} */ (schema));
+  const callback = this.async();
+  let result;
+
+  // Errors of images, exports and budgets are reported to webpack, not left as unhandled rejections
+  try {
+    result = await processImage(this, content, options);
+  } catch (error) {
+    callback(/** @type {Error} */ (error));
+
+    return;
   }
 
-  callback(null, output.data);
+  callback(null, result);
 }
 
 loader.raw = true;
@@ -0,0 +1,84 @@
+const path = require("path");
+
+const { hasProcessingInfo } = require("./stats");
+const { getImageVariants, getMimeType, getImageSize } = require("./variants");
+
+/** @typedef {import("webpack").Compilation} Compilation */
+
+const DEFAULT_MANIFEST_FILENAME = "image-manifest.json";
+
+/**
+ * @typedef {Object} ManifestVariant
+ * @property {string} url
+ * @property {string} name
+ * @property {string} format
+ * @property {string} type
+ * @property {number | null} width
+ * @property {number | null} height
+ * @property {number} size
+ * @property {string | null} preset
+ */
+
+/**
+ * @typedef {Record<string, ManifestVariant[]>} Manifest
+ */
+
+/**
+ * Maps source images to all their images in the output, i.e. the minimized original and generated formats and sizes.
+ * Only images which are minimized or generated by the plugin are listed, like in the report.
+ * @param {Compilation} compilation
+ * @param {string} [filename] Name of the manifest, URLs are relative to it with the `auto` public path.
+ * @returns {Promise<Manifest>}
+ */
+async function getManifest(compilation, filename = DEFAULT_MANIFEST_FILENAME) {
+  const publicPath = compilation.getAssetPath(
+    compilation.outputOptions.publicPath ?? "auto",
+    { hash: compilation.hash },
+  );
+  /** @type {Manifest} */
+  const manifest = {};
+  const sources = [...getImageVariants(compilation)].sort(([a], [b]) =>
+    a.localeCompare(b),
+  );
+
+  for (const [sourceFilename, assets] of sources) {
+    const images = assets.filter(
+      ({ name, info }) => getMimeType(name) && hasProcessingInfo(info),
+    );
+
+    if (images.length === 0) {
+      continue;
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    manifest[sourceFilename] = await Promise.all(
+      images
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(async (image) => {
+          const { width, height } = await getImageSize(compilation, image);
+
+          return {
+            // The public path is resolved at runtime with `auto`, so URLs are relative to the manifest, as URLs in CSS files
+            url:
+              publicPath === "auto"
+                ? path.posix.relative(path.posix.dirname(filename), image.name)
+                : `${publicPath}${image.name}`,
+            name: image.name,
+            format: path.extname(image.name).slice(1).toLowerCase(),
+            type: /** @type {string} */ (getMimeType(image.name)),
+            width: width ?? null,
+            height: height ?? null,
+            size: /** @type {import("webpack").Asset} */ (
+              compilation.getAsset(image.name)
+            ).source.size(),
+            preset:
+              typeof image.info.preset === "string" ? image.info.preset : null,
+          };
+        }),
+    );
+  }
+
+  return manifest;
+}
+
+module.exports = { DEFAULT_MANIFEST_FILENAME, getManifest };
@@ -0,0 +1,199 @@
+/** @typedef {import("sharp")} SharpLib */
+/** @typedef {import("sharp").Sharp} Sharp */
+
+/**
+ * @typedef {Object} Palette
+ * @property {string} [dominantColor] The most common color of the image.
+ * @property {string[]} palette Colors of the image sorted by population.
+ */
+
+/** @typedef {[number, number, number]} Color */
+
+const DEFAULT_PALETTE_COLORS = 5;
+// Colors of a small image are enough to build a palette
+const PALETTE_MAX_SIZE = 64;
+const REFINE_ITERATIONS = 4;
+
+/**
+ * @param {Color[]} pixels
+ * @returns {{ channel: number, range: number }}
+ */
+function getWidestChannel(pixels) {
+  let channel = 0;
+  let range = 0;
+
+  for (let index = 0; index < 3; index++) {
+    let min = 255;
+    let max = 0;
+
+    for (const pixel of pixels) {
+      min = Math.min(min, pixel[index]);
+      max = Math.max(max, pixel[index]);
+    }
+
+    if (max - min > range) {
+      channel = index;
+      range = max - min;
+    }
+  }
+
+  return { channel, range };
+}
+
+/**
+ * @param {Color[]} pixels
+ * @returns {Color}
+ */
+function average(pixels) {
+  const sum = [0, 0, 0];
+
+  for (const pixel of pixels) {
+    sum[0] += pixel[0];
+    sum[1] += pixel[1];
+    sum[2] += pixel[2];
+  }
+
+  return [
+    sum[0] / pixels.length,
+    sum[1] / pixels.length,
+    sum[2] / pixels.length,
+  ];
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function toHex(value) {
+  return Math.round(value).toString(16).padStart(2, "0");
+}
+
+/**
+ * Median cut quantization, splits the most populated and widest box of colors until there are enough boxes.
+ * @param {Color[]} pixels
+ * @param {number} colors
+ * @returns {string[]}
+ */
+function quantize(pixels, colors) {
+  if (pixels.length === 0) {
+    return [];
+  }
+
+  const boxes = [pixels];
+
+  while (boxes.length < colors) {
+    let boxIndex = -1;
+    let maxScore = 0;
+    let splitChannel = 0;
+
+    for (const [index, box] of boxes.entries()) {
+      const { channel, range } = getWidestChannel(box);
+      const score = range * box.length;
+
+      if (box.length > 1 && score > maxScore) {
+        boxIndex = index;
+        maxScore = score;
+        splitChannel = channel;
+      }
+    }
+
+    if (boxIndex === -1) {
+      break;
+    }
+
+    const box = boxes[boxIndex].sort(
+      (a, b) => a[splitChannel] - b[splitChannel],
+    );
+    const median = Math.floor(box.length / 2);
+
+    boxes.splice(boxIndex, 1, box.slice(0, median), box.slice(median));
+  }
+
+  /** @type {Color[]} */
+  const centroids = boxes.map((box) => average(box));
+  /** @type {Color[][]} */
+  let clusters = boxes;
+
+  // Refine median cut colors with a few k-means iterations, so populations of colors are real
+  for (let iteration = 0; iteration < REFINE_ITERATIONS; iteration++) {
+    clusters = centroids.map(() => []);
+
+    for (const pixel of pixels) {
+      let nearest = 0;
+      let minDistance = Number.POSITIVE_INFINITY;
+
+      for (const [index, centroid] of centroids.entries()) {
+        const distance =
+          (pixel[0] - centroid[0]) ** 2 +
+          (pixel[1] - centroid[1]) ** 2 +
+          (pixel[2] - centroid[2]) ** 2;
+
+        if (distance < minDistance) {
+          nearest = index;
+          minDistance = distance;
+        }
+      }
+
+      clusters[nearest].push(pixel);
+    }
+
+    for (const [index, cluster] of clusters.entries()) {
+      if (cluster.length > 0) {
+        centroids[index] = average(cluster);
+      }
+    }
+  }
+
+  /** @type {Map<string, number>} */
+  const population = new Map();
+
+  for (const [index, cluster] of clusters.entries()) {
+    if (cluster.length > 0) {
+      const color = `#${centroids[index].map((value) => toHex(value)).join("")}`;
+
+      population.set(color, (population.get(color) ?? 0) + cluster.length);
+    }
+  }
+
+  return [...population.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([color]) => color);
+}
+
+/**
+ * Extracts the dominant color and the palette of an image, transparent pixels are ignored.
+ * The image is an encoded image or a pipeline of decoded pixels.
+ * @param {Buffer | Sharp} image
+ * @param {number} [colors]
+ * @returns {Promise<Palette>}
+ */
+async function extractPalette(image, colors = DEFAULT_PALETTE_COLORS) {
+  /** @type {SharpLib} */
+  // eslint-disable-next-line node/no-unpublished-require
+  const sharp = require("sharp");
+  const { data: pixels, info } = await (
+    Buffer.isBuffer(image) ? sharp(image) : image.clone()
+  )
+    .resize(PALETTE_MAX_SIZE, PALETTE_MAX_SIZE, {
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  /** @type {Color[]} */
+  const opaque = [];
+
+  for (let index = 0; index < info.width * info.height * 4; index += 4) {
+    if (pixels[index + 3] >= 128) {
+      opaque.push([pixels[index], pixels[index + 1], pixels[index + 2]]);
+    }
+  }
+
+  const palette = quantize(opaque, Math.max(1, Math.round(colors)));
+
+  return { dominantColor: palette[0], palette };
+}
+
+module.exports = { DEFAULT_PALETTE_COLORS, extractPalette };
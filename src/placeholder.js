@@ -0,0 +1,132 @@
+/** @typedef {import("sharp")} SharpLib */
+/** @typedef {import("sharp").Sharp} Sharp */
+
+/**
+ * @typedef {"thumbhash" | "blurhash" | "lqip"} PlaceholderType
+ */
+
+/**
+ * @typedef {Object} RawImage
+ * @property {Buffer} data RGBA pixels.
+ * @property {number} width
+ * @property {number} height
+ */
+
+const PLACEHOLDER_TYPES = ["thumbhash", "blurhash", "lqip"];
+
+// ThumbHash encodes images up to 100x100 only
+const THUMBHASH_MAX_SIZE = 100;
+// BlurHash stores only a few components, small image is enough
+const BLURHASH_MAX_SIZE = 32;
+const LQIP_MAX_SIZE = 16;
+
+/**
+ * @param {Buffer | Sharp} image
+ * @returns {Sharp}
+ */
+function toSharp(image) {
+  if (!Buffer.isBuffer(image)) {
+    // The same pipeline is used for each type of placeholders
+    return image.clone();
+  }
+
+  /** @type {SharpLib} */
+  // eslint-disable-next-line node/no-unpublished-require
+  const sharp = require("sharp");
+
+  return sharp(image);
+}
+
+/**
+ * @param {Buffer | Sharp} image
+ * @param {number} maxSize
+ * @returns {Promise<RawImage>}
+ */
+async function decodeRaw(image, maxSize) {
+  const { data: pixels, info } = await toSharp(image)
+    .resize(maxSize, maxSize, { fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return { data: pixels, width: info.width, height: info.height };
+}
+
+/**
+ * Generates a compact placeholder of an image, the image is an encoded image or a pipeline of decoded pixels.
+ * @param {Buffer | Sharp} image
+ * @param {PlaceholderType} type
+ * @returns {Promise<string>}
+ */
+async function generatePlaceholder(image, type) {
+  switch (type) {
+    case "thumbhash": {
+      // @ts-ignore
+      const { rgbaToThumbHash } = await import("thumbhash");
+      const {
+        data: pixels,
+        width,
+        height,
+      } = await decodeRaw(image, THUMBHASH_MAX_SIZE);
+
+      return Buffer.from(rgbaToThumbHash(width, height, pixels)).toString(
+        "base64",
+      );
+    }
+    case "blurhash": {
+      const { encode } = require("blurhash");
+      const {
+        data: pixels,
+        width,
+        height,
+      } = await decodeRaw(image, BLURHASH_MAX_SIZE);
+      const componentX = width >= height ? 4 : 3;
+      const componentY = width >= height ? 3 : 4;
+
+      return encode(
+        new Uint8ClampedArray(pixels),
+        width,
+        height,
+        componentX,
+        componentY,
+      );
+    }
+    case "lqip": {
+      const result = await toSharp(image)
+        .resize(LQIP_MAX_SIZE, LQIP_MAX_SIZE, { fit: "inside" })
+        .webp({ quality: 20, alphaQuality: 20, effort: 6 })
+        .toBuffer();
+
+      return `data:image/webp;base64,${result.toString("base64")}`;
+    }
+    default:
+      throw new Error(
+        `Unknown placeholder type '${type}', use one of ${PLACEHOLDER_TYPES.map(
+          (item) => `'${item}'`,
+        ).join(", ")}`,
+      );
+  }
+}
+
+/**
+ * @param {Buffer | Sharp} image
+ * @param {PlaceholderType[]} types
+ * @returns {Promise<Partial<Record<PlaceholderType, string>>>}
+ */
+async function generatePlaceholders(image, types) {
+  /** @type {Partial<Record<PlaceholderType, string>>} */
+  const placeholders = {};
+
+  for (const type of types) {
+    // eslint-disable-next-line no-await-in-loop
+    placeholders[type] = await generatePlaceholder(image, type);
+  }
+
+  return placeholders;
+}
+
+module.exports = {
+  PLACEHOLDER_TYPES,
+  generatePlaceholder,
+  generatePlaceholders,
+};
@@ -0,0 +1,444 @@
+const os = require("os");
+const path = require("path");
+
+/** @typedef {import("worker_threads").Worker} Worker */
+/** @typedef {import("./index").WorkerResult} WorkerResult */
+/** @typedef {import("./index").FilenameFn} FilenameFn */
+
+/**
+ * @typedef {Object} ImplementationPath
+ * @property {string} path Absolute path to a module.
+ * @property {string} [name] Name of the export, the module itself is the implementation when it is not specified.
+ */
+
+/**
+ * @typedef {Object} ThreadTransformer
+ * @property {ImplementationPath} implementation
+ * @property {any} [options]
+ * @property {number} [filename] Index of the transformer, filename templates are processed on the main thread.
+ */
+
+/**
+ * @typedef {Object} ThreadTask
+ * @property {number} id
+ * @property {{ data: Uint8Array, filename: string, info: import("webpack").AssetInfo, warnings: Error[], errors: Error[] }} input
+ * @property {ThreadTransformer[]} transformers
+ * @property {boolean} [steps] Results of steps are returned, so they can be cached on the main thread.
+ */
+
+/**
+ * @typedef {Object} ThreadResult
+ * @property {number} id
+ * @property {Array<{ result: Omit<WorkerResult, "data"> & { data: Uint8Array }, filenameTemplate: number | undefined }>} [results]
+ * @property {Array<{ index: number, result: Omit<WorkerResult, "data"> & { data: Uint8Array }, filenameTemplate: number | undefined }>} [steps]
+ * @property {Error} [error]
+ */
+
+/**
+ * @typedef {Object} PendingTask
+ * @property {ThreadTask} task
+ * @property {ArrayBuffer[]} transferList
+ * @property {(message: ThreadResult) => void} resolve
+ * @property {(error: Error) => void} reject
+ * @property {AbortSignal} [signal]
+ */
+
+/** @type {WeakMap<Function, ImplementationPath | null>} */
+const implementationPaths = new WeakMap();
+
+/**
+ * Finds the module which exports an implementation, so it can be loaded in threads.
+ * Built-in implementations are exported from `utils`, custom implementations are searched in the `require` cache.
+ * @param {Function} implementation
+ * @returns {ImplementationPath | null}
+ */
+function getImplementationPath(implementation) {
+  const cached = implementationPaths.get(implementation);
+
+  if (typeof cached !== "undefined") {
+    return cached;
+  }
+
+  /** @type {ImplementationPath | null} */
+  let implementationPath = null;
+
+  /**
+   * @param {string} filename
+   * @param {any} exports
+   * @returns {ImplementationPath | null}
+   */
+  const findExport = (filename, exports) => {
+    if (exports === implementation) {
+      return { path: filename };
+    }
+
+    if (!exports || typeof exports !== "object") {
+      return null;
+    }
+
+    // Getters are not called to avoid side effects
+    for (const [name, descriptor] of Object.entries(
+      Object.getOwnPropertyDescriptors(exports),
+    )) {
+      if (descriptor.value === implementation) {
+        return { path: filename, name };
+      }
+    }
+
+    return null;
+  };
+
+  implementationPath = findExport(
+    require.resolve("./utils"),
+    require("./utils"),
+  );
+
+  if (!implementationPath) {
+    for (const module of Object.values(require.cache)) {
+      if (module && module.loaded) {
+        implementationPath = findExport(module.filename, module.exports);
+      }
+
+      if (implementationPath) {
+        break;
+      }
+    }
+  }
+
+  implementationPaths.set(implementation, implementationPath);
+
+  return implementationPath;
+}
+
+/**
+ * Buffers can be views of a shared memory (i.e. the pool of small buffers), such memory can't be transferred.
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function toTransferable(data) {
+  return data.byteOffset === 0 && data.byteLength === data.buffer.byteLength
+    ? data
+    : new Uint8Array(data);
+}
+
+class ThreadPool {
+  /**
+   * @param {number} size
+   */
+  constructor(size) {
+    this.size = size;
+    this.lastId = 0;
+    /** @type {Worker[]} */
+    this.threads = [];
+    /** @type {Worker[]} */
+    this.idleThreads = [];
+    /** @type {PendingTask[]} */
+    this.queue = [];
+    /** @type {Map<Worker, PendingTask>} */
+    this.runningTasks = new Map();
+  }
+
+  /**
+   * @returns {Worker}
+   */
+  createThread() {
+    const { Worker } = require("worker_threads");
+    const thread = new Worker(path.join(__dirname, "thread.js"));
+
+    thread.on("message", (/** @type {ThreadResult} */ message) => {
+      const pendingTask = this.runningTasks.get(thread);
+
+      this.runningTasks.delete(thread);
+      this.release(thread);
+
+      if (!pendingTask) {
+        return;
+      }
+
+      if (message.error) {
+        pendingTask.reject(message.error);
+      } else {
+        pendingTask.resolve(message);
+      }
+    });
+
+    /**
+     * @param {Error} error
+     */
+    const onFailure = (error) => {
+      const pendingTask = this.runningTasks.get(thread);
+
+      this.runningTasks.delete(thread);
+      this.threads = this.threads.filter((item) => item !== thread);
+      this.idleThreads = this.idleThreads.filter((item) => item !== thread);
+
+      if (pendingTask) {
+        pendingTask.reject(error);
+      }
+
+      this.next();
+    };
+
+    thread.on("error", onFailure);
+    thread.on("exit", (code) => {
+      onFailure(new Error(`Thread stopped with exit code ${code}`));
+    });
+
+    this.threads.push(thread);
+
+    return thread;
+  }
+
+  /**
+   * Idle threads don't keep the process alive.
+   * @param {Worker} thread
+   */
+  release(thread) {
+    thread.unref();
+    this.idleThreads.push(thread);
+    this.next();
+  }
+
+  next() {
+    if (this.queue.length === 0) {
+      return;
+    }
+
+    const thread =
+      this.idleThreads.pop() ??
+      (this.threads.length < this.size ? this.createThread() : undefined);
+
+    if (!thread) {
+      return;
+    }
+
+    const pendingTask = /** @type {PendingTask} */ (this.queue.shift());
+
+    thread.ref();
+    this.runningTasks.set(thread, pendingTask);
+    thread.postMessage(pendingTask.task, pendingTask.transferList);
+  }
+
+  /**
+   * Queued tasks are removed on abort, threads of running tasks are terminated, so encoding is stopped immediately.
+   * @param {PendingTask} pendingTask
+   */
+  abort(pendingTask) {
+    const { reason } = /** @type {AbortSignal} */ (pendingTask.signal);
+    const position = this.queue.indexOf(pendingTask);
+
+    if (position !== -1) {
+      this.queue.splice(position, 1);
+      pendingTask.reject(reason);
+
+      return;
+    }
+
+    for (const [thread, runningTask] of this.runningTasks) {
+      if (runningTask === pendingTask) {
+        this.runningTasks.delete(thread);
+        pendingTask.reject(reason);
+        thread.terminate();
+
+        return;
+      }
+    }
+  }
+
+  /**
+   * @param {Omit<ThreadTask, "id">} task
+   * @param {ArrayBuffer[]} transferList
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<ThreadResult>}
+   */
+  run(task, transferList, signal) {
+    return new Promise((resolve, reject) => {
+      this.lastId += 1;
+
+      /** @type {PendingTask} */
+      const pendingTask = {
+        task: { ...task, id: this.lastId },
+        transferList,
+        resolve,
+        reject,
+        signal,
+      };
+
+      if (signal) {
+        const onAbort = () => this.abort(pendingTask);
+
+        signal.addEventListener("abort", onAbort, { once: true });
+
+        pendingTask.resolve = (message) => {
+          signal.removeEventListener("abort", onAbort);
+          resolve(message);
+        };
+        pendingTask.reject = (error) => {
+          signal.removeEventListener("abort", onAbort);
+          reject(error);
+        };
+      }
+
+      this.queue.push(pendingTask);
+      this.next();
+    });
+  }
+}
+
+/** @type {Map<number, ThreadPool>} */
+const pools = new Map();
+
+/**
+ * Threads are shared between compilations, so they are reused in the watch mode.
+ * @param {number} size
+ * @returns {ThreadPool}
+ */
+function getPool(size) {
+  let pool = pools.get(size);
+
+  if (!pool) {
+    pool = new ThreadPool(size);
+    pools.set(size, pool);
+  }
+
+  return pool;
+}
+
+/**
+ * `true` means one thread less than CPUs, the main thread is used by webpack.
+ * @param {boolean | number | undefined} threads
+ * @returns {number | undefined}
+ */
+function getThreadsCount(threads) {
+  if (threads === true) {
+    // In some cases cpus() returns undefined
+    // https://github.com/nodejs/node/issues/19022
+    return Math.max(1, (os.cpus()?.length ?? 1) - 1);
+  }
+
+  return threads || undefined;
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isCloneable(value) {
+  try {
+    structuredClone(value);
+  } catch {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Implementations which are reported to run in the main thread, they are reported once and not for each image.
+ * @type {WeakSet<Function>}
+ */
+const mainThreadImplementations = new WeakSet();
+
+/**
+ * Runs transformers in a thread, returns `null` when transformers can't be loaded in a thread
+ * (i.e. implementations are not exported from a module or options contain functions), a warning is added to the first result of the implementation then.
+ * @template T
+ * @param {WorkerResult} result
+ * @param {import("./index").Transformer<T>[]} transformers
+ * @param {import("./index").InternalWorkerOptions<T>} options
+ * @param {number} threads
+ * @returns {Promise<import("./worker").TransformedResult<T>[] | null>}
+ */
+async function runInThread(result, transformers, options, threads) {
+  /** @type {ThreadTransformer[]} */
+  const threadTransformers = [];
+
+  for (const [index, transformer] of transformers.entries()) {
+    const implementationPath = getImplementationPath(
+      transformer.implementation,
+    );
+
+    if (!implementationPath || !isCloneable(transformer.options)) {
+      if (!mainThreadImplementations.has(transformer.implementation)) {
+        const name = transformer.implementation.name || "anonymous";
+
+        mainThreadImplementations.add(transformer.implementation);
+        result.warnings.push(
+          new Error(
+            `The '${name}' implementation runs in the main thread, ${
+              implementationPath
+                ? "its options can't be copied to a thread (i.e. they contain functions)"
+                : "it is not exported from a module"
+            }`,
+          ),
+        );
+      }
+
+      return null;
+    }
+
+    threadTransformers.push({
+      implementation: implementationPath,
+      options: transformer.options,
+      filename: typeof transformer.filename !== "undefined" ? index : undefined,
+    });
+  }
+
+  // The input is copied, because the original buffer is used by webpack
+  const data = new Uint8Array(result.data);
+  const message = await getPool(threads).run(
+    {
+      input: {
+        data,
+        filename: result.filename,
+        info: result.info,
+        warnings: result.warnings,
+        errors: result.errors,
+      },
+      transformers: threadTransformers,
+      steps: typeof options.onStep === "function",
+    },
+    [data.buffer],
+    options.signal,
+  );
+
+  /**
+   * @param {Omit<WorkerResult, "data"> & { data: Uint8Array }} threadResult
+   * @returns {WorkerResult}
+   */
+  const toResult = (threadResult) => ({
+    ...threadResult,
+    data: Buffer.from(
+      threadResult.data.buffer,
+      threadResult.data.byteOffset,
+      threadResult.data.byteLength,
+    ),
+  });
+  /**
+   * @param {number | undefined} filenameTemplate
+   * @returns {undefined | string | FilenameFn}
+   */
+  const toFilenameTemplate = (filenameTemplate) =>
+    typeof filenameTemplate === "number"
+      ? transformers[filenameTemplate].filename
+      : undefined;
+
+  if (options.onStep) {
+    for (const step of message.steps ?? []) {
+      options.onStep(
+        step.index,
+        toResult(step.result),
+        toFilenameTemplate(step.filenameTemplate),
+      );
+    }
+  }
+
+  return /** @type {NonNullable<ThreadResult["results"]>} */ (
+    message.results
+  ).map((item) => ({
+    result: toResult(item.result),
+    filenameTemplate: toFilenameTemplate(item.filenameTemplate),
+  }));
+}
+
+module.exports = { runInThread, getThreadsCount, toTransferable };
@@ -0,0 +1,140 @@
+/** @typedef {import("webpack").Compiler} Compiler */
+/** @typedef {import("webpack").Compilation} Compilation */
+
+/**
+ * @callback ReportProgress
+ * @param {string} name Name of the image.
+ * @param {string} title What is done with the image, i.e. formats of a generator.
+ * @returns {() => void} Reports that the image is processed.
+ */
+
+const MINIMIZE_TITLE = "minimize";
+
+/**
+ * Formats are taken from `encodeOptions` of built-in generators, otherwise the name of the preset is used.
+ * @template T
+ * @param {import("./index").Transformer<T>} generator
+ * @returns {string}
+ */
+function getGeneratorTitle(generator) {
+  const encodeOptions =
+    generator.options &&
+    typeof generator.options === "object" &&
+    /** @type {{ encodeOptions?: Record<string, any> }} */ (generator.options)
+      .encodeOptions;
+  const formats =
+    encodeOptions && typeof encodeOptions === "object"
+      ? Object.keys(encodeOptions)
+      : [];
+
+  return formats.length > 0
+    ? formats.join(", ")
+    : (generator.preset ?? "generate");
+}
+
+/**
+ * @param {number} processed
+ * @param {number} total
+ * @param {string} name
+ * @param {string} title
+ * @returns {string[]}
+ */
+function getProgressMessages(processed, total, name, title) {
+  return [`${processed}/${total} images`, `${name} → ${title}`];
+}
+
+/**
+ * Progress of the plugin is reported with the reporter of `ProgressPlugin`, it is available only inside of hooks of the plugin.
+ * @param {Compiler} compiler
+ * @param {number} total
+ * @returns {ReportProgress}
+ */
+function createProgressReporter(compiler, total) {
+  const reportProgress = compiler.webpack.ProgressPlugin.getReporter(compiler);
+  let processed = 0;
+
+  return (name, title) => {
+    if (reportProgress) {
+      reportProgress(
+        processed / total,
+        ...getProgressMessages(processed + 1, total, name, title),
+      );
+    }
+
+    return () => {
+      processed += 1;
+
+      if (reportProgress) {
+        reportProgress(
+          processed / total,
+          ...getProgressMessages(processed, total, name, title),
+        );
+      }
+    };
+  };
+}
+
+/** @type {WeakMap<Compilation, { processed: number, total: number }>} */
+const loaderProgress = new WeakMap();
+
+/**
+ * Images of the loader are counted while modules are built, the total number of images grows while new images are found.
+ * `ProgressPlugin` provides the reporter only inside of hooks which it intercepts, so images are reported when it is available
+ * and the result is reported by `reportLoaderProgress` when modules are built.
+ * @param {Compiler} compiler
+ * @param {Compilation} compilation
+ * @returns {ReportProgress}
+ */
+function createLoaderProgressReporter(compiler, compilation) {
+  const progress = loaderProgress.get(compilation) ?? {
+    processed: 0,
+    total: 0,
+  };
+
+  loaderProgress.set(compilation, progress);
+
+  return (name, title) => {
+    progress.total += 1;
+
+    const reportProgress =
+      compiler.webpack.ProgressPlugin.getReporter(compiler);
+
+    if (reportProgress) {
+      reportProgress(
+        progress.processed / progress.total,
+        ...getProgressMessages(
+          progress.processed + 1,
+          progress.total,
+          name,
+          title,
+        ),
+      );
+    }
+
+    return () => {
+      progress.processed += 1;
+    };
+  };
+}
+
+/**
+ * Reports the number of images processed by the loader, it is called in the `finishMake` hook, so the reporter of `ProgressPlugin` is available.
+ * @param {Compiler} compiler
+ * @param {Compilation} compilation
+ */
+function reportLoaderProgress(compiler, compilation) {
+  const progress = loaderProgress.get(compilation);
+  const reportProgress = compiler.webpack.ProgressPlugin.getReporter(compiler);
+
+  if (progress && progress.total > 0 && reportProgress) {
+    reportProgress(1, `${progress.processed}/${progress.total} images`);
+  }
+}
+
+module.exports = {
+  MINIMIZE_TITLE,
+  getGeneratorTitle,
+  createProgressReporter,
+  createLoaderProgressReporter,
+  reportLoaderProgress,
+};
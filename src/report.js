@@ -0,0 +1,333 @@
+const path = require("path");
+
+const {
+  getImageVariants,
+  getSourceFilename,
+  getImageSize,
+} = require("./variants");
+const {
+  isProcessed,
+  hasProcessingInfo,
+  getProcessingTotals,
+  formatProcessingTime,
+  formatSavings,
+  formatProcessing,
+} = require("./stats");
+
+/** @typedef {import("webpack").Compilation} Compilation */
+/** @typedef {import("webpack").Module} Module */
+/** @typedef {import("webpack").AssetInfo} AssetInfo */
+
+const DEFAULT_REPORT_FILENAME = "image-minimizer-report.html";
+
+/**
+ * @typedef {Object} ReportOutput
+ * @property {string} name
+ * @property {string} format
+ * @property {number} originalSize
+ * @property {number} processedSize
+ * @property {number} [processingTime] The time is unknown for results from the cache.
+ * @property {number} [width]
+ * @property {number} [height]
+ * @property {string[]} transformers
+ */
+
+/**
+ * @typedef {Object} ReportImage
+ * @property {string} sourceFilename
+ * @property {ReportOutput[]} outputs
+ * @property {string[]} warnings
+ * @property {string[]} modules Modules which import the image.
+ */
+
+/** @type {WeakMap<Compilation, Map<string, string[]>>} */
+const imageWarnings = new WeakMap();
+
+/**
+ * Warnings of the plugin are collected by images, warnings of the loader are taken from modules.
+ * @param {Compilation} compilation
+ * @param {string} sourceFilename
+ * @param {Error[]} warnings
+ */
+function addImageWarnings(compilation, sourceFilename, warnings) {
+  if (warnings.length === 0) {
+    return;
+  }
+
+  const warningsBySource = imageWarnings.get(compilation) ?? new Map();
+  const messages = warningsBySource.get(sourceFilename) ?? [];
+
+  messages.push(...warnings.map((warning) => warning.message));
+  warningsBySource.set(sourceFilename, messages);
+  imageWarnings.set(compilation, warningsBySource);
+}
+
+/**
+ * Modules emit images as asset modules (`buildInfo.filename`) or as files (`buildInfo.assets`, i.e. the loader and `file-loader`).
+ * @param {Compilation} compilation
+ * @returns {Map<string, Module[]>}
+ */
+function getImageModules(compilation) {
+  /** @type {Map<string, Module[]>} */
+  const imageModules = new Map();
+
+  for (const module of compilation.modules) {
+    const { buildInfo } = module;
+
+    if (!buildInfo) {
+      continue;
+    }
+
+    /** @type {Array<{ name: string, info: AssetInfo }>} */
+    const emitted = [];
+
+    if (typeof buildInfo.filename === "string") {
+      emitted.push({
+        name: buildInfo.filename,
+        info: buildInfo.assetInfo ?? {},
+      });
+    }
+
+    for (const name of Object.keys(buildInfo.assets ?? {})) {
+      emitted.push({ name, info: buildInfo.assetsInfo?.get(name) ?? {} });
+    }
+
+    for (const asset of emitted) {
+      const sourceFilename = getSourceFilename(asset);
+      const modules = imageModules.get(sourceFilename) ?? [];
+
+      if (!modules.includes(module)) {
+        modules.push(module);
+      }
+
+      imageModules.set(sourceFilename, modules);
+    }
+  }
+
+  return imageModules;
+}
+
+/**
+ * @param {Compilation} compilation
+ * @param {Module[]} modules
+ * @returns {{ issuers: string[], warnings: string[] }}
+ */
+function getModulesDetails(compilation, modules) {
+  /** @type {Set<string>} */
+  const issuers = new Set();
+  /** @type {Set<string>} */
+  const warnings = new Set();
+
+  for (const module of modules) {
+    for (const connection of compilation.moduleGraph.getIncomingConnections(
+      module,
+    )) {
+      if (connection.originModule) {
+        issuers.add(
+          connection.originModule.readableIdentifier(
+            compilation.requestShortener,
+          ),
+        );
+      }
+    }
+
+    for (const warning of module.getWarnings() ?? []) {
+      warnings.add(warning.message);
+    }
+  }
+
+  return { issuers: [...issuers].sort(), warnings: [...warnings] };
+}
+
+/**
+ * Collects minimized and generated images of the compilation by their sources.
+ * @param {Compilation} compilation
+ * @returns {Promise<ReportImage[]>}
+ */
+async function getReportImages(compilation) {
+  const imageModules = getImageModules(compilation);
+  const warningsBySource = imageWarnings.get(compilation);
+  /** @type {ReportImage[]} */
+  const images = [];
+
+  for (const [sourceFilename, assets] of getImageVariants(compilation)) {
+    const processed = assets.filter(({ info }) => hasProcessingInfo(info));
+
+    if (processed.length === 0) {
+      continue;
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    const outputs = await Promise.all(
+      processed.map(async ({ name, info }) => {
+        const { width, height } = await getImageSize(compilation, {
+          name,
+          info,
+        });
+
+        return {
+          name,
+          format: path.extname(name).slice(1).toLowerCase(),
+          originalSize: info.originalSize,
+          processedSize: info.processedSize,
+          processingTime: isProcessed(compilation, sourceFilename)
+            ? info.processingTime
+            : undefined,
+          width,
+          height,
+          transformers: [
+            ...(info.generatedBy ?? []).map(
+              (/** @type {string} */ item) => `generated by ${item}`,
+            ),
+            ...(info.minimizedBy ?? []).map(
+              (/** @type {string} */ item) => `minimized by ${item}`,
+            ),
+          ],
+        };
+      }),
+    );
+    const { issuers, warnings } = getModulesDetails(
+      compilation,
+      imageModules.get(sourceFilename) ?? [],
+    );
+
+    images.push({
+      sourceFilename,
+      outputs: outputs.sort((a, b) => a.name.localeCompare(b.name)),
+      warnings: [...warnings, ...(warningsBySource?.get(sourceFilename) ?? [])],
+      modules: issuers,
+    });
+  }
+
+  return images.sort((a, b) =>
+    a.sourceFilename.localeCompare(b.sourceFilename),
+  );
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * The same units as in stats of webpack.
+ * @param {number} size
+ * @returns {string}
+ */
+function formatSize(size) {
+  if (size < 1024) {
+    return `${size} bytes`;
+  }
+
+  const units = ["KiB", "MiB", "GiB"];
+  let value = size / 1024;
+  let index = 0;
+
+  while (value >= 1024 && index < units.length - 1) {
+    value /= 1024;
+    index += 1;
+  }
+
+  return `${Math.round(value * 100) / 100} ${units[index]}`;
+}
+
+/**
+ * @param {ReportImage} image
+ * @returns {string}
+ */
+function getImageHtml(image) {
+  const rows = image.outputs.map(
+    (output) => `<tr>
+<td>${escapeHtml(output.name)}</td>
+<td>${escapeHtml(output.format)}</td>
+<td>${
+      typeof output.width === "number" && typeof output.height === "number"
+        ? `${output.width}×${output.height}`
+        : ""
+    }</td>
+<td class="number">${formatSize(output.originalSize)}</td>
+<td class="number">${formatSize(output.processedSize)}</td>
+<td class="number">${formatSavings(output.originalSize, output.processedSize)}</td>
+<td class="number">${
+      typeof output.processingTime === "number"
+        ? formatProcessingTime(output.processingTime)
+        : "cached"
+    }</td>
+<td>${escapeHtml(output.transformers.join(", "))}</td>
+</tr>`,
+  );
+  const list = (/** @type {string} */ title, /** @type {string[]} */ items) =>
+    items.length > 0
+      ? `<p>${title}</p><ul>${items
+          .map((item) => `<li>${escapeHtml(item)}</li>`)
+          .join("")}</ul>`
+      : "";
+
+  return `<section${image.warnings.length > 0 ? ' class="warning"' : ""}>
+<h2>${escapeHtml(image.sourceFilename)}</h2>
+<table>
+<thead><tr><th>Output</th><th>Format</th><th>Dimensions</th><th>Before</th><th>After</th><th>Savings</th><th>Time</th><th>Transformers</th></tr></thead>
+<tbody>
+${rows.join("\n")}
+</tbody>
+</table>
+${list("Imported by", image.modules)}
+${list("Warnings", image.warnings)}
+</section>`;
+}
+
+/**
+ * The report is a single file without external resources, so it can be opened from CI artifacts.
+ * @param {Compilation} compilation
+ * @returns {Promise<string>}
+ */
+async function getReportHtml(compilation) {
+  const images = await getReportImages(compilation);
+  const totals = getProcessingTotals(compilation);
+  const title = "Image Minimizer Report";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1d2433; }
+section { margin-bottom: 2rem; padding: 1rem; border: 1px solid #d5dae3; border-radius: 4px; }
+section.warning { border-color: #e5a50a; }
+table { border-collapse: collapse; width: 100%; }
+th, td { padding: 0.25rem 0.5rem; border-bottom: 1px solid #e8ebf0; text-align: left; }
+td.number { text-align: right; white-space: nowrap; }
+h2 { font-size: 1.1rem; word-break: break-all; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p>${
+    totals
+      ? `${totals.count} images, ${totals.outputs} outputs: ${escapeHtml(
+          formatProcessing(totals, formatSize),
+        )}`
+      : "No images were minimized or generated."
+  }</p>
+${images.map((image) => getImageHtml(image)).join("\n")}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  DEFAULT_REPORT_FILENAME,
+  addImageWarnings,
+  formatSize,
+  getReportImages,
+  getReportHtml,
+};
@@ -0,0 +1,207 @@
+/** @typedef {import("webpack").Compilation} Compilation */
+/** @typedef {import("webpack").AssetInfo} AssetInfo */
+
+/**
+ * @typedef {Object} ProcessingTotals
+ * @property {number} count Number of source images.
+ * @property {number} outputs Number of minimized and generated images.
+ * @property {number} originalSize Sum of sizes of source images, each source image is counted once.
+ * @property {number} processedSize Sum of sizes of minimized images of source images, the largest one when an image is minimized in several sizes, generated images are used only for sources without minimized images.
+ * @property {number} [processingTime] Time of processing of images in the compilation in milliseconds, results from the cache are not processed.
+ */
+
+/**
+ * @typedef {Object} CompilationProcessing
+ * @property {Array<[number, number]>} spans
+ * @property {Set<string>} sources
+ */
+
+/** @type {WeakMap<Compilation, CompilationProcessing>} */
+const compilationProcessing = new WeakMap();
+
+/**
+ * Images are processed by the loader while modules are built and by the plugin while assets are processed,
+ * the time of each phase is the time between the start of the first image and the end of the last image.
+ * @param {Compilation} compilation
+ * @param {number} startTime
+ * @param {number} endTime
+ * @param {Iterable<string>} sources Names of processed source images.
+ */
+function addProcessing(compilation, startTime, endTime, sources) {
+  const processing = compilationProcessing.get(compilation) ?? {
+    spans: [],
+    sources: new Set(),
+  };
+
+  processing.spans.push([startTime, endTime]);
+
+  for (const source of sources) {
+    processing.sources.add(source);
+  }
+
+  compilationProcessing.set(compilation, processing);
+}
+
+/**
+ * @param {Compilation} compilation
+ * @param {string} sourceFilename
+ * @returns {boolean}
+ */
+function isProcessed(compilation, sourceFilename) {
+  return Boolean(
+    compilationProcessing.get(compilation)?.sources.has(sourceFilename),
+  );
+}
+
+/**
+ * Images are processed in parallel, so the time is the length of the union of spans of processing, not the sum of times of images.
+ * @param {Compilation} compilation
+ * @returns {number | undefined}
+ */
+function getProcessingTime(compilation) {
+  const processing = compilationProcessing.get(compilation);
+
+  if (!processing || processing.spans.length === 0) {
+    return;
+  }
+
+  let [[start, end], ...spans] = [...processing.spans].sort(
+    (a, b) => a[0] - b[0],
+  );
+  let time = 0;
+
+  for (const [spanStart, spanEnd] of spans) {
+    if (spanStart > end) {
+      time += end - start;
+      start = spanStart;
+    }
+
+    end = Math.max(end, spanEnd);
+  }
+
+  return Math.round(time + end - start);
+}
+
+/**
+ * @param {AssetInfo} info
+ * @returns {boolean}
+ */
+function hasProcessingInfo(info) {
+  return (
+    typeof info.originalSize === "number" &&
+    typeof info.processedSize === "number"
+  );
+}
+
+/**
+ * @param {Compilation} compilation
+ * @returns {ProcessingTotals | undefined}
+ */
+function getProcessingTotals(compilation) {
+  /** @type {Map<string, { originalSize: number, processedSize: number, isMinimized: boolean }>} */
+  const sources = new Map();
+  let outputs = 0;
+
+  for (const { name, info } of compilation.getAssets()) {
+    if (!hasProcessingInfo(info)) {
+      continue;
+    }
+
+    const sourceFilename =
+      typeof info.sourceFilename === "string" ? info.sourceFilename : name;
+    const source = sources.get(sourceFilename);
+    const isMinimized = !info.generated;
+
+    outputs += 1;
+
+    // Each source image is compared with its minimized image, other formats are alternatives,
+    // smaller sizes (i.e. from the `srcset` query parameter) are not savings of optimization, so the largest image is used
+    const result =
+      !source ||
+      (isMinimized && !source.isMinimized) ||
+      (isMinimized === source.isMinimized &&
+        info.processedSize > source.processedSize)
+        ? { processedSize: info.processedSize, isMinimized }
+        : source;
+
+    sources.set(sourceFilename, {
+      originalSize: Math.max(source?.originalSize ?? 0, info.originalSize),
+      processedSize: result.processedSize,
+      isMinimized: result.isMinimized,
+    });
+  }
+
+  if (sources.size === 0) {
+    return;
+  }
+
+  /** @type {ProcessingTotals} */
+  const totals = {
+    count: sources.size,
+    outputs,
+    originalSize: 0,
+    processedSize: 0,
+  };
+
+  for (const { originalSize, processedSize } of sources.values()) {
+    totals.originalSize += originalSize;
+    totals.processedSize += processedSize;
+  }
+
+  const processingTime = getProcessingTime(compilation);
+
+  if (typeof processingTime === "number") {
+    totals.processingTime = processingTime;
+  }
+
+  return totals;
+}
+
+/**
+ * @param {number} time
+ * @returns {string}
+ */
+function formatProcessingTime(time) {
+  return time < 1000 ? `${time} ms` : `${Math.round(time / 100) / 10} s`;
+}
+
+/**
+ * @param {number} originalSize
+ * @param {number} processedSize
+ * @returns {string}
+ */
+function formatSavings(originalSize, processedSize) {
+  const percent =
+    originalSize > 0 ? Math.round((1 - processedSize / originalSize) * 100) : 0;
+
+  return percent < 0 ? `${-percent}% larger` : `${percent}% saved`;
+}
+
+/**
+ * The time is not shown for results from the cache.
+ * @param {{ originalSize: number, processedSize: number, processingTime?: number }} sizes
+ * @param {(size: number) => string} formatSize
+ * @returns {string}
+ */
+function formatProcessing(
+  { originalSize, processedSize, processingTime },
+  formatSize,
+) {
+  return `${formatSize(originalSize)} → ${formatSize(
+    processedSize,
+  )}, ${formatSavings(originalSize, processedSize)}${
+    typeof processingTime === "number"
+      ? ` in ${formatProcessingTime(processingTime)}`
+      : ""
+  }`;
+}
+
+module.exports = {
+  addProcessing,
+  isProcessed,
+  hasProcessingInfo,
+  getProcessingTotals,
+  formatProcessingTime,
+  formatSavings,
+  formatProcessing,
+};
@@ -0,0 +1,234 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_STORE_DIRECTORY = "node_modules/.cache/image-minimizer-store";
+const DEFAULT_STORE_MAX_SIZE = 1024 * 1024 * 1024;
+
+/**
+ * @typedef {Object} StoreOptions
+ * @property {string} [directory] Directory of stored results.
+ * @property {number} [maxSize] Maximum size of the directory in bytes, least recently used results are removed.
+ */
+
+/**
+ * @typedef {{ data: Buffer } & Record<string, any>} StoredItem
+ */
+
+/**
+ * Results are stored as files named by the key, a file contains the length of the JSON header, the header with other properties of items,
+ * then data of items one after another.
+ */
+class Store {
+  /**
+   * @param {string} directory
+   * @param {number} [maxSize]
+   */
+  constructor(directory, maxSize = DEFAULT_STORE_MAX_SIZE) {
+    this.directory = directory;
+    this.maxSize = maxSize;
+    /** @type {Promise<number> | undefined} */
+    this.size = undefined;
+    /** @type {Promise<void> | undefined} */
+    this.pruning = undefined;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string}
+   */
+  getPath(key) {
+    return path.join(this.directory, key.slice(0, 2), key);
+  }
+
+  /**
+   * Missing and unreadable files are ignored, results are optimized again.
+   * @param {string} key
+   * @returns {Promise<StoredItem[] | undefined>}
+   */
+  async get(key) {
+    try {
+      const filePath = this.getPath(key);
+      const content = await fs.promises.readFile(filePath);
+      const headerLength = content.readUInt32BE(0);
+      /** @type {Array<Record<string, any> & { size: number }>} */
+      const header = JSON.parse(
+        content.subarray(4, 4 + headerLength).toString("utf8"),
+      );
+      let offset = 4 + headerLength;
+      const items = header.map(({ size, ...item }) => {
+        const data = content.subarray(offset, offset + size);
+
+        offset += size;
+
+        return { ...item, data };
+      });
+      const now = new Date();
+
+      // The time of modification is the time of the last use, so used results are pruned last
+      await fs.promises.utimes(filePath, now, now);
+
+      return items;
+    } catch {
+      // Nothing
+    }
+  }
+
+  /**
+   * Results are written to a temporary file and renamed, so other builds never read partially written files.
+   * @param {string} key
+   * @param {StoredItem[]} items
+   * @returns {Promise<void>}
+   */
+  async set(key, items) {
+    const header = Buffer.from(
+      JSON.stringify(
+        items.map(({ data, ...item }) => ({ ...item, size: data.length })),
+      ),
+      "utf8",
+    );
+    const headerLength = Buffer.alloc(4);
+
+    headerLength.writeUInt32BE(header.length, 0);
+
+    const filePath = this.getPath(key);
+    const temporaryPath = `${filePath}.${process.pid}-${crypto
+      .randomBytes(4)
+      .toString("hex")}`;
+    const content = Buffer.concat([
+      headerLength,
+      header,
+      ...items.map(({ data }) => data),
+    ]);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(temporaryPath, content);
+    await fs.promises.rename(temporaryPath, filePath);
+    await this.prune(content.length);
+  }
+
+  /**
+   * @returns {Promise<Array<{ filePath: string, size: number, mtimeMs: number }>>}
+   */
+  async getFiles() {
+    /** @type {Array<{ filePath: string, size: number, mtimeMs: number }>} */
+    const files = [];
+    let directories = [];
+
+    try {
+      directories = await fs.promises.readdir(this.directory);
+    } catch {
+      return files;
+    }
+
+    for (const directory of directories) {
+      /** @type {string[]} */
+      let names = [];
+
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        names = await fs.promises.readdir(path.join(this.directory, directory));
+      } catch {
+        continue;
+      }
+
+      for (const name of names) {
+        const filePath = path.join(this.directory, directory, name);
+
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const { size, mtimeMs } = await fs.promises.stat(filePath);
+
+          files.push({ filePath, size, mtimeMs });
+        } catch {
+          // Nothing
+        }
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * The size of the directory is read once, then it is increased by written files,
+   * when it exceeds the maximum size least recently used files are removed.
+   * @param {number} writtenSize
+   * @returns {Promise<void>}
+   */
+  async prune(writtenSize) {
+    this.size = this.size
+      ? this.size.then((size) => size + writtenSize)
+      : this.getFiles().then((files) =>
+          files.reduce((total, file) => total + file.size, 0),
+        );
+
+    if ((await this.size) <= this.maxSize || this.pruning) {
+      return;
+    }
+
+    this.pruning = (async () => {
+      const files = (await this.getFiles()).sort(
+        (a, b) => a.mtimeMs - b.mtimeMs,
+      );
+      let size = files.reduce((total, file) => total + file.size, 0);
+
+      for (const file of files) {
+        if (size <= this.maxSize) {
+          break;
+        }
+
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await fs.promises.rm(file.filePath, { force: true });
+          size -= file.size;
+        } catch {
+          // Nothing
+        }
+      }
+
+      this.size = Promise.resolve(size);
+    })();
+
+    try {
+      await this.pruning;
+    } finally {
+      this.pruning = undefined;
+    }
+  }
+}
+
+/** @type {Map<string, Store>} */
+const stores = new Map();
+
+/**
+ * @param {boolean | string | StoreOptions} store
+ * @param {string} context
+ * @returns {Store}
+ */
+function getStore(store, context) {
+  const options = typeof store === "object" ? store : {};
+  const directory = path.resolve(
+    context,
+    typeof store === "string"
+      ? store
+      : (options.directory ?? DEFAULT_STORE_DIRECTORY),
+  );
+  let result = stores.get(directory);
+
+  if (!result) {
+    result = new Store(directory, options.maxSize);
+    stores.set(directory, result);
+  }
+
+  return result;
+}
+
+/**
+ * @param {Buffer | string} data
+ * @returns {string}
+ */
+function getHash(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+module.exports = { Store, getStore, getHash };
@@ -0,0 +1,130 @@
+const { serialize } = require("v8");
+const { parentPort } = require("worker_threads");
+
+const { toTransferable } = require("./pool");
+const { transform } = require("./worker");
+
+/** @typedef {import("./pool").ThreadTask} ThreadTask */
+/** @typedef {import("./pool").ThreadResult} ThreadResult */
+
+/** @type {Map<string, any>} */
+const transformerOptions = new Map();
+
+/**
+ * Options are cloned for each task, equal options are replaced with the same object,
+ * so state which implementations keep for an options object (i.e. created `imagemin` plugins) is shared between tasks.
+ * @param {any} options
+ * @returns {any}
+ */
+function getTransformerOptions(options) {
+  if (!options || typeof options !== "object") {
+    return options;
+  }
+
+  const key = serialize(options).toString("base64");
+  const cached = transformerOptions.get(key);
+
+  if (cached) {
+    return cached;
+  }
+
+  transformerOptions.set(key, options);
+
+  return options;
+}
+
+/**
+ * @param {ThreadTask} task
+ * @returns {Promise<{ message: ThreadResult, transferList: ArrayBuffer[] }>}
+ */
+async function runTask(task) {
+  const transformers = task.transformers.map(
+    ({ implementation, options, filename }) => {
+      // eslint-disable-next-line import/no-dynamic-require
+      const exports = require(implementation.path);
+
+      return /** @type {import("./index").Transformer<any>} */ ({
+        implementation: implementation.name
+          ? exports[implementation.name]
+          : exports,
+        options: getTransformerOptions(options),
+        // The index of the transformer is returned as the filename template
+        filename,
+      });
+    },
+  );
+  const { data, filename, info, warnings, errors } = task.input;
+  /** @type {Array<{ index: number, result: import("./index").WorkerResult, filenameTemplate: any }>} */
+  const steps = [];
+  const results = await transform(
+    {
+      data: Buffer.from(data.buffer, data.byteOffset, data.byteLength),
+      filename,
+      warnings,
+      errors,
+      info,
+    },
+    transformers,
+    {
+      filename,
+      info,
+      input: Buffer.from(data.buffer, data.byteOffset, data.byteLength),
+      transformer: transformers,
+      onStep: task.steps
+        ? (index, result, filenameTemplate) => {
+            steps.push({ index, result, filenameTemplate });
+          }
+        : undefined,
+    },
+  );
+  /** @type {Set<ArrayBuffer>} */
+  const transferList = new Set();
+
+  /**
+   * @param {import("./index").WorkerResult} result
+   * @returns {Omit<import("./index").WorkerResult, "data"> & { data: Uint8Array }}
+   */
+  const toMessageResult = (result) => {
+    const resultData = toTransferable(result.data);
+
+    transferList.add(/** @type {ArrayBuffer} */ (resultData.buffer));
+
+    return { ...result, data: resultData };
+  };
+
+  return {
+    message: {
+      id: task.id,
+      results: /** @type {NonNullable<ThreadResult["results"]>} */ (
+        results.map(({ result, filenameTemplate }) => ({
+          result: toMessageResult(result),
+          filenameTemplate,
+        }))
+      ),
+      steps: steps.map(({ index, result, filenameTemplate }) => ({
+        index,
+        result: toMessageResult(result),
+        filenameTemplate,
+      })),
+    },
+    transferList: [...transferList],
+  };
+}
+
+const port = /** @type {import("worker_threads").MessagePort} */ (parentPort);
+
+port.on("message", async (/** @type {ThreadTask} */ task) => {
+  try {
+    const { message, transferList } = await runTask(task);
+
+    port.postMessage(message, transferList);
+  } catch (error) {
+    port.postMessage({
+      id: task.id,
+      error:
+        error instanceof Error
+          ? error
+          : new Error(/** @type {string} */ (error)),
+    });
+  }
+});
@@ -0,0 +1,408 @@
+/**
+ * @typedef {Object} RawImage
+ * @property {Buffer} data RGBA pixels.
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Object} TraceSVGOptions
+ * @property {number} colors Number of posterized layers.
+ * @property {string} [color] Fill of all layers, by default each layer uses the average color of its pixels.
+ * @property {string} [background] Fill of the background, by default the background is transparent.
+ * @property {number} minArea Paths with smaller area (in pixels) are dropped.
+ * @property {number} tolerance Maximum distance (in pixels) between a traced and a simplified outline.
+ * @property {number} [outputWidth] Width of the `svg` element, by default the width of the image.
+ * @property {number} [outputHeight] Height of the `svg` element, by default the height of the image.
+ */
+
+/** @typedef {[number, number]} Point */
+
+/**
+ * @typedef {Object} Bitmap
+ * @property {Uint8Array} data
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @param {Bitmap} bitmap
+ * @param {number} px
+ * @param {number} py
+ * @returns {boolean}
+ */
+function isSet(bitmap, px, py) {
+  return (
+    px >= 0 &&
+    py >= 0 &&
+    px < bitmap.width &&
+    py < bitmap.height &&
+    bitmap.data[px + py * bitmap.width] === 1
+  );
+}
+
+/**
+ * @param {Point[]} polygon
+ * @returns {number}
+ */
+function polygonArea(polygon) {
+  let area = 0;
+
+  for (let i = 0; i < polygon.length; i++) {
+    const [x1, y1] = polygon[i];
+    const [x2, y2] = polygon[(i + 1) % polygon.length];
+
+    area += x1 * y2 - x2 * y1;
+  }
+
+  return Math.abs(area) / 2;
+}
+
+/**
+ * Walks along the pixel edges around the region which contains the pixel at
+ * `(startX, startY)` keeping the region on the left, diagonal pixels are considered connected.
+ * @param {Bitmap} bitmap
+ * @param {number} startX
+ * @param {number} startY
+ * @returns {{ polygon: Point[], verticalEdges: Point[] }}
+ */
+function tracePath(bitmap, startX, startY) {
+  /** @type {Point[]} */
+  const polygon = [[startX, startY]];
+  /** @type {Point[]} */
+  const verticalEdges = [];
+  let px = startX;
+  let py = startY;
+  let dirX = 0;
+  let dirY = 1;
+
+  for (;;) {
+    if (dirY !== 0) {
+      verticalEdges.push([px, dirY > 0 ? py : py - 1]);
+    }
+
+    px += dirX;
+    py += dirY;
+
+    if (px === startX && py === startY) {
+      break;
+    }
+
+    const isLeftSet = isSet(
+      bitmap,
+      Math.floor(px + (dirX + dirY) / 2),
+      Math.floor(py + (dirY - dirX) / 2),
+    );
+    const isRightSet = isSet(
+      bitmap,
+      Math.floor(px + (dirX - dirY) / 2),
+      Math.floor(py + (dirY + dirX) / 2),
+    );
+    const prevDirX = dirX;
+
+    if (isRightSet) {
+      // Turn right
+      dirX = -dirY;
+      dirY = prevDirX;
+    } else if (!isLeftSet) {
+      // Turn left
+      dirX = dirY;
+      dirY = -prevDirX;
+    }
+
+    if (dirX !== prevDirX) {
+      polygon.push([px, py]);
+    }
+  }
+
+  return { polygon, verticalEdges };
+}
+
+/**
+ * Inverts pixels inside of a traced path, so holes become regions and are traced on the next iterations.
+ * @param {Bitmap} bitmap
+ * @param {Point[]} verticalEdges
+ */
+function invertPath(bitmap, verticalEdges) {
+  for (const [px, py] of verticalEdges) {
+    const offset = py * bitmap.width;
+
+    for (let i = px; i < bitmap.width; i++) {
+      bitmap.data[offset + i] = 1 - bitmap.data[offset + i];
+    }
+  }
+}
+
+/**
+ * @param {Point} point
+ * @param {Point} start
+ * @param {Point} end
+ * @returns {number}
+ */
+function distanceToSegment(point, start, end) {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const length = Math.hypot(dx, dy);
+
+  if (length === 0) {
+    return Math.hypot(point[0] - start[0], point[1] - start[1]);
+  }
+
+  return (
+    Math.abs(dx * (start[1] - point[1]) - dy * (start[0] - point[0])) / length
+  );
+}
+
+/**
+ * Ramer–Douglas–Peucker simplification of an open polyline.
+ * @param {Point[]} points
+ * @param {number} tolerance
+ * @returns {Point[]}
+ */
+function simplifyPolyline(points, tolerance) {
+  if (points.length < 3) {
+    return points;
+  }
+
+  const [start] = points;
+  const end = points[points.length - 1];
+  let maxDistance = 0;
+  let index = 0;
+
+  for (let i = 1; i < points.length - 1; i++) {
+    const distance = distanceToSegment(points[i], start, end);
+
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      index = i;
+    }
+  }
+
+  if (maxDistance <= tolerance) {
+    return [start, end];
+  }
+
+  return [
+    ...simplifyPolyline(points.slice(0, index + 1), tolerance).slice(0, -1),
+    ...simplifyPolyline(points.slice(index), tolerance),
+  ];
+}
+
+/**
+ * @param {Point[]} polygon
+ * @param {number} tolerance
+ * @returns {Point[]}
+ */
+function simplifyPolygon(polygon, tolerance) {
+  if (polygon.length < 4 || tolerance <= 0) {
+    return polygon;
+  }
+
+  // Split the closed outline at the farthest point from the first one
+  const [first] = polygon;
+  let index = 0;
+  let maxDistance = 0;
+
+  for (let i = 1; i < polygon.length; i++) {
+    const distance = Math.hypot(
+      polygon[i][0] - first[0],
+      polygon[i][1] - first[1],
+    );
+
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      index = i;
+    }
+  }
+
+  return [
+    ...simplifyPolyline(polygon.slice(0, index + 1), tolerance).slice(0, -1),
+    ...simplifyPolyline([...polygon.slice(index), first], tolerance).slice(
+      0,
+      -1,
+    ),
+  ];
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+  return `${Math.round(value * 10) / 10}`;
+}
+
+/**
+ * Smooths an outline with quadratic curves through the middle of edges, turns of 90 degrees and more are kept as corners.
+ * @param {Point[]} polygon
+ * @returns {string}
+ */
+function polygonToPathData(polygon) {
+  /**
+   * @param {number} i
+   * @returns {Point}
+   */
+  const middle = (i) => {
+    const [x1, y1] = polygon[i % polygon.length];
+    const [x2, y2] = polygon[(i + 1) % polygon.length];
+
+    return [(x1 + x2) / 2, (y1 + y2) / 2];
+  };
+
+  const [startX, startY] = middle(polygon.length - 1);
+  let pathData = `M${formatNumber(startX)} ${formatNumber(startY)}`;
+
+  for (let i = 0; i < polygon.length; i++) {
+    const [prevX, prevY] = polygon[(i + polygon.length - 1) % polygon.length];
+    const [px, py] = polygon[i];
+    const [nextX, nextY] = polygon[(i + 1) % polygon.length];
+    const [endX, endY] = middle(i);
+    const isCorner =
+      (px - prevX) * (nextX - px) + (py - prevY) * (nextY - py) <= 0;
+
+    pathData += `${isCorner ? "L" : "Q"}${formatNumber(px)} ${formatNumber(py)}${
+      isCorner ? "L" : " "
+    }${formatNumber(endX)} ${formatNumber(endY)}`;
+  }
+
+  return `${pathData}Z`;
+}
+
+/**
+ * Traces outlines of all regions of a bitmap, the result should be filled with the `evenodd` rule.
+ * @param {Bitmap} bitmap
+ * @param {number} minArea
+ * @param {number} tolerance
+ * @returns {string}
+ */
+function traceBitmap(bitmap, minArea, tolerance) {
+  let pathData = "";
+
+  for (let py = 0; py < bitmap.height; py++) {
+    for (let px = 0; px < bitmap.width; px++) {
+      if (bitmap.data[px + py * bitmap.width] === 1) {
+        const { polygon, verticalEdges } = tracePath(bitmap, px, py);
+
+        invertPath(bitmap, verticalEdges);
+
+        if (polygonArea(polygon) > minArea) {
+          const simplified = simplifyPolygon(polygon, tolerance);
+
+          if (simplified.length > 2) {
+            pathData += polygonToPathData(simplified);
+          }
+        }
+      }
+    }
+  }
+
+  return pathData;
+}
+
+/**
+ * @param {number} red
+ * @param {number} green
+ * @param {number} blue
+ * @returns {string}
+ */
+function toHexColor(red, green, blue) {
+  return `#${[red, green, blue]
+    .map((value) => Math.round(value).toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+/**
+ * Vectorizes an image into posterized layers from the darkest to the lightest tones,
+ * every layer contains all pixels darker than its threshold, so layers are stacked from the largest one.
+ * @param {RawImage} image
+ * @param {TraceSVGOptions} options
+ * @returns {string}
+ */
+function traceSVG(image, options) {
+  const { width, height, data } = image;
+  const luminance = new Float32Array(width * height);
+  /** @type {number[]} */
+  const opaque = [];
+
+  for (let i = 0; i < width * height; i++) {
+    luminance[i] =
+      0.2126 * data[i * 4] +
+      0.7152 * data[i * 4 + 1] +
+      0.0722 * data[i * 4 + 2];
+
+    if (data[i * 4 + 3] >= 128) {
+      opaque.push(luminance[i]);
+    }
+  }
+
+  opaque.sort((a, b) => a - b);
+
+  const colors = Math.max(1, Math.round(options.colors));
+  /** @type {number[]} */
+  const thresholds = [];
+
+  // The lightest tones are left for the background
+  for (let level = 1; level <= colors; level++) {
+    const threshold =
+      opaque.length > 0
+        ? opaque[Math.floor((opaque.length * level) / (colors + 1))]
+        : 0;
+
+    if (!thresholds.includes(threshold)) {
+      thresholds.push(threshold);
+    }
+  }
+
+  const layers = [];
+
+  for (let level = thresholds.length - 1; level >= 0; level--) {
+    const threshold = thresholds[level];
+    const lowerThreshold = level > 0 ? thresholds[level - 1] : -1;
+    const bitmap = { width, height, data: new Uint8Array(width * height) };
+    let red = 0;
+    let green = 0;
+    let blue = 0;
+    let count = 0;
+
+    for (let i = 0; i < width * height; i++) {
+      if (data[i * 4 + 3] >= 128 && luminance[i] <= threshold) {
+        bitmap.data[i] = 1;
+
+        if (luminance[i] > lowerThreshold) {
+          red += data[i * 4];
+          green += data[i * 4 + 1];
+          blue += data[i * 4 + 2];
+          count += 1;
+        }
+      }
+    }
+
+    const pathData = traceBitmap(bitmap, options.minArea, options.tolerance);
+
+    if (pathData) {
+      const fill =
+        options.color ??
+        (count > 0
+          ? toHexColor(red / count, green / count, blue / count)
+          : "#000");
+
+      layers.push(
+        `<path fill="${fill}"${
+          options.color ? ` fill-opacity="${formatNumber(1 / colors)}"` : ""
+        } fill-rule="evenodd" d="${pathData}"/>`,
+      );
+    }
+  }
+
+  const background = options.background
+    ? `<rect width="100%" height="100%" fill="${options.background}"/>`
+    : "";
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${
+    options.outputWidth ?? width
+  }" height="${
+    options.outputHeight ?? height
+  }" viewBox="0 0 ${width} ${height}">${background}${layers.join("")}</svg>`;
+}
+
+module.exports = { traceSVG };
@@ -1,7 +1,13 @@
 const path = require("path");
 
+const { imageSize } = require("image-size");
+
+const { traceSVG } = require("./trace");
+
 /** @typedef {import("./index").WorkerResult} WorkerResult */
 /** @typedef {import("./index").SquooshOptions} SquooshOptions */
+/** @typedef {import("./index").TransformerContext} TransformerContext */
+/** @typedef {import("./index").DecodedImage} DecodedImage */
 /** @typedef {import("imagemin").Options} ImageminOptions */
 /** @typedef {import("webpack").WebpackError} WebpackError */
 /** @typedef {import("webpack").Module} Module */
@@ -40,14 +46,24 @@ function replaceFileExtension(filename, ext) {
   return `${filename.slice(0, dotIndex)}.${ext}`;
 }
 
+/**
+ * @typedef {Object} ThrottleOptions
+ * @property {number} [memoryLimit] Limit of the estimated memory (in bytes) of tasks that run at once.
+ * @property {number[]} [memory] Estimated memory (in bytes) of each task.
+ * @property {AbortSignal} [signal] Not started tasks are skipped when the signal is aborted, the promise is rejected with the reason of the signal.
+ */
+
 /**
  * Run tasks with limited concurrency.
+ * When the memory of tasks is known, the largest tasks are started first and tasks are started only when they fit into the memory limit,
+ * a task which is larger than the limit runs alone.
  * @template T
  * @param {number} limit - Limit of tasks that run at once.
  * @param {Task<T>[]} tasks - List of tasks to run.
+ * @param {ThrottleOptions} [options] - Memory of tasks and the limit of memory.
  * @returns {Promise<T[]>} A promise that fulfills to an array of the results
  */
-function throttleAll(limit, tasks) {
+function throttleAll(limit, tasks, options = {}) {
   if (!Number.isInteger(limit) || limit < 1) {
     throw new TypeError(
       `Expected 'limit' to be a finite number > 0, got \`${limit}\` (${typeof limit})`,
@@ -63,40 +79,105 @@ function throttleAll(limit, tasks) {
     );
   }
 
+  const {
+    memoryLimit = Number.POSITIVE_INFINITY,
+    memory = [],
+    signal,
+  } = options;
+
+  if (typeof memoryLimit !== "number" || !(memoryLimit > 0)) {
+    throw new TypeError(
+      `Expected 'memoryLimit' to be a number > 0, got \`${memoryLimit}\` (${typeof memoryLimit})`,
+    );
+  }
+
   return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
     const result = /** @type {T[]} */ ([]);
-    const entries = tasks.entries();
+    // The sort is stable, so tasks without memory keep the original order
+    const queue = [...tasks.keys()].sort(
+      (a, b) => (memory[b] ?? 0) - (memory[a] ?? 0),
+    );
+    let tasksRunning = 0;
     let tasksFulfilled = 0;
+    let usedMemory = 0;
 
-    const next = () => {
-      const { done, value } = entries.next();
+    const onAbort = () => {
+      // Running tasks are aborted by the signal itself
+      queue.length = 0;
+      reject(/** @type {AbortSignal} */ (signal).reason);
+    };
 
-      if (done) {
-        if (tasksFulfilled === tasks.length) {
-          resolve(result);
-          return;
-        }
+    /**
+     * @param {Error} error
+     */
+    const onRejected = (error) => {
+      signal?.removeEventListener("abort", onAbort);
+      reject(error);
+    };
 
-        return;
-      }
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    /**
+     * @param {number} index
+     */
+    const run = (index) => {
+      const taskMemory = memory[index] ?? 0;
 
-      const [index, task] = value;
+      tasksRunning += 1;
+      usedMemory += taskMemory;
 
       /**
        * @param {T} taskResult
        */
       const onFulfilled = (taskResult) => {
         result[index] = taskResult;
+        tasksRunning -= 1;
         tasksFulfilled += 1;
+        usedMemory -= taskMemory;
+        // eslint-disable-next-line no-use-before-define
         next();
       };
 
-      task().then(onFulfilled, reject);
+      tasks[index]().then(onFulfilled, onRejected);
     };
 
-    for (let i = 0; i < limit; i++) {
-      next();
-    }
+    const next = () => {
+      if (tasksFulfilled === tasks.length) {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(result);
+        return;
+      }
+
+      let position = 0;
+
+      while (position < queue.length) {
+        if (tasksRunning >= limit) {
+          break;
+        }
+
+        const index = queue[position];
+
+        // Smaller tasks can still fit into the rest of memory
+        if (
+          tasksRunning > 0 &&
+          usedMemory + (memory[index] ?? 0) > memoryLimit
+        ) {
+          position += 1;
+
+          continue;
+        }
+
+        queue.splice(position, 1);
+        run(index);
+      }
+    };
+
+    next();
   });
 }
 
@@ -478,6 +559,105 @@ function fileTypeFromBuffer(input) {
   }
 }
 
+/**
+ * @typedef {Object} ImageMetadata
+ * @property {string} [format]
+ * @property {number} [width]
+ * @property {number} [height]
+ * @property {boolean} [hasAlpha]
+ * @property {boolean} [isAnimated]
+ */
+
+/**
+ * Reads the format and sizes from the header of an image without decoding it.
+ * @param {Buffer} buffer
+ * @returns {ImageMetadata | undefined}
+ */
+function imageMetadataFromBuffer(buffer) {
+  const { ext } = fileTypeFromBuffer(buffer) || {};
+  /** @type {import("image-size/dist/types/interface").ISizeCalculationResult | undefined} */
+  let size;
+
+  try {
+    size = imageSize(buffer);
+  } catch {
+    // Nothing
+  }
+
+  const format = ext ?? size?.type;
+
+  if (!format) {
+    return;
+  }
+
+  return {
+    format,
+    // Sizes of SVG images can be fractional
+    width: typeof size?.width === "number" ? Math.round(size.width) : undefined,
+    height:
+      typeof size?.height === "number" ? Math.round(size.height) : undefined,
+    // `sharp` doesn't read frames of animated PNG images
+    ...(ext === "apng" ? { isAnimated: true } : {}),
+  };
+}
+
+/**
+ * Reads metadata from the header of an image, `hasAlpha` and `isAnimated` are read by `sharp` (when it is installed),
+ * it also reads sizes of formats which are unknown for `image-size`.
+ * @param {Buffer} buffer
+ * @returns {Promise<ImageMetadata>}
+ */
+async function getImageMetadata(buffer) {
+  const metadata = imageMetadataFromBuffer(buffer) || {};
+
+  /** @type {SharpLib} */
+  let sharp;
+
+  try {
+    // eslint-disable-next-line node/no-unpublished-require
+    sharp = require("sharp");
+  } catch {
+    return metadata;
+  }
+
+  try {
+    const { format, width, height, hasAlpha, pages } =
+      await sharp(buffer).metadata();
+
+    return {
+      format: metadata.format ?? format,
+      width: metadata.width ?? width,
+      height: metadata.height ?? height,
+      hasAlpha,
+      isAnimated:
+        metadata.isAnimated ?? (typeof pages === "number" && pages > 1),
+    };
+  } catch {
+    return metadata;
+  }
+}
+
+/**
+ * Estimates memory (in bytes) which is used by decoded pixels of an image, only the header of the image is read.
+ * @param {Buffer} buffer
+ * @returns {Promise<number>}
+ */
+async function estimateImageMemory(buffer) {
+  let { width, height } = imageMetadataFromBuffer(buffer) || {};
+
+  // Formats which are unknown for `image-size` (i.e. RAW images) are read by `sharp`
+  if (typeof width !== "number" || typeof height !== "number") {
+    ({ width, height } = await getImageMetadata(buffer));
+  }
+
+  if (typeof width !== "number" || typeof height !== "number") {
+    return buffer.length;
+  }
+
+  // Images are decoded to RGBA pixels
+  return Math.max(buffer.length, width * height * 4);
+}
+
 /**
  * @template T
  * @param fn {(function(): any) | undefined}
@@ -521,6 +701,30 @@ class InvalidConfigError extends Error {
   }
 }
 
+/**
+ * @param {string} pluginName
+ * @returns {string[]}
+ */
+function getImageminPluginNames(pluginName) {
+  return pluginName.startsWith("imagemin")
+    ? [pluginName]
+    : [`imagemin-${pluginName}`, pluginName];
+}
+
+/**
+ * @param {string} pluginName
+ * @param {unknown} [cause]
+ * @returns {Error}
+ */
+function getUnknownImageminPluginError(pluginName, cause) {
+  const [pluginNameForError] = getImageminPluginNames(pluginName);
+
+  return new Error(
+    `Unknown plugin: ${pluginNameForError}\n\nDid you forget to install the plugin?\nYou can install it with:\n\n$ npm install ${pluginNameForError} --save-dev\n$ yarn add ${pluginNameForError} --dev`,
+    { cause },
+  );
+}
+
 /**
  * @template T
  * @param {ImageminOptions} imageminConfig
@@ -550,55 +754,26 @@ async function imageminNormalizeConfig(imageminConfig) {
       const pluginOptions = isPluginArray ? plugin[1] : undefined;
 
       let requiredPlugin = null;
-      let requiredPluginName = pluginName.startsWith("imagemin")
-        ? pluginName
-        : `imagemin-${pluginName}`;
-
-      try {
-        // @ts-ignore
-        // eslint-disable-next-line no-await-in-loop
-        requiredPlugin = (await import(requiredPluginName)).default(
-          pluginOptions,
-        );
-      } catch {
-        requiredPluginName = pluginName;
+      /** @type {unknown} */
+      let lastError;
 
+      for (const requiredPluginName of getImageminPluginNames(pluginName)) {
         try {
           // @ts-ignore
           // eslint-disable-next-line no-await-in-loop
           requiredPlugin = (await import(requiredPluginName)).default(
             pluginOptions,
           );
-        } catch (error) {
-          const pluginNameForError = pluginName.startsWith("imagemin")
-            ? pluginName
-            : `imagemin-${pluginName}`;
 
-          throw new Error(
-            `Unknown plugin: ${pluginNameForError}\n\nDid you forget to install the plugin?\nYou can install it with:\n\n$ npm install ${pluginNameForError} --save-dev\n$ yarn add ${pluginNameForError} --dev`,
-            { cause: error },
-          );
+          break;
+        } catch (error) {
+          lastError = error;
         }
-        // Nothing
       }
 
-      // let version = "unknown";
-
-      // try {
-      //   // eslint-disable-next-line import/no-dynamic-require
-      //   ({ version } = require(`${requiredPluginName}/package.json`));
-      // } catch {
-      //   // Nothing
-      // }
-
-      // /** @type {Array<Object>} imageminConfig.pluginsMeta */
-      // pluginsMeta.push([
-      //   {
-      //     name: requiredPluginName,
-      //     options: pluginOptions || {},
-      //     version,
-      //   },
-      // ]);
+      if (!requiredPlugin) {
+        throw getUnknownImageminPluginError(pluginName, lastError);
+      }
 
       plugins.push(requiredPlugin);
     } else {
@@ -613,6 +788,63 @@ async function imageminNormalizeConfig(imageminConfig) {
   return { plugins };
 }
 
+/**
+ * Checks that plugins of the configuration are installed without importing them, so a missing plugin is reported once,
+ * when the configuration is loaded, instead of once per image.
+ * @param {ImageminOptions} imageminConfig
+ * @returns {void}
+ */
+function imageminCheckConfig(imageminConfig) {
+  for (const plugin of imageminConfig?.plugins ?? []) {
+    // Invalid configurations are reported by `imageminNormalizeConfig`
+    if (typeof plugin !== "string" && !Array.isArray(plugin)) {
+      continue;
+    }
+
+    const pluginName = Array.isArray(plugin) ? plugin[0] : plugin;
+    const isInstalled = getImageminPluginNames(pluginName).some((name) => {
+      try {
+        require.resolve(name);
+
+        return true;
+      } catch (error) {
+        // ES modules without the `require` condition are installed, but can't be resolved by `require.resolve`
+        return (
+          /** @type {NodeJS.ErrnoException} */ (error).code ===
+          "ERR_PACKAGE_PATH_NOT_EXPORTED"
+        );
+      }
+    });
+
+    if (!isInstalled) {
+      throw getUnknownImageminPluginError(pluginName);
+    }
+  }
+}
+
+/** @type {WeakMap<ImageminOptions, Promise<ImageminOptions>>} */
+const normalizedImageminConfigs = new WeakMap();
+
+/**
+ * Plugins are imported and created once for an options object and are reused for all images.
+ * @param {ImageminOptions} imageminConfig
+ * @returns {Promise<ImageminOptions>}
+ */
+function getNormalizedImageminConfig(imageminConfig) {
+  if (!imageminConfig || typeof imageminConfig !== "object") {
+    return imageminNormalizeConfig(imageminConfig);
+  }
+
+  let normalized = normalizedImageminConfigs.get(imageminConfig);
+
+  if (!normalized) {
+    normalized = imageminNormalizeConfig(imageminConfig);
+    normalizedImageminConfigs.set(imageminConfig, normalized);
+  }
+
+  return normalized;
+}
+
 /**
  * @template T
  * @param {WorkerResult} original
@@ -621,7 +853,7 @@ async function imageminNormalizeConfig(imageminConfig) {
  */
 async function imageminGenerate(original, minimizerOptions) {
   const minimizerOptionsNormalized = /** @type {ImageminOptions} */ (
-    await imageminNormalizeConfig(
+    await getNormalizedImageminConfig(
       /** @type {ImageminOptions} */ (
         /** @type {?} */ (minimizerOptions ?? {})
       ),
@@ -675,11 +907,14 @@ async function imageminGenerate(original, minimizerOptions) {
  * @template T
  * @param {WorkerResult} original
  * @param {T} options
+ * @param {TransformerContext} [context]
  * @returns {Promise<WorkerResult | null>}
  */
-async function imageminMinify(original, options) {
+async function imageminMinify(original, options, context = {}) {
+  context.signal?.throwIfAborted();
+
   const minimizerOptionsNormalized = /** @type {ImageminOptions} */ (
-    await imageminNormalizeConfig(
+    await getNormalizedImageminConfig(
       /** @type {ImageminOptions} */ (/** @type {?} */ (options ?? {})),
     )
   );
@@ -785,9 +1020,12 @@ async function squooshImagePoolTeardown() {
  * @template T
  * @param {WorkerResult} original
  * @param {T} minifyOptions
+ * @param {TransformerContext} [context]
  * @returns {Promise<WorkerResult | null>}
  */
-async function squooshGenerate(original, minifyOptions) {
+async function squooshGenerate(original, minifyOptions, context = {}) {
+  context.signal?.throwIfAborted();
+
   // eslint-disable-next-line node/no-unpublished-require
   const squoosh = require("@squoosh/lib");
   const isReusePool = Boolean(pool);
@@ -881,9 +1119,12 @@ squooshGenerate.teardown = squooshImagePoolTeardown;
  * @template T
  * @param {WorkerResult} original
  * @param {T} options
+ * @param {TransformerContext} [context]
  * @returns {Promise<WorkerResult | null>}
  */
-async function squooshMinify(original, options) {
+async function squooshMinify(original, options, context = {}) {
+  context.signal?.throwIfAborted();
+
   // eslint-disable-next-line node/no-unpublished-require
   const squoosh = require("@squoosh/lib");
   const { encoders } = squoosh;
@@ -1014,6 +1255,46 @@ squooshMinify.teardown = squooshImagePoolTeardown;
  * @type {(width: number, height: number) => string}
  */
 
+/**
+ * Decodes an image to raw pixels, so they can be shared by transformers of the same image.
+ * Animated images, images with the EXIF orientation and images with more than 8 bits per channel can't be represented by raw pixels without losses, `null` is returned for them.
+ * @param {Buffer} input
+ * @returns {Promise<DecodedImage | null>}
+ */
+async function decodeImage(input) {
+  /** @type {SharpLib} */
+  // eslint-disable-next-line node/no-unpublished-require
+  const sharp = require("sharp");
+  const metadata = await sharp(input).metadata();
+
+  if (
+    (metadata.pages ?? 1) > 1 ||
+    (metadata.orientation ?? 1) > 1 ||
+    metadata.depth !== "uchar"
+  ) {
+    return null;
+  }
+
+  const { data, info } = await sharp(input)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    data,
+    info: { width: info.width, height: info.height, channels: info.channels },
+    metadata,
+  };
+}
+
+/**
+ * The image is decoded on the first call only.
+ * @param {Buffer} input
+ * @returns {() => Promise<DecodedImage | null>}
+ */
+function createImageDecoder(input) {
+  return memoize(() => decodeImage(input));
+}
+
 // https://github.com/lovell/sharp/blob/e40a881ab4a5e7b0e37ba17e31b3b186aef8cbf6/lib/output.js#L7-L23
 const SHARP_GENERATE_FORMATS = new Map([
   ["avif", "avif"],
@@ -1055,22 +1336,28 @@ const SHARP_MINIFY_FORMATS = new Map([
 /**
  * @param {WorkerResult} original
  * @param {SharpOptions} minimizerOptions
- * @param {SharpFormat | null} targetFormat
- * @returns {Promise<WorkerResult | null>}
+ * @param {SharpFormat[] | null} targetFormats
+ * @param {TransformerContext} [context]
+ * @returns {Promise<WorkerResult | WorkerResult[] | null>}
  */
 async function sharpTransform(
   original,
   minimizerOptions = {},
-  targetFormat = null,
+  targetFormats = null,
+  context = {},
 ) {
+  const { signal } = context;
+
+  signal?.throwIfAborted();
+
   const inputExt = path.extname(original.filename).slice(1).toLowerCase();
 
   if (
-    !targetFormat
+    !targetFormats
       ? !SHARP_MINIFY_FORMATS.has(inputExt)
       : !SHARP_GENERATE_FORMATS.has(inputExt)
   ) {
-    if (targetFormat) {
+    if (targetFormats) {
       const error = new Error(
         `Error with '${original.filename}': Input file has an unsupported format`,
       );
@@ -1084,7 +1371,25 @@ async function sharpTransform(
   /** @type {SharpLib} */
   // eslint-disable-next-line node/no-unpublished-require
   const sharp = require("sharp");
-  const imagePipeline = sharp(original.data, { animated: true });
+  // Raw pixels of the original image are shared by all transformers of the image
+  let decoded = context.decode ? await context.decode() : null;
+
+  // Raw pixels don't have the density of the original image, but `png` keeps it
+  if (
+    decoded &&
+    decoded.metadata.density &&
+    (targetFormats ?? [decoded.metadata.format]).includes("png")
+  ) {
+    decoded = null;
+  }
+
+  const imagePipeline = decoded
+    ? sharp(decoded.data, { raw: decoded.info })
+    : sharp(original.data, { animated: true });
+  // Metadata is read from the input, so it doesn't depend on operations
+  const imageMetadata = decoded
+    ? decoded.metadata
+    : await imagePipeline.metadata();
 
   // ====== rotate ======
 
@@ -1104,28 +1409,25 @@ async function sharpTransform(
       (typeof params.width === "number" || typeof params.height === "number")
     ) {
       if (unit === "percent") {
-        const originalMetadata = await sharp(original.data).metadata();
+        // Frames of animated images are resized separately
+        const originalHeight = imageMetadata.pageHeight ?? imageMetadata.height;
 
         if (
           typeof params.width === "number" &&
-          originalMetadata.width &&
-          Number.isFinite(originalMetadata.width) &&
-          originalMetadata.width > 0
+          imageMetadata.width &&
+          Number.isFinite(imageMetadata.width) &&
+          imageMetadata.width > 0
         ) {
-          params.width = Math.ceil(
-            (originalMetadata.width * params.width) / 100,
-          );
+          params.width = Math.ceil((imageMetadata.width * params.width) / 100);
         }
 
         if (
           typeof params.height === "number" &&
-          originalMetadata.height &&
-          Number.isFinite(originalMetadata.height) &&
-          originalMetadata.height > 0
+          originalHeight &&
+          Number.isFinite(originalHeight) &&
+          originalHeight > 0
         ) {
-          params.height = Math.ceil(
-            (originalMetadata.height * params.height) / 100,
-          );
+          params.height = Math.ceil((originalHeight * params.height) / 100);
         }
       }
 
@@ -1135,61 +1437,98 @@ async function sharpTransform(
 
   // ====== convert ======
 
-  const imageMetadata = await imagePipeline.metadata();
+  /** @type {SharpFormat[]} */
+  const outputFormats = targetFormats ?? [
+    /** @type {SharpFormat} */ (imageMetadata.format),
+  ];
 
-  const outputFormat =
-    targetFormat ?? /** @type {SharpFormat} */ (imageMetadata.format);
+  /** @type {Sharp[]} */
+  let pipelines = [imagePipeline];
 
-  const encodeOptions = minimizerOptions.encodeOptions?.[outputFormat];
+  if (outputFormats.length > 1) {
+    if ((imageMetadata.pages ?? 1) > 1) {
+      // Raw pixels can't keep frames of animated images
+      pipelines = outputFormats.map(() => imagePipeline.clone());
+    } else {
+      // Decode (and resize) once, then encode to every format
+      const { data, info } = await imagePipeline
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      pipelines = outputFormats.map(() =>
+        sharp(data, {
+          raw: {
+            width: info.width,
+            height: info.height,
+            channels: info.channels,
+          },
+        }),
+      );
+    }
+  }
 
-  imagePipeline.toFormat(outputFormat, encodeOptions);
+  // `sharp` can't stop running operations, so the signal is checked before encoding
+  signal?.throwIfAborted();
 
-  const result = await imagePipeline.toBuffer({ resolveWithObject: true });
+  const results = await Promise.all(
+    outputFormats.map(async (outputFormat, index) => {
+      const encodeOptions = minimizerOptions.encodeOptions?.[outputFormat];
 
-  // ====== rename ======
+      pipelines[index].toFormat(outputFormat, encodeOptions);
 
-  const outputExt = targetFormat ? outputFormat : inputExt;
-  const { width, height } = result.info;
+      const result = await pipelines[index].toBuffer({
+        resolveWithObject: true,
+      });
 
-  const sizeSuffix =
-    typeof minimizerOptions.sizeSuffix === "function"
-      ? minimizerOptions.sizeSuffix(width, height)
-      : "";
+      // ====== rename ======
 
-  const dotIndex = original.filename.lastIndexOf(".");
-  const filename =
-    dotIndex > -1
-      ? `${original.filename.slice(0, dotIndex)}${sizeSuffix}.${outputExt}`
-      : original.filename;
+      const outputExt = targetFormats ? outputFormat : inputExt;
+      const { width, height } = result.info;
 
-  // TODO use this then remove `sizeSuffix`
-  // const filename = replaceFileExtension(original.filename, outputExt);
+      const sizeSuffix =
+        typeof minimizerOptions.sizeSuffix === "function"
+          ? minimizerOptions.sizeSuffix(width, height)
+          : "";
 
-  const processedFlag = targetFormat ? "generated" : "minimized";
-  const processedBy = targetFormat ? "generatedBy" : "minimizedBy";
+      const dotIndex = original.filename.lastIndexOf(".");
+      const filename =
+        dotIndex > -1
+          ? `${original.filename.slice(0, dotIndex)}${sizeSuffix}.${outputExt}`
+          : original.filename;
 
-  return {
-    filename,
-    data: result.data,
-    warnings: [...original.warnings],
-    errors: [...original.errors],
-    info: {
-      ...original.info,
-      width,
-      height,
-      [processedFlag]: true,
-      [processedBy]: ["sharp", ...(original.info?.[processedBy] ?? [])],
-    },
-  };
+      // TODO use this then remove `sizeSuffix`
+      // const filename = replaceFileExtension(original.filename, outputExt);
+
+      const processedFlag = targetFormats ? "generated" : "minimized";
+      const processedBy = targetFormats ? "generatedBy" : "minimizedBy";
+
+      return {
+        filename,
+        data: result.data,
+        warnings: [...original.warnings],
+        errors: [...original.errors],
+        info: {
+          ...original.info,
+          width,
+          height,
+          [processedFlag]: true,
+          [processedBy]: ["sharp", ...(original.info?.[processedBy] ?? [])],
+        },
+      };
+    }),
+  );
+
+  return results.length === 1 ? results[0] : results;
 }
 
 /**
  * @template T
  * @param {WorkerResult} original
  * @param {T} minimizerOptions
- * @returns {Promise<WorkerResult | null>}
+ * @param {TransformerContext} [context]
+ * @returns {Promise<WorkerResult | WorkerResult[] | null>}
  */
-function sharpGenerate(original, minimizerOptions) {
+function sharpGenerate(original, minimizerOptions, context) {
   const sharpOptions = /** @type {SharpOptions} */ (minimizerOptions ?? {});
 
   const targetFormats = /** @type {SharpFormat[]} */ (
@@ -1205,30 +1544,24 @@ function sharpGenerate(original, minimizerOptions) {
     return Promise.resolve(null);
   }
 
-  if (targetFormats.length > 1) {
-    const error = new Error(
-      `Multiple values for the 'encodeOptions' option is not supported for '${original.filename}', specify only one codec for the generator`,
-    );
-
-    original.errors.push(error);
-    return Promise.resolve(null);
-  }
-
-  const [targetFormat] = targetFormats;
-
-  return sharpTransform(original, sharpOptions, targetFormat);
+  return sharpTransform(original, sharpOptions, targetFormats, context);
 }
 
 /**
  * @template T
  * @param {WorkerResult} original
  * @param {T} minimizerOptions
+ * @param {TransformerContext} [context]
  * @returns {Promise<WorkerResult | null>}
  */
-function sharpMinify(original, minimizerOptions) {
-  return sharpTransform(
-    original,
-    /** @type {SharpOptions} */ (minimizerOptions),
+function sharpMinify(original, minimizerOptions, context) {
+  return /** @type {Promise<WorkerResult | null>} */ (
+    sharpTransform(
+      original,
+      /** @type {SharpOptions} */ (minimizerOptions),
+      null,
+      context,
+    )
   );
 }
 
@@ -1246,10 +1579,13 @@ function sharpMinify(original, minimizerOptions) {
  * @template T
  * @param {WorkerResult} original
  * @param {T} minimizerOptions
+ * @param {TransformerContext} [context]
  * @returns {Promise<WorkerResult | null>}
  */
 // eslint-disable-next-line require-await
-async function svgoMinify(original, minimizerOptions) {
+async function svgoMinify(original, minimizerOptions, context = {}) {
+  context.signal?.throwIfAborted();
+
   if (path.extname(original.filename).toLowerCase() !== ".svg") {
     return null;
   }
@@ -1291,15 +1627,281 @@ async function svgoMinify(original, minimizerOptions) {
   };
 }
 
+/**
+ * @typedef TraceOptions
+ * @type {object}
+ * @property {number} [colors] Number of posterized layers, `1` traces a silhouette.
+ * @property {string} [color] Fill of all layers, by default each layer uses the average color of its pixels.
+ * @property {string} [background] Fill of the background, by default the background is transparent.
+ * @property {number} [size] Maximum width and height of the traced bitmap, smaller values give less details and smaller SVG.
+ * @property {number} [minArea] Paths with smaller area (in pixels of the traced bitmap) are dropped.
+ * @property {number} [tolerance] Maximum distance (in pixels of the traced bitmap) between the traced and the simplified outline.
+ * @property {SvgoEncodeOptions} [encodeOptions] Options for `svgo`.
+ */
+
+/**
+ * @template T
+ * @param {WorkerResult} original
+ * @param {T} minimizerOptions
+ * @param {TransformerContext} [context]
+ * @returns {Promise<WorkerResult | null>}
+ */
+async function traceGenerate(original, minimizerOptions, context = {}) {
+  context.signal?.throwIfAborted();
+
+  const inputExt = path.extname(original.filename).slice(1).toLowerCase();
+
+  if (!SHARP_GENERATE_FORMATS.has(inputExt) || inputExt === "svg") {
+    const error = new Error(
+      `Error with '${original.filename}': Input file has an unsupported format`,
+    );
+
+    original.errors.push(error);
+
+    return null;
+  }
+
+  const {
+    colors = 3,
+    color,
+    background,
+    size = 128,
+    minArea = 8,
+    tolerance = 1,
+    encodeOptions,
+  } = /** @type {TraceOptions} */ (minimizerOptions ?? {});
+
+  /** @type {SharpLib} */
+  // eslint-disable-next-line node/no-unpublished-require
+  const sharp = require("sharp");
+
+  /** @type {string} */
+  let svg;
+  /** @type {number | undefined} */
+  let width;
+  /** @type {number | undefined} */
+  let height;
+
+  try {
+    const imagePipeline = sharp(original.data);
+
+    ({ width, height } = await imagePipeline.metadata());
+
+    const { data, info } = await imagePipeline
+      .resize(size, size, { fit: "inside", withoutEnlargement: true })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    svg = traceSVG(
+      { data, width: info.width, height: info.height },
+      {
+        colors,
+        color,
+        background,
+        minArea,
+        tolerance,
+        outputWidth: width,
+        outputHeight: height,
+      },
+    );
+  } catch (error) {
+    const originalError =
+      error instanceof Error ? error : new Error(/** @type {string} */ (error));
+
+    original.errors.push(
+      new Error(`Error with '${original.filename}': ${originalError.message}`),
+    );
+
+    return null;
+  }
+
+  return svgoMinify(
+    {
+      filename: replaceFileExtension(original.filename, "svg"),
+      data: Buffer.from(svg),
+      // Share arrays with the original result, so errors from `svgo` are not lost
+      warnings: original.warnings,
+      errors: original.errors,
+      info: {
+        ...original.info,
+        width,
+        height,
+        generated: true,
+        generatedBy: ["trace", ...(original.info?.generatedBy ?? [])],
+      },
+    },
+    { encodeOptions },
+  );
+}
+
 /** @type {WeakMap<Module, AssetInfo>} */
 const IMAGE_MINIMIZER_PLUGIN_INFO_MAPPINGS = new WeakMap();
 
+// Queries which turn an image into a JavaScript module
+const EXPORTS_QUERY_REGEX = /[?&](?:srcset|meta|placeholder|palette)(?:[=&]|$)/;
+
+/**
+ * @typedef {Object} PackageInfo
+ * @property {string} name
+ * @property {string} version
+ * @property {string} path Path to `package.json` of the package.
+ */
+
+/** @type {Map<string, PackageInfo | null>} */
+const packagesInfo = new Map();
+
+/**
+ * Packages are searched in the same directories as `require` does, `package.json` is not resolved, because packages don't always export it.
+ * @param {string} name
+ * @returns {PackageInfo | null}
+ */
+function getPackageInfo(name) {
+  const cached = packagesInfo.get(name);
+
+  if (typeof cached !== "undefined") {
+    return cached;
+  }
+
+  /** @type {PackageInfo | null} */
+  let packageInfo = null;
+
+  for (const directory of require.resolve.paths(name) ?? []) {
+    const packageJsonPath = path.join(directory, name, "package.json");
+
+    try {
+      // eslint-disable-next-line import/no-dynamic-require
+      const { version } = require(packageJsonPath);
+
+      packageInfo = { name, version, path: packageJsonPath };
+      break;
+    } catch {
+      // Nothing
+    }
+  }
+
+  packagesInfo.set(name, packageInfo);
+
+  return packageInfo;
+}
+
+/**
+ * Packages of built-in implementations, packages of custom implementations are unknown.
+ * @template T
+ * @param {import("./index").Transformer<T> | import("./index").Transformer<T>[]} transformer
+ * @returns {PackageInfo[]}
+ */
+function getTransformerPackages(transformer) {
+  const transformers = Array.isArray(transformer) ? transformer : [transformer];
+  /** @type {Set<PackageInfo | null>} */
+  const packages = new Set();
+
+  for (const { implementation, options } of transformers) {
+    if (implementation === sharpMinify || implementation === sharpGenerate) {
+      packages.add(getPackageInfo("sharp"));
+    } else if (implementation === traceGenerate) {
+      // Traced SVGs are optimized by `svgoMinify`
+      packages.add(getPackageInfo("sharp"));
+      packages.add(getPackageInfo("svgo"));
+    } else if (implementation === svgoMinify) {
+      packages.add(getPackageInfo("svgo"));
+    } else if (
+      implementation === squooshMinify ||
+      implementation === squooshGenerate
+    ) {
+      packages.add(getPackageInfo("@squoosh/lib"));
+    } else if (
+      implementation === imageminMinify ||
+      implementation === imageminGenerate
+    ) {
+      packages.add(getPackageInfo("imagemin"));
+
+      const { plugins = [] } = /** @type {ImageminOptions} */ (options ?? {});
+
+      for (const plugin of plugins) {
+        if (typeof plugin === "string" || Array.isArray(plugin)) {
+          // The same names as in `imageminNormalizeConfig`
+          const pluginName = Array.isArray(plugin) ? plugin[0] : plugin;
+
+          packages.add(
+            getPackageInfo(
+              pluginName.startsWith("imagemin")
+                ? pluginName
+                : `imagemin-${pluginName}`,
+            ) ?? getPackageInfo(pluginName),
+          );
+        }
+      }
+    }
+  }
+
+  packages.delete(null);
+
+  return /** @type {PackageInfo[]} */ ([...packages]);
+}
+
+/**
+ * Versions of packages are a part of cache keys, so results are optimized again after packages are updated.
+ * @template T
+ * @param {import("./index").Transformer<T> | import("./index").Transformer<T>[]} transformer
+ * @returns {Record<string, string>}
+ */
+function getPackageVersions(transformer) {
+  return Object.fromEntries(
+    getTransformerPackages(transformer).map(({ name, version }) => [
+      name,
+      version,
+    ]),
+  );
+}
+
+/**
+ * Implementations with the `cacheKey` hook or the `version` property are identified by them instead of the source code,
+ * so changes of captured variables invalidate results and refactoring of implementations doesn't.
+ * @template T
+ * @param {import("./index").Transformer<T> | import("./index").Transformer<T>[]} transformer
+ * @returns {any}
+ */
+function getCacheIdentity(transformer) {
+  const transformers = Array.isArray(transformer) ? transformer : [transformer];
+  const identity = transformers.map((item) => {
+    const { implementation } = item;
+
+    if (
+      typeof implementation.cacheKey !== "function" &&
+      typeof implementation.version === "undefined"
+    ) {
+      return item;
+    }
+
+    return {
+      ...item,
+      implementation: {
+        cacheKey:
+          typeof implementation.cacheKey === "function"
+            ? implementation.cacheKey(item.options)
+            : undefined,
+        version: implementation.version,
+      },
+    };
+  });
+
+  return Array.isArray(transformer) ? identity : identity[0];
+}
+
 module.exports = {
   throttleAll,
   isAbsoluteURL,
   replaceFileExtension,
+  getImageMetadata,
+  estimateImageMemory,
+  createImageDecoder,
+  getTransformerPackages,
+  getPackageVersions,
+  getCacheIdentity,
   memoize,
   imageminNormalizeConfig,
+  imageminCheckConfig,
   imageminMinify,
   imageminGenerate,
   squooshMinify,
@@ -1307,7 +1909,9 @@ module.exports = {
   sharpMinify,
   sharpGenerate,
   svgoMinify,
+  traceGenerate,
   IMAGE_MINIMIZER_PLUGIN_INFO_MAPPINGS,
+  EXPORTS_QUERY_REGEX,
   ABSOLUTE_URL_REGEX,
   WINDOWS_PATH_REGEX,
 };
@@ -0,0 +1,191 @@
+const path = require("path");
+
+const { getImageMetadata } = require("./utils");
+
+/** @typedef {import("webpack").Compilation} Compilation */
+/** @typedef {import("webpack").AssetInfo} AssetInfo */
+
+/**
+ * @typedef {Object} ImageAsset
+ * @property {string} name
+ * @property {AssetInfo} info
+ */
+
+// Browsers use the first supported format, so formats are sorted by preference
+const MODERN_FORMATS = [
+  { extension: ".avif", type: "image/avif" },
+  { extension: ".webp", type: "image/webp" },
+];
+
+/** @type {Record<string, string>} */
+const MIME_TYPES = {
+  ".avif": "image/avif",
+  ".gif": "image/gif",
+  ".jpeg": "image/jpeg",
+  ".jpg": "image/jpeg",
+  ".jxl": "image/jxl",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".tif": "image/tiff",
+  ".tiff": "image/tiff",
+  ".webp": "image/webp",
+};
+
+/**
+ * @param {string} filename
+ * @returns {string | undefined}
+ */
+function getMimeType(filename) {
+  return MIME_TYPES[path.extname(filename).toLowerCase()];
+}
+
+/**
+ * Returns the name of an asset from an URL used in an output file, absolute URLs from other origins are ignored.
+ * @param {string} url
+ * @param {string} outputName
+ * @param {string} publicPath
+ * @returns {string | undefined}
+ */
+function getAssetName(url, outputName, publicPath) {
+  const [pathname] = url.split(/[?#]/);
+
+  if (publicPath !== "auto" && pathname.startsWith(publicPath)) {
+    return pathname.slice(publicPath.length);
+  }
+
+  // Relative URLs are resolved from the output file
+  return /^(?:[a-z][a-z\d+.-]*:|\/)/i.test(pathname)
+    ? undefined
+    : path.posix.join(path.posix.dirname(outputName), pathname);
+}
+
+/**
+ * @param {Compilation} compilation
+ * @param {string} url
+ * @param {string} outputName
+ * @returns {ImageAsset | undefined}
+ */
+function resolveImage(compilation, url, outputName) {
+  const publicPath = compilation.getAssetPath(
+    compilation.outputOptions.publicPath ?? "auto",
+    { hash: compilation.hash },
+  );
+  const name = getAssetName(url, outputName, publicPath);
+  const asset = name ? compilation.getAsset(name) : undefined;
+
+  return asset ? { name: asset.name, info: asset.info } : undefined;
+}
+
+/**
+ * Assets without the `sourceFilename` info (i.e. emitted by other plugins) are sources of their generated variants.
+ * @param {ImageAsset} asset
+ * @returns {string}
+ */
+function getSourceFilename(asset) {
+  return typeof asset.info.sourceFilename === "string"
+    ? asset.info.sourceFilename
+    : asset.name;
+}
+
+/**
+ * Collects images by their source, the relationship is known from the `sourceFilename` info of assets.
+ * @param {Compilation} compilation
+ * @returns {Map<string, ImageAsset[]>}
+ */
+function getImageVariants(compilation) {
+  /** @type {Map<string, ImageAsset[]>} */
+  const variants = new Map();
+
+  for (const { name, info } of compilation.getAssets()) {
+    const sourceFilename = getSourceFilename({ name, info });
+    const images = variants.get(sourceFilename) ?? [];
+
+    images.push({ name, info });
+    variants.set(sourceFilename, images);
+  }
+
+  return variants;
+}
+
+/**
+ * Returns the generated variant of an image in a format, the image itself is returned when it has this format.
+ * @param {ImageAsset} image
+ * @param {Map<string, ImageAsset[]>} variants
+ * @param {string} extension
+ * @returns {ImageAsset | undefined}
+ */
+function findVariant(image, variants, extension) {
+  if (path.extname(image.name).toLowerCase() === extension) {
+    return image;
+  }
+
+  const candidates = (variants.get(getSourceFilename(image)) ?? []).filter(
+    (item) =>
+      item.info.generated &&
+      path.extname(item.name).toLowerCase() === extension,
+  );
+
+  if (typeof image.info.width === "number") {
+    const sameWidth = candidates.find(
+      (item) => item.info.width === image.info.width,
+    );
+
+    if (sameWidth) {
+      return sameWidth;
+    }
+  }
+
+  return candidates.length === 1 ? candidates[0] : undefined;
+}
+
+/**
+ * Builds URL of a variant from URL of the image, so the variant uses the same public path.
+ * @param {string} url
+ * @param {ImageAsset} image
+ * @param {ImageAsset} variant
+ * @returns {string}
+ */
+function getVariantUrl(url, image, variant) {
+  const [pathname] = url.split(/[?#]/);
+
+  return `${pathname.slice(0, pathname.lastIndexOf("/") + 1)}${path.posix.relative(
+    path.posix.dirname(image.name),
+    variant.name,
+  )}`;
+}
+
+/**
+ * @param {Compilation} compilation
+ * @param {ImageAsset} image
+ * @returns {Promise<{ width?: number, height?: number }>}
+ */
+function getImageSize(compilation, image) {
+  if (
+    typeof image.info.width === "number" &&
+    typeof image.info.height === "number"
+  ) {
+    return Promise.resolve({
+      width: image.info.width,
+      height: image.info.height,
+    });
+  }
+
+  // Images which are not processed by `sharp` or `squoosh` don't have dimensions in the asset info
+  const { source } = /** @type {import("webpack").Asset} */ (
+    compilation.getAsset(image.name)
+  );
+  const data = source.source();
+
+  return getImageMetadata(Buffer.isBuffer(data) ? data : Buffer.from(data));
+}
+
+module.exports = {
+  MODERN_FORMATS,
+  getMimeType,
+  resolveImage,
+  getSourceFilename,
+  getImageVariants,
+  findVariant,
+  getVariantUrl,
+  getImageSize,
+};
@@ -1,8 +1,34 @@
+const fs = require("fs");
+const path = require("path");
+
+const { generatePlaceholders } = require("./placeholder");
+const { extractPalette } = require("./palette");
+const { runInThread } = require("./pool");
+const { getHash } = require("./store");
+const {
+  createImageDecoder,
+  getCacheIdentity,
+  getPackageVersions,
+  memoize,
+} = require("./utils");
+
 /** @typedef {import("./index").WorkerResult} WorkerResult */
 /** @typedef {import("./index").FilenameFn} FilenameFn */
+/** @typedef {import("./index").DecodedImage} DecodedImage */
 
 const isFilenameProcessed = Symbol("isFilenameProcessed");
 
+const getSerializeJavascript = memoize(() => require("serialize-javascript"));
+// Results of other versions of the plugin can be different,
+// `package.json` is not required, so it is not a part of generated types
+const getPluginVersion = memoize(
+  () =>
+    JSON.parse(
+      // eslint-disable-next-line node/no-sync
+      fs.readFileSync(path.resolve(__dirname, "../package.json"), "utf8"),
+    ).version,
+);
+
 /**
  * @template T
  * @param {WorkerResult} result
@@ -44,51 +70,175 @@ function processSeverityError(result, options) {
   }
 }
 
+/**
+ * Results of steps are stored, when results are changed by next steps (i.e. info of placeholders is added).
+ * @param {WorkerResult} result
+ * @returns {WorkerResult}
+ */
+function copyResult(result) {
+  return {
+    ...result,
+    info: { ...result.info },
+    warnings: [...result.warnings],
+    errors: [...result.errors],
+  };
+}
+
 /**
  * @template T
+ * @typedef {Object} TransformedResult
+ * @property {WorkerResult} result
+ * @property {undefined | string | FilenameFn} filenameTemplate
+ */
+
+/**
+ * @template T
+ * @param {WorkerResult} result
  * @param {import("./index").InternalWorkerOptions<T>} options
- * @returns {Promise<WorkerResult>}
+ * @returns {WorkerResult}
  */
-async function worker(options) {
-  /** @type {WorkerResult} */
-  let result = {
-    data: options.input,
-    filename: options.filename,
-    warnings: [],
-    errors: [],
-    info: {
-      sourceFilename:
-        options.info &&
-        typeof options.info === "object" &&
-        typeof options.info.sourceFilename === "string"
-          ? options.info.sourceFilename
-          : typeof options.filename === "string"
-            ? options.filename
-            : undefined,
-    },
+function processResult(result, options) {
+  result.info ??= {};
+  result.errors ??= [];
+  result.warnings ??= [];
+  result.filename ??= options.filename;
+
+  return result;
+}
+
+/**
+ * @typedef {Object} ImageInfo
+ * @property {Partial<Record<import("./placeholder").PlaceholderType, string>>} [placeholder]
+ * @property {string} [dominantColor]
+ * @property {string[]} [palette]
+ */
+
+/**
+ * Tasks of the same image share the decoder, so info is generated once for all of them.
+ * @type {WeakMap<() => Promise<DecodedImage | null>, Promise<{ info: ImageInfo, errors: Error[] }>>}
+ */
+const imageInfoCache = new WeakMap();
+
+/**
+ * @template T
+ * @param {() => Promise<DecodedImage | null>} decode
+ * @param {import("./index").InternalWorkerOptions<T>} options
+ * @returns {Promise<{ info: ImageInfo, errors: Error[] }>}
+ */
+async function generateImageInfo(decode, options) {
+  /** @type {import("sharp")} */
+  // eslint-disable-next-line node/no-unpublished-require
+  const sharp = require("sharp");
+  /** @type {ImageInfo} */
+  const info = {};
+  /** @type {Error[]} */
+  const errors = [];
+
+  /**
+   * @param {unknown} error
+   */
+  const addError = (error) => {
+    errors.push(
+      new Error(
+        `Error with '${options.filename}': ${
+          error instanceof Error ? error.message : error
+        }`,
+      ),
+    );
   };
 
-  if (!result.data) {
-    result.errors.push(new Error("Empty input"));
-    return result;
-  }
+  let image;
+
+  try {
+    const decoded = await decode();
 
-  const transformers = Array.isArray(options.transformer)
-    ? options.transformer
-    : [options.transformer];
+    // Images which can't be represented by raw pixels are decoded for each placeholder
+    image = decoded
+      ? sharp(decoded.data, { raw: decoded.info })
+      : sharp(options.input);
+  } catch (error) {
+    addError(error);
 
-  /** @type {undefined | string | FilenameFn} */
-  let filenameTemplate;
+    return { info, errors };
+  }
 
-  for (const transformer of transformers) {
-    if (
-      typeof transformer.filter === "function" &&
-      !transformer.filter(options.input, options.filename)
-    ) {
-      continue;
+  if (options.placeholder && options.placeholder.length > 0) {
+    try {
+      info.placeholder = await generatePlaceholders(image, options.placeholder);
+    } catch (error) {
+      addError(error);
+    }
+  }
+
+  if (options.palette) {
+    try {
+      Object.assign(info, await extractPalette(image, options.palette));
+    } catch (error) {
+      addError(error);
     }
+  }
+
+  return { info, errors };
+}
+
+/**
+ * Placeholders and the palette are generated from the original image, all results (i.e. other formats and sizes) get the same info.
+ * Failures are reported as warnings, results are still usable without them.
+ * @template T
+ * @param {TransformedResult<T>[]} transformedResults
+ * @param {import("./index").InternalWorkerOptions<T>} options
+ * @returns {Promise<void>}
+ */
+async function addImageInfo(transformedResults, options) {
+  if (
+    (!options.placeholder || options.placeholder.length === 0) &&
+    !options.palette
+  ) {
+    return;
+  }
+
+  const decode = options.decode ?? createImageDecoder(options.input);
+  let imageInfo = imageInfoCache.get(decode);
+  const isShared = Boolean(imageInfo);
+
+  if (!imageInfo) {
+    imageInfo = generateImageInfo(decode, options);
+    imageInfoCache.set(decode, imageInfo);
+  }
+
+  const { info, errors } = await imageInfo;
+
+  for (const { result } of transformedResults) {
+    Object.assign(result.info, info);
+  }
+
+  // Failures are reported by the first task of the image only
+  if (!isShared && transformedResults.length > 0) {
+    transformedResults[0].result.warnings.push(...errors);
+  }
+}
 
-    /** @type {WorkerResult | null} */
+/**
+ * @template T
+ * @param {WorkerResult} initialResult
+ * @param {import("./index").Transformer<T>[]} transformers
+ * @param {import("./index").InternalWorkerOptions<T>} options
+ * @param {undefined | string | FilenameFn} [initialFilenameTemplate]
+ * @returns {Promise<TransformedResult<T>[]>}
+ */
+async function runTransformers(
+  initialResult,
+  transformers,
+  options,
+  initialFilenameTemplate,
+) {
+  let result = initialResult;
+  let filenameTemplate = initialFilenameTemplate;
+
+  for (const [index, transformer] of transformers.entries()) {
+    options.signal?.throwIfAborted();
+
+    /** @type {WorkerResult | WorkerResult[] | null} */
     let processedResult;
 
     try {
@@ -96,42 +246,435 @@ async function worker(options) {
       processedResult = await transformer.implementation(
         result,
         transformer.options,
+        {
+          signal: options.signal,
+          // Decoded pixels are of the original image, next transformers of a chain get other data
+          decode: result.data === options.input ? options.decode : undefined,
+        },
       );
     } catch (error) {
+      // Aborted results are not errors of the image
+      if (options.signal?.aborted) {
+        throw options.signal.reason;
+      }
+
       result.errors.push(
         error instanceof Error
           ? error
           : new Error(/** @type {string} */ (error)),
       );
 
-      return result;
+      return [{ result, filenameTemplate }];
     }
 
-    if (processedResult && !Buffer.isBuffer(processedResult.data)) {
+    // `null` in results is ignored, so an empty array means nothing changed
+    const processedResults = /** @type {WorkerResult[]} */ (
+      Array.isArray(processedResult) ? processedResult : [processedResult]
+    ).filter(Boolean);
+
+    if (processedResults.some((item) => !Buffer.isBuffer(item.data))) {
       result.errors.push(
         new Error(
           "minimizer function doesn't return the 'data' property or result is not a 'Buffer' value",
         ),
       );
 
-      return result;
+      return [{ result, filenameTemplate }];
     }
 
-    if (processedResult) {
-      result = processedResult;
+    // Several results (i.e. multiple formats), the rest of transformers is applied to each of them
+    if (Array.isArray(processedResult) && processedResults.length > 0) {
+      const nextTransformers = transformers.slice(index + 1);
+      const nextFilenameTemplate = filenameTemplate ?? transformer.filename;
+      // Steps of several results are not cached
+      const branchOptions = { ...options, onStep: undefined };
+
+      // eslint-disable-next-line no-await-in-loop
+      const branches = await Promise.all(
+        processedResults.map((item) =>
+          runTransformers(
+            item,
+            nextTransformers,
+            branchOptions,
+            nextFilenameTemplate,
+          ),
+        ),
+      );
+
+      return branches.flat();
+    }
+
+    if (processedResults.length > 0) {
+      [result] = processedResults;
       filenameTemplate ??= transformer.filename;
     }
+
+    if (options.onStep) {
+      options.onStep(index, copyResult(result), filenameTemplate);
+    }
   }
 
-  result.info ??= {};
-  result.errors ??= [];
-  result.warnings ??= [];
-  result.filename ??= options.filename;
+  return [{ result, filenameTemplate }];
+}
+
+/**
+ * Runs transformers, filename templates are processed later, so it can be run in threads.
+ * @template T
+ * @param {WorkerResult} result
+ * @param {import("./index").Transformer<T>[]} transformers
+ * @param {import("./index").InternalWorkerOptions<T>} options
+ * @returns {Promise<TransformedResult<T>[]>}
+ */
+async function transform(result, transformers, options) {
+  return (await runTransformers(result, transformers, options)).map((item) => ({
+    result: processResult(item.result, options),
+    filenameTemplate: item.filenameTemplate,
+  }));
+}
+
+/**
+ * @template T
+ * @param {TransformedResult<T>[]} transformedResults
+ * @param {import("./index").InternalWorkerOptions<T>} options
+ * @returns {WorkerResult | WorkerResult[]}
+ */
+function finalize(transformedResults, options) {
+  const processedResults = transformedResults.map(
+    ({ result, filenameTemplate }) => {
+      processFilenameTemplate(result, options, filenameTemplate);
 
-  processSeverityError(result, options);
-  processFilenameTemplate(result, options, filenameTemplate);
+      return result;
+    },
+  );
 
-  return result;
+  /** @type {Set<string>} */
+  const filenames = new Set();
+
+  // Each result is emitted as own asset, so results with the same filename are conflicting
+  const results = processedResults.filter((item) => {
+    if (filenames.has(item.filename)) {
+      processedResults[0].errors.push(
+        new Error(
+          `Error with '${options.filename}': multiple results have the same '${item.filename}' filename, use the 'filename' option or return unique filenames`,
+        ),
+      );
+
+      return false;
+    }
+
+    filenames.add(item.filename);
+
+    return true;
+  });
+
+  for (const item of results) {
+    processSeverityError(item, options);
+  }
+
+  return results.length === 1 ? results[0] : results;
+}
+
+/**
+ * @template T
+ * @param {WorkerResult} result
+ * @param {import("./index").Transformer<T>[]} transformers
+ * @param {import("./index").InternalWorkerOptions<T>} options
+ * @returns {Promise<TransformedResult<T>[]>}
+ */
+async function transformImage(result, transformers, options) {
+  if (!options.stepCache || transformers.length < 2) {
+    return (
+      (options.threads &&
+        (await runInThread(result, transformers, options, options.threads))) ||
+      transform(result, transformers, options)
+    );
+  }
+
+  const { stepCache } = options;
+  // The longest cached chain of transformers is reused, only the rest of transformers is applied
+  const cachedSteps = await Promise.all(
+    transformers.map((transformer, index) =>
+      stepCache.get(transformers.slice(0, index + 1)),
+    ),
+  );
+  const lastCachedIndex = cachedSteps.findLastIndex(Boolean);
+  const cachedStep =
+    lastCachedIndex === -1 ? undefined : cachedSteps[lastCachedIndex];
+  const cachedFilenameTemplate =
+    typeof cachedStep?.filenameIndex === "number"
+      ? transformers[cachedStep.filenameIndex].filename
+      : undefined;
+  const nextTransformers = transformers.slice(lastCachedIndex + 1);
+  /** @type {Promise<void>[]} */
+  const stored = [];
+  /** @type {import("./index").InternalWorkerOptions<T>} */
+  const stepOptions = {
+    ...options,
+    onStep: (index, stepResult, filenameTemplate) => {
+      const stepIndex = lastCachedIndex + 1 + index;
+      const template = cachedFilenameTemplate ?? filenameTemplate;
+
+      stored.push(
+        stepCache.store(transformers.slice(0, stepIndex + 1), {
+          result: stepResult,
+          filenameIndex:
+            typeof template !== "undefined"
+              ? transformers.findIndex((item) => item.filename === template)
+              : undefined,
+        }),
+      );
+    },
+  };
+  const initialResult = cachedStep ? copyResult(cachedStep.result) : result;
+  const transformedResults =
+    (options.threads &&
+      (await runInThread(
+        initialResult,
+        nextTransformers,
+        stepOptions,
+        options.threads,
+      ))) ||
+    (await transform(initialResult, nextTransformers, stepOptions));
+
+  await Promise.all(stored);
+
+  return transformedResults.map((item) => ({
+    result: item.result,
+    filenameTemplate: cachedFilenameTemplate ?? item.filenameTemplate,
+  }));
+}
+
+/**
+ * Names of results are stored relative to the name of the input (i.e. only the changed extension),
+ * so results are shared between the same images in other directories and projects.
+ * @template T
+ * @param {TransformedResult<T>[]} transformedResults
+ * @param {import("./index").Transformer<T>[]} transformers
+ * @param {string} filename
+ * @returns {import("./store").StoredItem[]}
+ */
+function toStoredItems(transformedResults, transformers, filename) {
+  const base = filename.slice(
+    0,
+    filename.length - path.extname(filename).length,
+  );
+
+  return transformedResults.map(({ result, filenameTemplate }) => {
+    const { sourceFilename, ...info } = result.info;
+
+    return {
+      data: result.data,
+      info,
+      filename: result.filename.startsWith(base)
+        ? { suffix: result.filename.slice(base.length) }
+        : { name: result.filename },
+      filenameIndex:
+        typeof filenameTemplate !== "undefined"
+          ? transformers.findIndex((item) => item.filename === filenameTemplate)
+          : -1,
+      warnings: result.warnings.map((warning) => warning.message),
+    };
+  });
+}
+
+/**
+ * @template T
+ * @param {import("./store").StoredItem[]} items
+ * @param {import("./index").Transformer<T>[]} transformers
+ * @param {WorkerResult} result
+ * @returns {TransformedResult<T>[]}
+ */
+function fromStoredItems(items, transformers, result) {
+  const { filename } = result;
+  const base = filename.slice(
+    0,
+    filename.length - path.extname(filename).length,
+  );
+
+  return items.map((item) => ({
+    result: {
+      data: item.data,
+      filename:
+        typeof item.filename.suffix === "string"
+          ? `${base}${item.filename.suffix}`
+          : item.filename.name,
+      info: { ...item.info, sourceFilename: result.info.sourceFilename },
+      warnings: item.warnings.map(
+        (/** @type {string} */ message) => new Error(message),
+      ),
+      errors: [],
+    },
+    filenameTemplate:
+      item.filenameIndex === -1
+        ? undefined
+        : transformers[item.filenameIndex]?.filename,
+  }));
+}
+
+/**
+ * Sizes and the time of processing are added to info of minimized and generated results, they are shown in stats.
+ * Generated results also get the name of the preset, it is used in the manifest of images.
+ * @param {WorkerResult | WorkerResult[]} processedResult
+ * @param {Buffer} input
+ * @param {number} startTime
+ * @param {string} [preset]
+ * @returns {WorkerResult | WorkerResult[]}
+ */
+function addProcessingInfo(processedResult, input, startTime, preset) {
+  const processingTime = Math.round(performance.now() - startTime);
+
+  /**
+   * @param {WorkerResult} item
+   * @returns {WorkerResult}
+   */
+  const addInfo = (item) =>
+    item.info.minimized || item.info.generated
+      ? {
+          ...item,
+          info: {
+            ...item.info,
+            originalSize: input.length,
+            processedSize: item.data.length,
+            processingTime,
+            ...(preset && item.info.generated ? { preset } : {}),
+          },
+        }
+      : item;
+
+  return Array.isArray(processedResult)
+    ? processedResult.map(addInfo)
+    : addInfo(processedResult);
+}
+
+/**
+ * @template T
+ * @param {import("./index").InternalWorkerOptions<T>} options
+ * @returns {Promise<WorkerResult | WorkerResult[]>}
+ */
+async function worker(options) {
+  /** @type {WorkerResult} */
+  const result = {
+    data: options.input,
+    filename: options.filename,
+    warnings: [],
+    errors: [],
+    info: {
+      sourceFilename:
+        options.info &&
+        typeof options.info === "object" &&
+        typeof options.info.sourceFilename === "string"
+          ? options.info.sourceFilename
+          : typeof options.filename === "string"
+            ? options.filename
+            : undefined,
+    },
+  };
+
+  if (!result.data) {
+    result.errors.push(new Error("Empty input"));
+    return result;
+  }
+
+  const transformers = (
+    Array.isArray(options.transformer)
+      ? options.transformer
+      : [options.transformer]
+  ).filter(
+    (transformer) =>
+      typeof transformer.filter !== "function" ||
+      transformer.filter(options.input, options.filename),
+  );
+
+  options.signal?.throwIfAborted();
+
+  const startTime = performance.now();
+  const preset = transformers.findLast(
+    (transformer) => transformer.preset,
+  )?.preset;
+
+  if (!options.store) {
+    const transformedResults = await transformImage(
+      result,
+      transformers,
+      options,
+    );
+
+    await addImageInfo(transformedResults, options);
+
+    return addProcessingInfo(
+      finalize(transformedResults, options),
+      options.input,
+      startTime,
+      preset,
+    );
+  }
+
+  // The name of the image is not a part of the key, so the same images are shared between projects
+  const key = getHash(
+    getSerializeJavascript()({
+      version: getPluginVersion(),
+      input: getHash(options.input),
+      transformers: getCacheIdentity(transformers),
+      versions: getPackageVersions(transformers),
+      placeholder: options.placeholder,
+      palette: options.palette,
+    }),
+  );
+  const storedItems = await options.store.get(key);
+
+  if (storedItems) {
+    return addProcessingInfo(
+      finalize(fromStoredItems(storedItems, transformers, result), options),
+      options.input,
+      startTime,
+      preset,
+    );
+  }
+
+  const transformedResults = await transformImage(
+    result,
+    transformers,
+    options,
+  );
+
+  await addImageInfo(transformedResults, options);
+
+  // Items are created before names are changed by templates of the current image and by the `severityError` option
+  const items = toStoredItems(
+    transformedResults,
+    transformers,
+    result.filename,
+  );
+  const hasErrors = transformedResults.some(
+    ({ result: item }) => item.errors.length > 0,
+  );
+  const processedResult = addProcessingInfo(
+    finalize(transformedResults, options),
+    options.input,
+    startTime,
+    preset,
+  );
+  const results = Array.isArray(processedResult)
+    ? processedResult
+    : [processedResult];
+
+  // Results with errors are optimized again, so errors are always reported
+  if (!hasErrors) {
+    try {
+      await options.store.set(key, items);
+    } catch (error) {
+      results[0].warnings.push(
+        new Error(
+          `Can't write results of '${options.filename}' to the store: ${
+            error instanceof Error ? error.message : error
+          }`,
+        ),
+      );
+    }
+  }
+
+  return processedResult;
 }
 
 module.exports = worker;
+module.exports.transform = transform;
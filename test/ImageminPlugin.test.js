@@ -923,6 +923,146 @@ describe("imagemin plugin", () => {
     );
   });
 
+  it("should show savings of images in stats", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./empty-entry.js"),
+      emitPlugin: true,
+      imageminPluginOptions: {
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+        },
+      },
+    });
+    const { compilation } = stats;
+    const { info, source } = compilation.getAsset("plugin-test.jpg");
+
+    expect(info.originalSize).toBe(
+      (await fs.readFile(path.join(fixturesPath, "plugin-test.jpg"))).length,
+    );
+    expect(info.processedSize).toBe(source.size());
+    expect(typeof info.processingTime).toBe("number");
+
+    expect(stats.toJson({ all: false }).imageMinimizer).toEqual({
+      count: 1,
+      outputs: 1,
+      originalSize: info.originalSize,
+      processedSize: info.processedSize,
+      processingTime: expect.any(Number),
+    });
+
+    const stringStats = stats.toString();
+
+    expect(stringStats).toMatch(
+      /asset plugin-test.jpg.+\[minimized\] \[\d+ bytes → \d+ bytes, \d+% (saved|larger) in \d+ ms\]/,
+    );
+    expect(stringStats).toMatch(
+      /images \(1, 1 outputs\): \d+ bytes → \d+ bytes, \d+% (saved|larger) in \d+ ms/,
+    );
+  });
+
+  it("should count each source image once and not show the time of cached results in stats", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        emitPlugin: true,
+        imageminPluginOptions: {
+          minimizer: {
+            implementation: ImageMinimizerPlugin.sharpMinify,
+          },
+          generator: [
+            {
+              type: "asset",
+              preset: "webp",
+              implementation: ImageMinimizerPlugin.sharpGenerate,
+              options: {
+                encodeOptions: {
+                  webp: {},
+                },
+              },
+            },
+          ],
+        },
+      },
+      true,
+    );
+
+    compiler.options.cache = { type: "memory" };
+
+    const stats = await compile(compiler);
+    const originalSize = (
+      await fs.readFile(path.join(fixturesPath, "plugin-test.jpg"))
+    ).length;
+    const sizes = ["plugin-test.jpg", "plugin-test.webp"].map((name) =>
+      stats.compilation.getAsset(name).source.size(),
+    );
+
+    expect(stats.toJson({ all: false }).imageMinimizer).toEqual({
+      count: 1,
+      outputs: 2,
+      originalSize,
+      processedSize: sizes[0],
+      processingTime: expect.any(Number),
+    });
+
+    const cachedStats = await compile(compiler);
+    const cachedJson = cachedStats.toJson({
+      all: false,
+      assets: true,
+      cachedAssets: true,
+    });
+
+    expect(cachedJson.imageMinimizer).toEqual({
+      count: 1,
+      outputs: 2,
+      originalSize,
+      processedSize: sizes[0],
+    });
+    expect(
+      cachedJson.assets.find(({ name }) => name === "plugin-test.webp").info
+        .processingTime,
+    ).toBeUndefined();
+    expect(cachedStats.toString()).toMatch(
+      /images \(1, 2 outputs\): \d+ bytes → \d+ bytes, \d+% (saved|larger)$/,
+    );
+  });
+
+  it("should compare source images with minimized images in stats", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./srcset-and-image.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      imageminPluginOptions: {
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+        },
+        generator: [
+          {
+            preset: "webp",
+            implementation: ImageMinimizerPlugin.sharpGenerate,
+            options: {
+              encodeOptions: {
+                webp: {},
+              },
+            },
+          },
+        ],
+      },
+    });
+    const { compilation } = stats;
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(0);
+    expect(stats.toJson({ all: false }).imageMinimizer).toEqual({
+      count: 1,
+      outputs: 4,
+      originalSize: (
+        await fs.readFile(path.join(fixturesPath, "loader-test.png"))
+      ).length,
+      processedSize: compilation.getAsset("loader-test.png").source.size(),
+      processingTime: expect.any(Number),
+    });
+  });
+
   it("should optimizes and generate images (imageminGenerate)", async () => {
     const stats = await runWebpack({
       entry: path.join(fixturesPath, "generator-and-minimizer.js"),
@@ -1172,6 +1312,33 @@ describe("imagemin plugin", () => {
     );
   });
 
+  it("should throw an error on unknown imagemin plugin", async () => {
+    await expect(async () => {
+      await runWebpack({
+        emitPlugin: true,
+        imageminPluginOptions: {
+          minimizer: {
+            implementation: ImageMinimizerPlugin.imageminMinify,
+            options: { plugins: ["mozjpeg", "unknown"] },
+          },
+        },
+      });
+    }).rejects.toThrow(/Unknown plugin: imagemin-unknown/);
+
+    expect(
+      () =>
+        new ImageMinimizerPlugin({
+          generator: [
+            {
+              preset: "webp",
+              implementation: ImageMinimizerPlugin.imageminGenerate,
+              options: { plugins: [["imagemin-unknown", {}]] },
+            },
+          ],
+        }),
+    ).toThrow(/Unknown plugin: imagemin-unknown/);
+  });
+
   it("should generate and do not throw an error on unsupported file types in minimizer", async () => {
     const stats = await runWebpack({
       entry: path.join(fixturesPath, "generator-and-minimizer.js"),
@@ -1359,7 +1526,7 @@ describe("imagemin plugin", () => {
     },
   );
 
-  it("should generate throw an error on multiple 'encodeOptions' options using 'sharpGenerate'", async () => {
+  it("should generate multiple formats from one generator using 'sharpGenerate'", async () => {
     const stats = await runWebpack({
       entry: path.join(fixturesPath, "generator-and-minimizer-3.js"),
       imageminPluginOptions: {
@@ -1384,10 +1551,24 @@ describe("imagemin plugin", () => {
     const { warnings, errors } = compilation;
 
     expect(warnings).toHaveLength(0);
-    expect(errors).toHaveLength(1);
-    expect(errors[0].message).toMatch(
-      /Multiple values for the 'encodeOptions' option is not supported for 'loader-test.png', specify only one codec for the generator/,
+    expect(errors).toHaveLength(0);
+
+    const outputPath = path.resolve(__dirname, compilation.options.output.path);
+    const extWebp = await fileType.fromFile(
+      path.resolve(outputPath, "./loader-test.webp"),
+    );
+    const extAvif = await fileType.fromFile(
+      path.resolve(outputPath, "./loader-test.avif"),
     );
+
+    expect(/image\/webp/i.test(extWebp.mime)).toBe(true);
+    expect(/image\/avif/i.test(extAvif.mime)).toBe(true);
+    expect(compilation.getAsset("loader-test.webp").info.generatedBy).toEqual([
+      "sharp",
+    ]);
+    expect(compilation.getAsset("loader-test.avif").info.generatedBy).toEqual([
+      "sharp",
+    ]);
   });
 
   it("should return error on empty encodeOptions with 'sharpGenerate'", async () => {
@@ -2669,4 +2850,82 @@ describe("imagemin plugin", () => {
 
     expect(content).toContain("svgo-id_svg__test");
   });
+
+  it("should decode images once for all generators and minimizers", async () => {
+    const contexts = {};
+    const record = (key, implementation) => (original, options, context) => {
+      contexts[key] = context;
+
+      return implementation(original, options, context);
+    };
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./empty-entry.js"),
+      copyPlugin: true,
+      imageminPluginOptions: {
+        generator: [
+          {
+            type: "asset",
+            implementation: record("webp", ImageMinimizerPlugin.sharpGenerate),
+            options: { encodeOptions: { webp: {} } },
+          },
+          {
+            type: "asset",
+            implementation: record("avif", ImageMinimizerPlugin.sharpGenerate),
+            options: { encodeOptions: { avif: {} } },
+          },
+        ],
+        minimizer: [
+          {
+            implementation: record("jpeg", ImageMinimizerPlugin.sharpMinify),
+          },
+          {
+            implementation: record("next", (original) =>
+              Promise.resolve(original),
+            ),
+          },
+        ],
+      },
+    });
+    const { compilation } = stats;
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(0);
+    expect(compilation.getAsset("plugin-test.webp").info.generated).toBe(true);
+    expect(compilation.getAsset("plugin-test.avif").info.generated).toBe(true);
+    expect(compilation.getAsset("plugin-test.jpg").info.minimized).toBe(true);
+
+    expect(typeof contexts.webp.decode).toBe("function");
+    expect(contexts.avif.decode).toBe(contexts.webp.decode);
+    expect(contexts.jpeg.decode).toBe(contexts.webp.decode);
+    // Other transformers of a chain don't get the original image
+    expect(contexts.next.decode).toBeUndefined();
+  });
+
+  it("should add packages of implementations to build dependencies", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./simple.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      imageminPluginOptions: {
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+        },
+      },
+    });
+    const { compilation } = stats;
+    const sharpPackageJson = require.resolve("sharp/package.json");
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(0);
+    expect([...compilation.buildDependencies]).toContain(sharpPackageJson);
+
+    const imageModule = [...compilation.modules].find(
+      (module) =>
+        module.resource && module.resource.endsWith("loader-test.jpg"),
+    );
+
+    expect([...imageModule.buildInfo.buildDependencies]).toContain(
+      sharpPackageJson,
+    );
+  });
 });
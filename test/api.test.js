@@ -14,6 +14,10 @@ describe("api", () => {
       expect(typeof ImageMinimizerPlugin.squooshGenerate).toBe("function");
       expect(typeof ImageMinimizerPlugin.sharpMinify).toBe("function");
       expect(typeof ImageMinimizerPlugin.sharpGenerate).toBe("function");
+      expect(typeof ImageMinimizerPlugin.compareManifests).toBe("function");
+      expect(typeof ImageMinimizerPlugin.getComparisonMarkdown).toBe(
+        "function",
+      );
     });
   });
 
@@ -0,0 +1,160 @@
+import { execFile } from "child_process";
+import fs from "fs";
+import path from "path";
+import { promisify } from "util";
+
+import ImageMinimizerPlugin from "../src";
+
+import after from "./fixtures/manifests/after.json";
+import before from "./fixtures/manifests/before.json";
+import { fixturesPath } from "./helpers";
+
+const cliPath = path.resolve(__dirname, "../src/cli.js");
+const beforePath = path.join(fixturesPath, "manifests/before.json");
+const afterPath = path.join(fixturesPath, "manifests/after.json");
+
+/**
+ * @param {string[]} args
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+async function runCli(args) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [
+      cliPath,
+      ...args,
+    ]);
+
+    return { code: 0, stdout, stderr };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+describe("compare manifests", () => {
+  it("should find new, removed, grown and shrunk images", () => {
+    const comparison = ImageMinimizerPlugin.compareManifests(before, after);
+
+    expect(
+      comparison.added.map(({ sourceFilename, delta }) => [
+        sourceFilename,
+        delta,
+      ]),
+    ).toEqual([["images/screenshot.png", 3145728]]);
+    expect(
+      comparison.removed.map(({ sourceFilename, delta }) => [
+        sourceFilename,
+        delta,
+      ]),
+    ).toEqual([["images/old.gif", -1024]]);
+    expect(comparison.grown).toEqual([
+      {
+        sourceFilename: "images/hero.jpg",
+        format: "jpg",
+        preset: null,
+        width: 1280,
+        height: 853,
+        before: "hero.1a2b3c.jpg",
+        after: "hero.0f9e8d.jpg",
+        beforeSize: 98304,
+        afterSize: 131072,
+        delta: 32768,
+      },
+    ]);
+    expect(
+      comparison.shrunk.map(({ sourceFilename, preset, delta }) => [
+        sourceFilename,
+        preset,
+        delta,
+      ]),
+    ).toEqual([["images/hero.jpg", "webp", -8213]]);
+    expect(comparison.unchanged).toBe(1);
+    expect(comparison.beforeSize).toBe(151637);
+    expect(comparison.afterSize).toBe(3320896);
+    expect(comparison.delta).toBe(3169259);
+  });
+
+  it("should match images of different widths separately", () => {
+    const variant = {
+      url: "hero.jpg",
+      name: "hero.jpg",
+      format: "jpg",
+      type: "image/jpeg",
+      width: 640,
+      height: 427,
+      size: 1000,
+      preset: null,
+    };
+    const comparison = ImageMinimizerPlugin.compareManifests(
+      { "hero.jpg": [variant] },
+      { "hero.jpg": [{ ...variant, name: "hero-1280w.jpg", width: 1280 }] },
+    );
+
+    expect(comparison.added).toHaveLength(1);
+    expect(comparison.removed).toHaveLength(1);
+    expect(comparison.delta).toBe(0);
+  });
+
+  it("should return the Markdown summary", () => {
+    expect(
+      ImageMinimizerPlugin.getComparisonMarkdown(
+        ImageMinimizerPlugin.compareManifests(before, after),
+      ),
+    ).toMatchSnapshot();
+    expect(
+      ImageMinimizerPlugin.getComparisonMarkdown(
+        ImageMinimizerPlugin.compareManifests(before, before),
+      ),
+    ).toMatchSnapshot();
+  });
+
+  it("should print the Markdown summary from the CLI", async () => {
+    const { code, stdout } = await runCli([beforePath, afterPath]);
+
+    expect(code).toBe(0);
+    expect(stdout).toBe(
+      ImageMinimizerPlugin.getComparisonMarkdown(
+        ImageMinimizerPlugin.compareManifests(before, after),
+      ),
+    );
+  });
+
+  it("should write the JSON comparison from the CLI", async () => {
+    const outputPath = path.resolve(
+      __dirname,
+      "./outputs/compare/comparison.json",
+    );
+
+    await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+
+    const { code, stdout } = await runCli([
+      beforePath,
+      afterPath,
+      "--json",
+      "--output",
+      outputPath,
+    ]);
+
+    expect(code).toBe(0);
+    expect(stdout).toBe("");
+    expect(JSON.parse(await fs.promises.readFile(outputPath, "utf8"))).toEqual(
+      ImageMinimizerPlugin.compareManifests(before, after),
+    );
+  });
+
+  it("should fail in the CLI without manifests", async () => {
+    const { code, stderr } = await runCli([beforePath]);
+
+    expect(code).toBe(1);
+    expect(stderr).toMatch(/^Usage: image-minimizer-compare/);
+  });
+
+  it("should fail in the CLI when a manifest is not found", async () => {
+    const { code, stderr } = await runCli([
+      beforePath,
+      path.join(fixturesPath, "manifests/unknown.json"),
+    ]);
+
+    expect(code).toBe(1);
+    expect(stderr).toMatch(/ENOENT/);
+  });
+});
@@ -0,0 +1 @@
+import "./image-set.css";
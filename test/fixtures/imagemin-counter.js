@@ -0,0 +1,9 @@
+function imageminCounter() {
+  imageminCounter.created += 1;
+
+  return (buffer) => Promise.resolve(buffer);
+}
+
+imageminCounter.created = 0;
+
+module.exports = imageminCounter;
@@ -0,0 +1,3 @@
+require("./loader-test.gif");
+require("./loader-test.jpg");
+require("./loader-test.png");
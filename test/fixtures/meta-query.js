@@ -0,0 +1,3 @@
+require("./loader-test.png?meta");
+require("./loader-test.png?as=webp&width=100&meta");
+require("./animation-test.gif?meta");
@@ -0,0 +1,2 @@
+require("./loader-test.png?palette");
+require("./loader-test.gif?palette=3");
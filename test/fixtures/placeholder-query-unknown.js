@@ -0,0 +1 @@
+require("./loader-test.png?placeholder=unknown");
@@ -0,0 +1,4 @@
+require("./loader-test.png?placeholder=thumbhash");
+require("./loader-test.jpg?placeholder=blurhash");
+require("./loader-test.gif?placeholder=lqip");
+require("./plugin-test.jpg?placeholder");
@@ -0,0 +1,3 @@
+require("./loader-test.png");
+require("./loader-test.png?srcset&widths=100;200");
+require("./loader-test.png?as=webp&srcset&widths=200");
@@ -0,0 +1,2 @@
+require("./loader-test.png?srcset&widths=100;200");
+require("./loader-test.png?as=webp&srcset&widths=150;300");
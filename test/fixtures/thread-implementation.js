@@ -0,0 +1,7 @@
+const { threadId } = require("worker_threads");
+
+// Records the thread, so tests can check that the implementation runs in threads
+module.exports = (original) => ({
+  ...original,
+  info: { ...original.info, minimized: true, threadId },
+});
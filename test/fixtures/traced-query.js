@@ -0,0 +1,3 @@
+require("./loader-test.png?as=traced");
+require("./loader-test.gif?as=traced-silhouette");
+require("./loader-test.jpg");
@@ -0,0 +1,170 @@
+import path from "path";
+
+import fileType from "file-type";
+
+import ImageMinimizerPlugin from "../src";
+
+import { compile, fixturesPath, readAsset, runWebpack } from "./helpers";
+
+jest.setTimeout(20000);
+
+/**
+ * @param {object} [options]
+ * @returns {object}
+ */
+function getGenerator(options = {}) {
+  return {
+    preset: "webp",
+    implementation: ImageMinimizerPlugin.sharpGenerate,
+    options: {
+      encodeOptions: {
+        webp: {},
+        avif: {},
+      },
+    },
+    ...options,
+  };
+}
+
+describe("multiple formats of a generator", () => {
+  it("should use the first format as the module and emit other formats next to it", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./generator.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        imageminPluginOptions: {
+          generator: [getGenerator()],
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+    const { compilation } = stats;
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(0);
+    expect(Object.keys(compilation.assets).sort()).toEqual([
+      "bundle.js",
+      "loader-test.avif",
+      "loader-test.webp",
+    ]);
+
+    const bundle = readAsset("bundle.js", compiler, stats).toString();
+
+    expect(bundle).toContain('"loader-test.webp"');
+    expect(bundle).not.toContain('"loader-test.avif"');
+
+    for (const [name, mime] of [
+      ["loader-test.webp", "image/webp"],
+      ["loader-test.avif", "image/avif"],
+    ]) {
+      const { info } = compilation.getAsset(name);
+
+      // eslint-disable-next-line no-await-in-loop
+      const type = await fileType.fromBuffer(readAsset(name, compiler, stats));
+
+      expect(type.mime).toBe(mime);
+      expect(info.generated).toBe(true);
+      expect(info.generatedBy).toEqual(["sharp"]);
+      expect(info.sourceFilename).toBe("loader-test.png");
+    }
+  });
+
+  it("should emit all formats as assets with the 'asset' type", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        copyPlugin: true,
+        imageminPluginOptions: {
+          generator: [getGenerator({ type: "asset" })],
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+    const { compilation } = stats;
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(0);
+
+    for (const name of ["plugin-test.webp", "plugin-test.avif"]) {
+      const { info } = compilation.getAsset(name);
+
+      expect(info.generated).toBe(true);
+      expect(info.sourceFilename).toBe("plugin-test.jpg");
+    }
+
+    // Removed by the `deleteOriginalAssets` option
+    expect(compilation.getAsset("plugin-test.jpg")).toBeUndefined();
+  });
+
+  it("should apply the 'filename' option to each format", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        copyPlugin: true,
+        imageminPluginOptions: {
+          generator: [
+            getGenerator({
+              type: "asset",
+              filename: "generated/[name]-[width]w[ext]",
+            }),
+          ],
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+    const { compilation } = stats;
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(0);
+
+    const names = Object.keys(compilation.assets)
+      .filter((name) => name.startsWith("generated/"))
+      .sort();
+
+    expect(names).toHaveLength(2);
+
+    for (const name of names) {
+      const { info } = compilation.getAsset(name);
+
+      expect(name).toBe(
+        `generated/plugin-test-${info.width}w${path.extname(name)}`,
+      );
+      expect(info.generated).toBe(true);
+    }
+
+    expect(names.map((name) => path.extname(name))).toEqual([".avif", ".webp"]);
+  });
+
+  it("should report an error when formats have the same filename", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        copyPlugin: true,
+        imageminPluginOptions: {
+          generator: [
+            getGenerator({
+              type: "asset",
+              filename: "[name].image",
+            }),
+          ],
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+    const { compilation } = stats;
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(1);
+    expect(compilation.errors[0].message).toMatch(
+      /multiple results have the same 'plugin-test\.image' filename, use the 'filename' option or return unique filenames/,
+    );
+    expect(compilation.getAsset("plugin-test.image").info.generatedBy).toEqual([
+      "sharp",
+    ]);
+  });
+});
@@ -3,6 +3,7 @@ import path from "path";
 
 import webpack from "webpack";
 import MiniCssExtractPlugin from "mini-css-extract-plugin";
+import HtmlWebpackPlugin from "html-webpack-plugin";
 
 import ImageMinimizerPlugin from "../src/index";
 
@@ -39,7 +40,7 @@ async function runWebpack(maybeOptions, getCompiler = false) {
       experiments: options.experiments,
       devtool: false,
       bail: options.bail,
-      context: fixturesPath,
+      context: options.context || fixturesPath,
       entry: options.entry
         ? options.entry
         : path.join(fixturesPath, "./loader.js"),
@@ -209,6 +210,13 @@ async function runWebpack(maybeOptions, getCompiler = false) {
       ];
     }
 
+    if (options.htmlWebpackPluginOptions) {
+      config.plugins = [
+        ...config.plugins,
+        new HtmlWebpackPlugin(options.htmlWebpackPluginOptions),
+      ];
+    }
+
     if (options.copyPlugin) {
       config.plugins = [
         ...config.plugins,
@@ -324,6 +332,18 @@ function readAsset(asset, compiler, stats) {
   return data;
 }
 
+function readModuleSource(id, stats) {
+  const module = [...stats.compilation.modules].find(
+    (item) => item.resource && item.resource.endsWith(id),
+  );
+
+  if (!module) {
+    throw new Error("Can't find module");
+  }
+
+  return module.originalSource().source().toString();
+}
+
 function normalizePath(string) {
   const isWin = process.platform === "win32";
 
@@ -420,6 +440,7 @@ export {
   fixturesPath,
   hasLoader,
   readAsset,
+  readModuleSource,
   normalizePath,
   clearDirectory,
   EmitNewAssetPlugin,
@@ -0,0 +1,125 @@
+import path from "path";
+import ImageMinimizerPlugin from "../src";
+
+import { runWebpack, fixturesPath, readModuleSource } from "./helpers";
+
+jest.setTimeout(20000);
+
+describe("meta query", () => {
+  it("should export metadata of images", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./meta-query.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      test: /\.(jpe?g|png|gif|svg)$/i,
+      imageminPluginOptions: {
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+        },
+        generator: [
+          {
+            preset: "webp",
+            implementation: ImageMinimizerPlugin.sharpGenerate,
+            options: {
+              encodeOptions: {
+                webp: {},
+              },
+            },
+          },
+        ],
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+    expect(Object.keys(compilation.assets).sort()).toEqual([
+      "animation-test.gif",
+      "bundle.js",
+      "loader-test.png",
+      "loader-test.webp",
+    ]);
+    expect(compilation.getAsset("loader-test.webp").info.generated).toBe(true);
+    expect(readModuleSource("loader-test.png?meta", stats)).toMatchSnapshot(
+      "png",
+    );
+    expect(
+      readModuleSource("loader-test.png?as=webp&width=100&meta", stats),
+    ).toMatchSnapshot("webp");
+    expect(readModuleSource("animation-test.gif?meta", stats)).toMatchSnapshot(
+      "gif",
+    );
+  });
+
+  it("should export metadata of original image on errors", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./meta-query.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      imageminPluginOptions: {
+        minimizer: {
+          implementation: () => {
+            throw new Error("Error");
+          },
+        },
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(warnings).toHaveLength(0);
+    expect(errors.length).toBeGreaterThan(0);
+    expect(readModuleSource("loader-test.png?meta", stats)).toMatchSnapshot();
+  });
+
+  it("should name images with the 'assetModuleFilename' option", async () => {
+    const stats = await runWebpack({
+      context: path.resolve(__dirname, ".."),
+      entry: path.join(fixturesPath, "./meta-query.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      output: {
+        assetModuleFilename: "assets/[contenthash][ext]",
+      },
+      imageminPluginOptions: {
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+        },
+        generator: [
+          {
+            preset: "webp",
+            implementation: ImageMinimizerPlugin.sharpGenerate,
+            options: {
+              encodeOptions: {
+                webp: {},
+              },
+            },
+          },
+        ],
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+    const images = Object.keys(compilation.assets).filter(
+      (name) => name !== "bundle.js",
+    );
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+    expect(images).toHaveLength(3);
+
+    for (const name of images) {
+      expect(name).toMatch(/^assets\/[0-9a-f]{20}\.(png|webp|gif)$/);
+    }
+
+    const png = images.find((name) => name.endsWith(".png"));
+
+    expect(readModuleSource("loader-test.png?meta", stats)).toContain(
+      `src: __webpack_public_path__ + "${png}",`,
+    );
+  });
+});
@@ -0,0 +1,221 @@
+import path from "path";
+import { promisify } from "util";
+import fileType from "file-type";
+import imageSize from "image-size";
+import ImageMinimizerPlugin from "../src";
+
+import { runWebpack, fixturesPath, readModuleSource } from "./helpers";
+
+jest.setTimeout(20000);
+
+describe("srcset query", () => {
+  it("should generate images for each width and export them", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./srcset-query.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      imageminPluginOptions: {
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+        },
+        generator: [
+          {
+            preset: "webp",
+            implementation: ImageMinimizerPlugin.sharpGenerate,
+            options: {
+              encodeOptions: {
+                webp: {},
+              },
+            },
+          },
+        ],
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+    const sizeOf = promisify(imageSize);
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+
+    const assetsList = [
+      // asset path, width, height, mime regExp
+      ["./loader-test-100w.png", 100, 100, /image\/png/i],
+      ["./loader-test-200w.png", 200, 200, /image\/png/i],
+      ["./loader-test-150w.webp", 150, 150, /image\/webp/i],
+      ["./loader-test-300w.webp", 300, 300, /image\/webp/i],
+    ];
+
+    for (const [assetPath, width, height, mimeRegExp] of assetsList) {
+      const transformedAsset = path.resolve(
+        __dirname,
+        compilation.options.output.path,
+        assetPath,
+      );
+
+      // eslint-disable-next-line no-await-in-loop
+      const transformedExt = await fileType.fromFile(transformedAsset);
+      // eslint-disable-next-line no-await-in-loop
+      const dimensions = await sizeOf(transformedAsset);
+
+      expect(dimensions.width).toBe(width);
+      expect(dimensions.height).toBe(height);
+      expect(mimeRegExp.test(transformedExt.mime)).toBe(true);
+    }
+
+    expect(
+      readModuleSource("loader-test.png?srcset&widths=100;200", stats),
+    ).toMatchSnapshot("png");
+    expect(
+      readModuleSource("loader-test.png?as=webp&srcset&widths=150;300", stats),
+    ).toMatchSnapshot("webp");
+  });
+
+  it("should use the 'filename' option for each width", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./srcset-query.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      imageminPluginOptions: {
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          filename: "[name]-[width]x[height][ext]",
+        },
+        generator: [
+          {
+            preset: "webp",
+            implementation: ImageMinimizerPlugin.sharpGenerate,
+            filename: "[name]-[width]x[height][ext]",
+            options: {
+              encodeOptions: {
+                webp: {},
+              },
+            },
+          },
+        ],
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+    expect(Object.keys(compilation.assets).sort()).toEqual([
+      "bundle.js",
+      "loader-test-100x100.png",
+      "loader-test-150x150.webp",
+      "loader-test-200x200.png",
+      "loader-test-300x300.webp",
+    ]);
+  });
+
+  it("should name images with the 'assetModuleFilename' option", async () => {
+    const stats = await runWebpack({
+      context: path.resolve(__dirname, ".."),
+      entry: path.join(fixturesPath, "./srcset-query.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      output: {
+        assetModuleFilename: "assets/[contenthash][ext]",
+      },
+      imageminPluginOptions: {
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+        },
+        generator: [
+          {
+            preset: "webp",
+            implementation: ImageMinimizerPlugin.sharpGenerate,
+            options: {
+              encodeOptions: {
+                webp: {},
+              },
+            },
+          },
+        ],
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+    const images = Object.keys(compilation.assets).filter(
+      (name) => name !== "bundle.js",
+    );
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+    expect(images).toHaveLength(4);
+
+    for (const name of images) {
+      expect(name).toMatch(/^assets\/[0-9a-f]{20}\.(png|webp)$/);
+      expect(compilation.getAsset(name).info.immutable).toBe(true);
+    }
+
+    const source = readModuleSource(
+      "loader-test.png?srcset&widths=100;200",
+      stats,
+    );
+
+    for (const name of images.filter((item) => item.endsWith(".png"))) {
+      expect(source).toContain(`"${name}"`);
+    }
+  });
+
+  it("should throw an error when the 'widths' query param is not specified", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./srcset-query-without-widths.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      imageminPluginOptions: {
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+        },
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toMatch(
+      /Please specify the 'widths' query param to use 'srcset' query param/,
+    );
+  });
+
+  it("should report an error when images can't be generated", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./srcset-query.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      imageminPluginOptions: {
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          filename: () => {
+            throw new Error("Broken filename");
+          },
+        },
+        generator: [
+          {
+            preset: "webp",
+            implementation: ImageMinimizerPlugin.sharpGenerate,
+            options: {
+              encodeOptions: {
+                webp: {},
+              },
+            },
+          },
+        ],
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toMatch(/Broken filename/);
+  });
+});
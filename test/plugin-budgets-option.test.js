@@ -0,0 +1,147 @@
+import path from "path";
+
+import ImageMinimizerPlugin from "../src";
+
+import { compile, fixturesPath, runWebpack } from "./helpers";
+
+jest.setTimeout(20000);
+
+/**
+ * @param {object} options
+ * @returns {Promise<import("webpack").Stats>}
+ */
+async function compileWithBudgets(options) {
+  const compiler = await runWebpack(
+    {
+      entry: path.join(fixturesPath, "./empty-entry.js"),
+      emitPlugin: true,
+      imageminPluginOptions: {
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+        },
+        ...options,
+      },
+    },
+    true,
+  );
+
+  return compile(compiler);
+}
+
+describe("plugin budgets option", () => {
+  it("should report an error when the size of an image exceeds the budget", async () => {
+    const { compilation } = await compileWithBudgets({
+      budgets: [{ test: /plugin-test/, maxBytes: 10 }],
+    });
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(1);
+    expect(compilation.errors[0].message).toMatch(
+      /^Image 'plugin-test\.jpg' exceeds the budget: \d+ bytes, the maximum is 10 bytes$/,
+    );
+  });
+
+  it("should report a warning when the 'severityError' option is 'warning'", async () => {
+    const { compilation } = await compileWithBudgets({
+      severityError: "warning",
+      budgets: [{ maxBytes: 10 }],
+    });
+
+    expect(compilation.warnings).toHaveLength(1);
+    expect(compilation.warnings[0].message).toMatch(
+      /^Image 'plugin-test\.jpg' exceeds the budget/,
+    );
+    expect(compilation.errors).toHaveLength(0);
+  });
+
+  it("should not report anything when the 'severityError' option is 'off'", async () => {
+    const { compilation } = await compileWithBudgets({
+      severityError: "off",
+      budgets: [{ maxBytes: 10 }],
+    });
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(0);
+  });
+
+  it("should check only images matched by the 'test' and 'format' options", async () => {
+    const { compilation } = await compileWithBudgets({
+      budgets: [
+        { test: /hero/, maxBytes: 10 },
+        { format: ["png", "webp"], maxBytes: 10 },
+        { format: "JPG", maxBytes: 100000, maxWidth: 1 },
+      ],
+    });
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(0);
+  });
+
+  it("should check images after all images are processed", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        emitPlugin: true,
+        imageminPluginOptions: {
+          minimizer: {
+            implementation: ImageMinimizerPlugin.sharpMinify,
+          },
+          budgets: [{ maxBytes: 10 }],
+        },
+      },
+      true,
+    );
+
+    // Images can be changed by other plugins after they are minimized
+    compiler.hooks.thisCompilation.tap("test", (compilation) => {
+      compilation.hooks.processAssets.tap(
+        {
+          name: "test",
+          stage:
+            compiler.webpack.Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_TRANSFER,
+        },
+        () => {
+          compilation.updateAsset(
+            "plugin-test.jpg",
+            new compiler.webpack.sources.RawSource(Buffer.from("small")),
+          );
+        },
+      );
+    });
+
+    const { compilation } = await compile(compiler);
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(0);
+  });
+
+  it("should report an error when the width of an image of the loader exceeds the budget", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./generator.js"),
+        imageminPluginOptions: {
+          budgets: [{ format: "webp", maxWidth: 400 }],
+          generator: [
+            {
+              preset: "webp",
+              implementation: ImageMinimizerPlugin.sharpGenerate,
+              options: {
+                encodeOptions: {
+                  webp: {},
+                },
+              },
+            },
+          ],
+        },
+      },
+      true,
+    );
+    const { compilation } = await compile(compiler);
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(1);
+    expect(compilation.errors[0].message).toMatch(
+      "Image 'loader-test.webp' exceeds the budget: 500px wide, the maximum is 400px",
+    );
+  });
+});
@@ -0,0 +1,97 @@
+import path from "path";
+
+import ImageMinimizerPlugin from "../src";
+
+import { compile, fixturesPath, readAsset, runWebpack } from "./helpers";
+
+describe("plugin dimensions option", () => {
+  it("should add missing 'width' and 'height' attributes to images", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        htmlWebpackPluginOptions: {
+          template: path.join(fixturesPath, "./dimensions.html"),
+          inject: false,
+        },
+        imageminPluginOptions: {
+          dimensions: true,
+          minimizer: {
+            implementation: ImageMinimizerPlugin.sharpMinify,
+          },
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+    const { warnings, errors } = stats.compilation;
+    const html = readAsset("index.html", compiler, stats).toString();
+
+    expect(html).toMatchSnapshot("index.html");
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+  });
+
+  it("should add 'width' and 'height' attributes to images inside the 'picture' element", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        htmlWebpackPluginOptions: {
+          template: path.join(fixturesPath, "./dimensions.html"),
+          inject: false,
+        },
+        imageminPluginOptions: {
+          dimensions: true,
+          picture: true,
+          deleteOriginalAssets: false,
+          generator: [
+            {
+              type: "asset",
+              implementation: ImageMinimizerPlugin.sharpGenerate,
+              filter: (source, sourcePath) => sourcePath.endsWith(".png"),
+              options: {
+                encodeOptions: {
+                  webp: {},
+                },
+              },
+            },
+          ],
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+    const html = readAsset("index.html", compiler, stats).toString();
+
+    expect(html).toContain(
+      '<picture><source type="image/webp" srcset="loader-test.webp"><img src="loader-test.png" alt="processed" width="500" height="500"></picture>',
+    );
+  });
+
+  it("should not add attributes without the 'dimensions' option", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        htmlWebpackPluginOptions: {
+          template: path.join(fixturesPath, "./dimensions.html"),
+          inject: false,
+        },
+        imageminPluginOptions: {
+          minimizer: {
+            implementation: ImageMinimizerPlugin.sharpMinify,
+          },
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+    const html = readAsset("index.html", compiler, stats).toString();
+
+    expect(html).toContain('<img src="loader-test.png" alt="processed">');
+  });
+});
@@ -0,0 +1,76 @@
+import path from "path";
+
+import ImageMinimizerPlugin from "../src";
+
+import { compile, fixturesPath, readAsset, runWebpack } from "./helpers";
+
+const generator = [
+  {
+    type: "asset",
+    implementation: ImageMinimizerPlugin.sharpGenerate,
+    filter: (source, sourcePath) => sourcePath.endsWith(".png"),
+    options: {
+      encodeOptions: {
+        avif: {},
+        webp: {},
+      },
+    },
+  },
+  {
+    preset: "webp",
+    implementation: ImageMinimizerPlugin.sharpGenerate,
+    filename: "generated-[name][ext]",
+    options: {
+      encodeOptions: {
+        webp: {},
+        avif: {},
+      },
+    },
+  },
+];
+
+describe("plugin imageSet option", () => {
+  it("should add 'image-set()' with generated variants to CSS", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./image-set.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        MCEP: true,
+        imageminPluginOptions: {
+          imageSet: true,
+          deleteOriginalAssets: false,
+          generator,
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+    const { warnings, errors } = stats.compilation;
+    const css = readAsset("main.css", compiler, stats).toString();
+
+    expect(css).toMatchSnapshot("main.css");
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+  });
+
+  it("should not change CSS without the 'imageSet' option", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./image-set.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        MCEP: true,
+        imageminPluginOptions: {
+          deleteOriginalAssets: false,
+          generator,
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+    const css = readAsset("main.css", compiler, stats).toString();
+
+    expect(css).not.toContain('image-set(url("');
+  });
+});
@@ -0,0 +1,159 @@
+import path from "path";
+
+import ImageMinimizerPlugin from "../src";
+
+import { compile, fixturesPath, readAsset, runWebpack } from "./helpers";
+
+jest.setTimeout(20000);
+
+describe("plugin manifest option", () => {
+  it("should emit the manifest", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./simple.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        emitPlugin: true,
+        imageminPluginOptions: {
+          manifest: true,
+          minimizer: {
+            implementation: ImageMinimizerPlugin.sharpMinify,
+          },
+          generator: [
+            {
+              type: "asset",
+              preset: "webp",
+              implementation: ImageMinimizerPlugin.sharpGenerate,
+              options: {
+                encodeOptions: {
+                  webp: {},
+                },
+              },
+            },
+          ],
+        },
+      },
+      true,
+    );
+
+    compiler.options.output.publicPath = "/static/";
+
+    const stats = await compile(compiler);
+    const { compilation } = stats;
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(0);
+
+    const manifest = JSON.parse(
+      readAsset("image-manifest.json", compiler, stats).toString(),
+    );
+    const getSize = (name) => compilation.getAsset(name).source.size();
+
+    expect(manifest).toEqual({
+      "loader-test.jpg": [
+        {
+          url: "/static/loader-test.jpg",
+          name: "loader-test.jpg",
+          format: "jpg",
+          type: "image/jpeg",
+          width: 1,
+          height: 1,
+          size: getSize("loader-test.jpg"),
+          preset: null,
+        },
+      ],
+      "plugin-test.jpg": [
+        {
+          url: "/static/plugin-test.jpg",
+          name: "plugin-test.jpg",
+          format: "jpg",
+          type: "image/jpeg",
+          width: 1,
+          height: 1,
+          size: getSize("plugin-test.jpg"),
+          preset: null,
+        },
+        {
+          url: "/static/plugin-test.webp",
+          name: "plugin-test.webp",
+          format: "webp",
+          type: "image/webp",
+          width: 1,
+          height: 1,
+          size: getSize("plugin-test.webp"),
+          preset: "webp",
+        },
+      ],
+    });
+  });
+
+  it("should emit the manifest with a custom filename and the preset of the loader", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./generator.js"),
+        imageminPluginOptions: {
+          manifest: "manifests/images.json",
+          generator: [
+            {
+              preset: "webp",
+              implementation: ImageMinimizerPlugin.sharpGenerate,
+              options: {
+                encodeOptions: {
+                  webp: {},
+                },
+              },
+            },
+          ],
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+    const manifest = JSON.parse(
+      readAsset("manifests/images.json", compiler, stats).toString(),
+    );
+
+    expect(Object.keys(manifest)).toEqual(["loader-test.png"]);
+    expect(manifest["loader-test.png"]).toEqual([
+      expect.objectContaining({
+        url: "loader-test.webp",
+        format: "webp",
+        preset: "webp",
+      }),
+    ]);
+  });
+
+  it("should list only minimized and generated images with URLs relative to the manifest with the 'auto' public path", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./memory-limit.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        imageminPluginOptions: {
+          manifest: "manifests/images.json",
+          test: /\.png$/,
+          minimizer: {
+            implementation: ImageMinimizerPlugin.sharpMinify,
+          },
+        },
+      },
+      true,
+    );
+
+    compiler.options.output.publicPath = "auto";
+
+    const stats = await compile(compiler);
+    const { compilation } = stats;
+
+    expect(compilation.assets["loader-test.jpg"]).toBeDefined();
+
+    const manifest = JSON.parse(
+      readAsset("manifests/images.json", compiler, stats).toString(),
+    );
+
+    expect(Object.keys(manifest)).toEqual(["loader-test.png"]);
+    expect(manifest["loader-test.png"]).toEqual([
+      expect.objectContaining({ url: "../loader-test.png", format: "png" }),
+    ]);
+  });
+});
@@ -0,0 +1,39 @@
+import path from "path";
+import ImageMinimizerPlugin from "../src";
+
+import { runWebpack, fixturesPath } from "./helpers";
+
+jest.setTimeout(20000);
+
+describe("plugin memoryLimit option", () => {
+  it("should process images which are larger than the memory limit one by one", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./memory-limit.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      imageminPluginOptions: {
+        loader: false,
+        memoryLimit: 1,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+        },
+      },
+    });
+    const { compilation } = stats;
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(0);
+
+    const minimized = compilation
+      .getAssets()
+      .filter(({ info }) => info.minimized)
+      .map(({ name }) => name)
+      .sort();
+
+    expect(minimized).toEqual([
+      "loader-test.gif",
+      "loader-test.jpg",
+      "loader-test.png",
+    ]);
+  });
+});
@@ -4,7 +4,9 @@ import fileType from "file-type";
 import ImageMinimizerPlugin from "../src";
 
 import {
+  compile,
   fixturesPath,
+  readAsset,
   runWebpack,
   isOptimized,
   plugins,
@@ -734,4 +736,159 @@ describe("plugin minify option", () => {
     expect(warnings).toHaveLength(0);
     expect(errors).toHaveLength(0);
   });
+
+  it("should emit each result of the minimizer as own asset", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./empty-entry.js"),
+      emitPlugin: true,
+      imageminPluginOptions: {
+        deleteOriginalAssets: true,
+        minimizer: {
+          implementation: (original) =>
+            ["top", "bottom"].map((tile) => ({
+              filename: original.filename.replace(/\.jpg$/, `-${tile}.jpg`),
+              data: original.data,
+              warnings: [new Error(`Warning for ${tile}`)],
+              errors: [],
+              info: { ...original.info, minimized: true, tile },
+            })),
+          filename: "tiles/[name][ext]",
+        },
+      },
+    });
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(compilation.getAsset("plugin-test.jpg")).toBeUndefined();
+    expect(compilation.getAsset("tiles/plugin-test-top.jpg").info.tile).toBe(
+      "top",
+    );
+    expect(compilation.getAsset("tiles/plugin-test-bottom.jpg").info.tile).toBe(
+      "bottom",
+    );
+    expect(warnings).toHaveLength(2);
+    expect(errors).toHaveLength(0);
+  });
+
+  it("should cache results of each minimizer and apply only changed minimizers", async () => {
+    const calls = { first: 0, last: 0 };
+    const lastOptions = { suffix: "a" };
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        copyPlugin: true,
+        imageminPluginOptions: {
+          minimizer: [
+            {
+              implementation: (original) => {
+                calls.first += 1;
+
+                return Promise.resolve({
+                  ...original,
+                  data: Buffer.from("first"),
+                  info: { ...original.info, minimized: true },
+                });
+              },
+              filename: "[name]-minimized[ext]",
+            },
+            {
+              implementation: (original, options) => {
+                calls.last += 1;
+
+                return Promise.resolve({
+                  ...original,
+                  data: Buffer.concat([
+                    original.data,
+                    Buffer.from(options.suffix),
+                  ]),
+                });
+              },
+              options: lastOptions,
+            },
+          ],
+        },
+      },
+      true,
+    );
+
+    for (const suffix of ["a", "a", "b"]) {
+      lastOptions.suffix = suffix;
+
+      // eslint-disable-next-line no-await-in-loop
+      const stats = await compile(compiler);
+      const { compilation } = stats;
+
+      expect(compilation.warnings).toHaveLength(0);
+      expect(compilation.errors).toHaveLength(0);
+      expect(
+        readAsset("plugin-test-minimized.jpg", compiler, stats).toString(),
+      ).toBe(`first${suffix}`);
+    }
+
+    expect(calls).toEqual({ first: 1, last: 2 });
+  });
+
+  it("should use the cache key of the implementation in the cache", async () => {
+    const config = { suffix: "a" };
+    let calls = 0;
+    const implementation = (original) => {
+      calls += 1;
+
+      return Promise.resolve({
+        ...original,
+        data: Buffer.from(config.suffix),
+      });
+    };
+
+    implementation.cacheKey = () => config.suffix;
+
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        copyPlugin: true,
+        imageminPluginOptions: { minimizer: { implementation } },
+      },
+      true,
+    );
+
+    for (const suffix of ["a", "a", "b"]) {
+      config.suffix = suffix;
+
+      // eslint-disable-next-line no-await-in-loop
+      const stats = await compile(compiler);
+
+      expect(stats.compilation.errors).toHaveLength(0);
+      expect(readAsset("plugin-test.jpg", compiler, stats).toString()).toBe(
+        suffix,
+      );
+    }
+
+    expect(calls).toBe(2);
+  });
+
+  it("should use the cache key of the implementation in the identifier of the loader", async () => {
+    const getLoaderIdent = async (cacheKey) => {
+      const implementation = (original) => Promise.resolve(original);
+
+      implementation.cacheKey = () => cacheKey;
+
+      const compiler = await runWebpack(
+        {
+          entry: path.join(fixturesPath, "./empty-entry.js"),
+          imageminPluginOptions: { minimizer: { implementation } },
+        },
+        true,
+      );
+
+      return compiler.options.module.rules.find(
+        (rule) => rule.enforce === "pre",
+      ).use[0].ident;
+    };
+
+    const ident = await getLoaderIdent("a");
+
+    expect(ident).toMatch(/^ImageMinimizerPlugin\|/);
+    await expect(getLoaderIdent("a")).resolves.toBe(ident);
+    await expect(getLoaderIdent("b")).resolves.not.toBe(ident);
+  });
 });
@@ -0,0 +1,158 @@
+import path from "path";
+import ImageMinimizerPlugin from "../src";
+
+import { runWebpack, fixturesPath, readModuleSource } from "./helpers";
+
+jest.setTimeout(20000);
+
+describe("plugin palette option", () => {
+  it("should store the dominant color and the palette in the asset info", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./simple.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      imageminPluginOptions: {
+        palette: true,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+        },
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+
+    const { info } = compilation.getAsset("loader-test.jpg");
+
+    expect(info.minimized).toBe(true);
+    expect(info.dominantColor).toBe("#ffffff");
+    expect(info.palette).toEqual(["#ffffff"]);
+  });
+
+  it("should store the palette with the specified number of colors in the asset info of generated assets", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./empty-entry.js"),
+      copyPlugin: true,
+      imageminPluginOptions: {
+        palette: 3,
+        generator: [
+          {
+            type: "asset",
+            implementation: ImageMinimizerPlugin.sharpGenerate,
+            options: {
+              encodeOptions: {
+                webp: {},
+              },
+            },
+          },
+        ],
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+
+    const { info } = compilation.getAsset("plugin-test.webp");
+
+    expect(info.generated).toBe(true);
+    expect(info.dominantColor).toMatch(/^#[\da-f]{6}$/);
+    expect(info.palette[0]).toBe(info.dominantColor);
+  });
+
+  it("should extract colors once for all results of the image", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./empty-entry.js"),
+      copyPlugin: true,
+      imageminPluginOptions: {
+        palette: true,
+        generator: [
+          {
+            type: "asset",
+            implementation: ImageMinimizerPlugin.sharpGenerate,
+            options: {
+              encodeOptions: {
+                webp: {},
+                png: {},
+              },
+            },
+          },
+        ],
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+
+    const webpInfo = compilation.getAsset("plugin-test.webp").info;
+    const pngInfo = compilation.getAsset("plugin-test.png").info;
+
+    expect(webpInfo.dominantColor).toMatch(/^#[\da-f]{6}$/);
+    expect(pngInfo.dominantColor).toBe(webpInfo.dominantColor);
+    expect(pngInfo.palette).toBe(webpInfo.palette);
+  });
+
+  it("should report a warning and keep the result when colors can't be extracted", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./loader-corrupted.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      imageminPluginOptions: {
+        test: /test-corrupted\.jpg$/,
+        palette: true,
+        minimizer: {
+          implementation: (original) => ({
+            ...original,
+            info: { ...original.info, minimized: true },
+          }),
+        },
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(errors).toHaveLength(0);
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0].message).toMatch(/Error with 'test-corrupted\.jpg'/);
+
+    const { info } = compilation.getAsset("test-corrupted.jpg");
+
+    expect(info.minimized).toBe(true);
+    expect(info.dominantColor).toBeUndefined();
+  });
+
+  it("should export the dominant color and the palette using the 'palette' query", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./palette-query.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      imageminPluginOptions: {
+        palette: 2,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+        },
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+    expect(readModuleSource("loader-test.png?palette", stats)).toMatchSnapshot(
+      "from option",
+    );
+    expect(
+      readModuleSource("loader-test.gif?palette=3", stats),
+    ).toMatchSnapshot("from query");
+  });
+});
@@ -0,0 +1,152 @@
+import path from "path";
+
+import HtmlWebpackPlugin from "html-webpack-plugin";
+
+import ImageMinimizerPlugin from "../src";
+
+import { compile, fixturesPath, readAsset, runWebpack } from "./helpers";
+
+const generator = [
+  {
+    type: "asset",
+    implementation: ImageMinimizerPlugin.sharpGenerate,
+    filter: (source, sourcePath) => sourcePath.endsWith(".png"),
+    options: {
+      encodeOptions: {
+        avif: {},
+        webp: {},
+      },
+    },
+  },
+  {
+    preset: "webp",
+    implementation: ImageMinimizerPlugin.sharpGenerate,
+    filename: "generated-[name][ext]",
+    options: {
+      encodeOptions: {
+        webp: {},
+        avif: {},
+      },
+    },
+  },
+];
+
+class AddImageTagPlugin {
+  apply(compiler) {
+    compiler.hooks.compilation.tap("AddImageTagPlugin", (compilation) => {
+      HtmlWebpackPlugin.getHooks(compilation).alterAssetTagGroups.tap(
+        { name: "AddImageTagPlugin", stage: -1 },
+        (data) => {
+          data.bodyTags.push(
+            HtmlWebpackPlugin.createHtmlTagObject("img", {
+              src: "loader-test.png",
+              alt: "tag",
+            }),
+          );
+
+          return data;
+        },
+      );
+    });
+  }
+}
+
+describe("plugin picture option", () => {
+  it("should rewrite images with generated variants into the 'picture' element", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        htmlWebpackPluginOptions: {
+          template: path.join(fixturesPath, "./picture.html"),
+          inject: false,
+        },
+        imageminPluginOptions: {
+          picture: true,
+          deleteOriginalAssets: false,
+          generator,
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+    const { warnings, errors } = stats.compilation;
+    const html = readAsset("index.html", compiler, stats).toString();
+
+    expect(html).toContain(
+      '<picture><source type="image/avif" srcset="loader-test.avif"><source type="image/webp" srcset="loader-test.webp"><img src="loader-test.png" alt="png" width="500"></picture>',
+    );
+    expect(html).toContain(
+      '<picture><source type="image/avif" srcset="generated-loader-test.avif"><img src="generated-loader-test.webp" alt="webp"></picture>',
+    );
+    expect(html).toContain('\n    <img src="loader-test.gif" alt="gif">');
+    expect(html).toContain(
+      '\n    <img src="https://example.com/image.png" alt="external">',
+    );
+    expect(html).toContain(
+      '<picture>\n      <img src="loader-test.png" alt="picture">\n    </picture>',
+    );
+    expect(html).toContain(
+      '<!-- <img src="loader-test.png" alt="comment"> -->',
+    );
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+  });
+
+  it("should rewrite image tags added by other plugins", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        emitPlugin: true,
+        emitPluginOptions: { fileNames: ["loader-test.png"] },
+        htmlWebpackPluginOptions: {
+          templateContent: "<html><body></body></html>",
+        },
+        imageminPluginOptions: {
+          picture: true,
+          deleteOriginalAssets: false,
+          generator,
+        },
+      },
+      true,
+    );
+
+    new AddImageTagPlugin().apply(compiler);
+
+    const stats = await compile(compiler);
+    const { warnings, errors } = stats.compilation;
+    const html = readAsset("index.html", compiler, stats).toString();
+
+    expect(html).toContain(
+      '<picture><source type="image/avif" srcset="loader-test.avif"><source type="image/webp" srcset="loader-test.webp"><img src="loader-test.png" alt="tag"></picture>',
+    );
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+  });
+
+  it("should not rewrite images without the 'picture' option", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        htmlWebpackPluginOptions: {
+          template: path.join(fixturesPath, "./picture.html"),
+          inject: false,
+        },
+        imageminPluginOptions: {
+          deleteOriginalAssets: false,
+          generator,
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+    const html = readAsset("index.html", compiler, stats).toString();
+
+    expect(html).not.toContain("<source");
+  });
+});
@@ -0,0 +1,188 @@
+import path from "path";
+import ImageMinimizerPlugin from "../src";
+
+import { runWebpack, fixturesPath, readModuleSource } from "./helpers";
+
+jest.setTimeout(20000);
+
+describe("plugin placeholder option", () => {
+  it("should store placeholders in the asset info", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./simple.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      imageminPluginOptions: {
+        placeholder: ["thumbhash", "blurhash", "lqip"],
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+        },
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+
+    const { info } = compilation.getAsset("loader-test.jpg");
+
+    expect(info.minimized).toBe(true);
+    expect(info.placeholder).toEqual({
+      thumbhash: expect.any(String),
+      blurhash: expect.stringMatching(/^[\dA-Za-z#$%*+,-.:;=?@[\]^_{|}~]+$/),
+      lqip: expect.stringMatching(/^data:image\/webp;base64,/),
+    });
+    expect(Buffer.from(info.placeholder.thumbhash, "base64")).toHaveLength(24);
+    expect(info.placeholder.blurhash).toHaveLength(28);
+  });
+
+  it("should store placeholders in the asset info of generated assets", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./empty-entry.js"),
+      copyPlugin: true,
+      imageminPluginOptions: {
+        placeholder: "thumbhash",
+        generator: [
+          {
+            type: "asset",
+            implementation: ImageMinimizerPlugin.sharpGenerate,
+            options: {
+              encodeOptions: {
+                webp: {},
+              },
+            },
+          },
+        ],
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+
+    const { info } = compilation.getAsset("plugin-test.webp");
+
+    expect(info.generated).toBe(true);
+    expect(info.placeholder).toEqual({ thumbhash: expect.any(String) });
+  });
+
+  it("should generate placeholders once for all results of the image", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./empty-entry.js"),
+      copyPlugin: true,
+      imageminPluginOptions: {
+        placeholder: "thumbhash",
+        generator: [
+          {
+            type: "asset",
+            implementation: ImageMinimizerPlugin.sharpGenerate,
+            options: {
+              encodeOptions: {
+                webp: {},
+                png: {},
+              },
+            },
+          },
+        ],
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+
+    const webpInfo = compilation.getAsset("plugin-test.webp").info;
+    const pngInfo = compilation.getAsset("plugin-test.png").info;
+
+    expect(webpInfo.placeholder).toEqual({ thumbhash: expect.any(String) });
+    expect(pngInfo.placeholder).toBe(webpInfo.placeholder);
+  });
+
+  it("should report a warning and keep the result when a placeholder can't be generated", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./loader-corrupted.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      imageminPluginOptions: {
+        test: /test-corrupted\.jpg$/,
+        placeholder: "thumbhash",
+        minimizer: {
+          implementation: (original) => ({
+            ...original,
+            info: { ...original.info, minimized: true },
+          }),
+        },
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(errors).toHaveLength(0);
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0].message).toMatch(/Error with 'test-corrupted\.jpg'/);
+
+    const { info } = compilation.getAsset("test-corrupted.jpg");
+
+    expect(info.minimized).toBe(true);
+    expect(info.placeholder).toBeUndefined();
+  });
+
+  it("should export placeholders using the 'placeholder' query", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./placeholder-query.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      imageminPluginOptions: {
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+        },
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+    expect(
+      readModuleSource("loader-test.png?placeholder=thumbhash", stats),
+    ).toMatchSnapshot("thumbhash");
+    expect(
+      readModuleSource("loader-test.jpg?placeholder=blurhash", stats),
+    ).toMatchSnapshot("blurhash");
+    expect(readModuleSource("loader-test.gif?placeholder=lqip", stats)).toMatch(
+      /placeholder: "data:image\/webp;base64,/,
+    );
+    expect(
+      readModuleSource("plugin-test.jpg?placeholder", stats),
+    ).toMatchSnapshot("default");
+  });
+
+  it("should emit an error on unknown placeholder type in the query", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./placeholder-query-unknown.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      imageminPluginOptions: {
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+        },
+      },
+    });
+
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toMatch(
+      /Unknown placeholder type 'unknown', use one of 'thumbhash', 'blurhash', 'lqip'/,
+    );
+  });
+});
@@ -0,0 +1,156 @@
+import path from "path";
+import webpack from "webpack";
+import ImageMinimizerPlugin from "../src";
+
+import { compile, fixturesPath, runWebpack } from "./helpers";
+
+jest.setTimeout(20000);
+
+describe("plugin progress", () => {
+  it("should report progress of generated images with 'ProgressPlugin'", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        copyPlugin: true,
+        imageminPluginOptions: {
+          generator: [
+            {
+              type: "asset",
+              implementation: ImageMinimizerPlugin.sharpGenerate,
+              options: {
+                encodeOptions: {
+                  webp: {},
+                  avif: {},
+                },
+              },
+            },
+          ],
+        },
+      },
+      true,
+    );
+    const messages = [];
+
+    new webpack.ProgressPlugin((percentage, ...args) => {
+      if (args.includes("ImageMinimizerPlugin") && args.length > 3) {
+        messages.push(args);
+      }
+    }).apply(compiler);
+
+    const stats = await compile(compiler);
+
+    expect(stats.compilation.errors).toHaveLength(0);
+    expect(messages).toEqual([
+      [
+        "sealing",
+        "asset processing",
+        "ImageMinimizerPlugin",
+        "1/1 images",
+        "plugin-test.jpg → webp, avif",
+      ],
+      [
+        "sealing",
+        "asset processing",
+        "ImageMinimizerPlugin",
+        "1/1 images",
+        "plugin-test.jpg → webp, avif",
+      ],
+    ]);
+  });
+
+  it("should report progress of the loader with 'ProgressPlugin' when modules are built", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./memory-limit.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        imageminPluginOptions: {
+          minimizer: {
+            implementation: ImageMinimizerPlugin.sharpMinify,
+          },
+        },
+      },
+      true,
+    );
+    const messages = [];
+
+    new webpack.ProgressPlugin((percentage, ...args) => {
+      if (args.includes("ImageMinimizerPlugin") && args.length > 3) {
+        messages.push(args);
+      }
+    }).apply(compiler);
+
+    const stats = await compile(compiler);
+
+    expect(stats.compilation.errors).toHaveLength(0);
+    expect(messages).toEqual([
+      ["building", "finish", "ImageMinimizerPlugin", "3/3 images"],
+    ]);
+  });
+
+  it("should report failed images of the loader as processed", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./memory-limit.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        imageminPluginOptions: {
+          minimizer: {
+            implementation: ImageMinimizerPlugin.sharpMinify,
+            filename: (pathData) => {
+              if (pathData.filename.endsWith(".png")) {
+                throw new Error("Broken filename");
+              }
+
+              return "[name][ext]";
+            },
+          },
+        },
+      },
+      true,
+    );
+    const messages = [];
+
+    new webpack.ProgressPlugin((percentage, ...args) => {
+      if (args.includes("ImageMinimizerPlugin") && args.length > 3) {
+        messages.push(args);
+      }
+    }).apply(compiler);
+
+    const stats = await compile(compiler);
+
+    expect(stats.compilation.errors).toHaveLength(1);
+    expect(stats.compilation.errors[0].message).toMatch(/Broken filename/);
+    expect(messages).toEqual([
+      ["building", "finish", "ImageMinimizerPlugin", "3/3 images"],
+    ]);
+  });
+
+  it("should not report progress of the loader without 'ProgressPlugin'", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./memory-limit.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        imageminPluginOptions: {
+          minimizer: {
+            implementation: ImageMinimizerPlugin.sharpMinify,
+          },
+        },
+      },
+      true,
+    );
+    const messages = [];
+
+    compiler.hooks.infrastructureLog.tap("test", (name, type, args) => {
+      if (type === "status") {
+        messages.push(args);
+      }
+    });
+
+    const stats = await compile(compiler);
+
+    expect(stats.compilation.errors).toHaveLength(0);
+    expect(messages).toHaveLength(0);
+  });
+});
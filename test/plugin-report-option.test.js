@@ -0,0 +1,116 @@
+import path from "path";
+
+import ImageMinimizerPlugin from "../src";
+
+import { compile, fixturesPath, readAsset, runWebpack } from "./helpers";
+
+jest.setTimeout(20000);
+
+describe("plugin report option", () => {
+  it("should emit the report", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./simple.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        copyPlugin: true,
+        imageminPluginOptions: {
+          report: true,
+          minimizer: {
+            implementation: ImageMinimizerPlugin.sharpMinify,
+          },
+          generator: [
+            {
+              type: "asset",
+              implementation: ImageMinimizerPlugin.sharpGenerate,
+              options: {
+                encodeOptions: {
+                  webp: {},
+                },
+              },
+            },
+          ],
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+    const { compilation } = stats;
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(0);
+
+    const report = readAsset(
+      "image-minimizer-report.html",
+      compiler,
+      stats,
+    ).toString();
+
+    expect(report).toMatch(/^<!DOCTYPE html>/);
+    expect(report).toMatch(/2 images, 3 outputs: .+ saved in \d+ ms/);
+    expect(report).toMatch(
+      /<h2>loader-test.jpg<\/h2>[\s\S]+<td>minimized by sharp<\/td>[\s\S]+<li>.\/simple.js<\/li>/,
+    );
+    expect(report).toMatch(
+      /<td>plugin-test.webp<\/td>\n<td>webp<\/td>\n<td>1×1<\/td>\n<td class="number">353 bytes<\/td>/,
+    );
+    expect(report).toMatch(/<td>generated by sharp<\/td>/);
+    expect(
+      compilation.getAsset("image-minimizer-report.html").info.development,
+    ).toBe(true);
+  });
+
+  it("should emit the report with a custom filename and warnings", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        emitPlugin: true,
+        imageminPluginOptions: {
+          report: "reports/images.html",
+          minimizer: {
+            implementation: (original) => {
+              original.warnings.push(new Error("Image is <too> large"));
+
+              return {
+                ...original,
+                data: Buffer.from("minimized"),
+                info: {
+                  ...original.info,
+                  minimized: true,
+                  minimizedBy: ["custom"],
+                },
+              };
+            },
+          },
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+
+    expect(stats.compilation.warnings).toHaveLength(1);
+
+    const report = readAsset("reports/images.html", compiler, stats).toString();
+
+    expect(report).toMatch(/<section class="warning">\n<h2>plugin-test.jpg/);
+    expect(report).toMatch(/<td class="number">9 bytes<\/td>/);
+    expect(report).toMatch(/<td>minimized by custom<\/td>/);
+    expect(report).toMatch(/<li>Image is &lt;too&gt; large<\/li>/);
+  });
+
+  it("should not emit the report by default", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./empty-entry.js"),
+      emitPlugin: true,
+      imageminPluginOptions: {
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+        },
+      },
+    });
+
+    expect(
+      stats.compilation.getAsset("image-minimizer-report.html"),
+    ).toBeUndefined();
+  });
+});
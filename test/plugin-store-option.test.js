@@ -0,0 +1,200 @@
+import fs from "fs";
+import path from "path";
+
+import { Store } from "../src/store";
+
+import { compile, fixturesPath, readAsset, runWebpack } from "./helpers";
+
+jest.setTimeout(20000);
+
+describe("plugin store option", () => {
+  it("should read stored results", async () => {
+    const { temporaryDirectory } = await import("tempy");
+    const store = new Store(temporaryDirectory());
+    const results = [
+      {
+        filename: { suffix: ".webp" },
+        data: Buffer.from("webp"),
+        info: { width: 1, height: 1 },
+        warnings: [],
+      },
+      {
+        filename: { suffix: ".avif" },
+        data: Buffer.from("avif"),
+        info: { width: 1, height: 1 },
+        warnings: ["Warning"],
+      },
+    ];
+
+    await expect(store.get("abc")).resolves.toBeUndefined();
+
+    await store.set("abc", results);
+
+    await expect(store.get("abc")).resolves.toEqual(results);
+
+    await fs.promises.writeFile(store.getPath("abc"), "corrupted");
+
+    await expect(store.get("abc")).resolves.toBeUndefined();
+  });
+
+  it("should remove least recently used results when the store exceeds the maximum size", async () => {
+    const { temporaryDirectory } = await import("tempy");
+    const store = new Store(temporaryDirectory(), 150);
+    const item = { data: Buffer.alloc(40) };
+
+    await store.set("aaa", [item]);
+    await store.set("bbb", [item]);
+
+    const past = new Date(Date.now() - 60000);
+
+    await fs.promises.utimes(store.getPath("aaa"), past, past);
+    await fs.promises.utimes(store.getPath("bbb"), past, past);
+    // Reading updates the time of the last use
+    await expect(store.get("aaa")).resolves.toHaveLength(1);
+
+    await store.set("ccc", [item]);
+
+    await expect(store.get("aaa")).resolves.toHaveLength(1);
+    await expect(store.get("bbb")).resolves.toBeUndefined();
+    await expect(store.get("ccc")).resolves.toHaveLength(1);
+  });
+
+  it("should share results between compilers", async () => {
+    const { temporaryDirectory } = await import("tempy");
+    const storeDirectory = temporaryDirectory();
+    let calls = 0;
+    const implementation = (original) => {
+      calls += 1;
+
+      return Promise.resolve({
+        ...original,
+        data: Buffer.from("minimized"),
+        info: { ...original.info, minimized: true },
+      });
+    };
+
+    for (let i = 0; i < 2; i++) {
+      // eslint-disable-next-line no-await-in-loop
+      const compiler = await runWebpack(
+        {
+          entry: path.join(fixturesPath, "./simple.js"),
+          fileLoaderOff: true,
+          assetResource: true,
+          copyPlugin: true,
+          imageminPluginOptions: {
+            store: storeDirectory,
+            minimizer: { implementation },
+          },
+        },
+        true,
+      );
+      // eslint-disable-next-line no-await-in-loop
+      const stats = await compile(compiler);
+      const { compilation } = stats;
+
+      expect(compilation.warnings).toHaveLength(0);
+      expect(compilation.errors).toHaveLength(0);
+
+      for (const name of ["loader-test.jpg", "plugin-test.jpg"]) {
+        expect(readAsset(name, compiler, stats).toString()).toBe("minimized");
+        expect(compilation.getAsset(name).info.minimized).toBe(true);
+      }
+    }
+
+    // The imported image is minimized by the loader, the copied image is minimized by the plugin
+    expect(calls).toBe(2);
+  });
+
+  it("should share results between images with other names and store warnings", async () => {
+    const { temporaryDirectory } = await import("tempy");
+    const storeDirectory = temporaryDirectory();
+    let calls = 0;
+    const implementation = (original) => {
+      calls += 1;
+
+      return Promise.resolve({
+        ...original,
+        filename: original.filename.replace(/\.jpg$/, ".webp"),
+        data: Buffer.from("generated"),
+        info: { ...original.info, generated: true },
+        warnings: [new Error("Generated with a warning")],
+      });
+    };
+
+    for (const name of ["plugin-test.jpg", "images/hero.jpg"]) {
+      // eslint-disable-next-line no-await-in-loop
+      const compiler = await runWebpack(
+        {
+          entry: path.join(fixturesPath, "./empty-entry.js"),
+          emitPlugin: true,
+          imageminPluginOptions: {
+            store: { directory: storeDirectory },
+            generator: [{ type: "asset", preset: "webp", implementation }],
+          },
+        },
+        true,
+      );
+
+      if (name !== "plugin-test.jpg") {
+        compiler.hooks.thisCompilation.tap("test", (compilation) => {
+          compilation.hooks.processAssets.tap(
+            {
+              name: "test",
+              stage:
+                compiler.webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL,
+            },
+            () => {
+              const asset = compilation.getAsset("plugin-test.jpg");
+
+              compilation.deleteAsset("plugin-test.jpg");
+              compilation.emitAsset(name, asset.source, asset.info);
+            },
+          );
+        });
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      const stats = await compile(compiler);
+      const { compilation } = stats;
+      const webpName = name.replace(/\.jpg$/, ".webp");
+
+      expect(compilation.errors).toHaveLength(0);
+      expect(compilation.warnings).toHaveLength(1);
+      expect(compilation.warnings[0].message).toMatch(
+        "Generated with a warning",
+      );
+      expect(readAsset(webpName, compiler, stats).toString()).toBe("generated");
+      expect(compilation.getAsset(webpName).info.sourceFilename).toBe(name);
+    }
+
+    expect(calls).toBe(1);
+  });
+
+  it("should not store results with errors", async () => {
+    const { temporaryDirectory } = await import("tempy");
+    const storeDirectory = temporaryDirectory();
+    let calls = 0;
+    const implementation = () => {
+      calls += 1;
+
+      return Promise.reject(new Error("Failed"));
+    };
+
+    for (let i = 0; i < 2; i++) {
+      // eslint-disable-next-line no-await-in-loop
+      const stats = await runWebpack({
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        copyPlugin: true,
+        imageminPluginOptions: {
+          store: storeDirectory,
+          minimizer: { implementation },
+        },
+      });
+
+      expect(stats.compilation.errors).toHaveLength(1);
+    }
+
+    expect(calls).toBe(2);
+    await expect(fs.promises.readdir(storeDirectory)).resolves.toHaveLength(0);
+  });
+});
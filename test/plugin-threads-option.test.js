@@ -0,0 +1,198 @@
+import path from "path";
+import ImageMinimizerPlugin from "../src";
+
+import threadImplementation from "./fixtures/thread-implementation";
+import { compile, fixturesPath, readAsset, runWebpack } from "./helpers";
+
+jest.setTimeout(20000);
+
+/**
+ * @param {import("webpack").Compiler} compiler
+ * @param {import("webpack").Stats} stats
+ * @returns {Record<string, Buffer>}
+ */
+function readImages(compiler, stats) {
+  return Object.fromEntries(
+    stats.compilation
+      .getAssets()
+      .filter(({ name }) => /\.(jpe?g|png|webp|avif)$/i.test(name))
+      .map(({ name }) => [name, readAsset(name, compiler, stats)]),
+  );
+}
+
+describe("plugin threads option", () => {
+  it("should generate the same assets in threads as in the main thread", async () => {
+    /** @type {Record<string, Buffer>[]} */
+    const results = [];
+
+    for (const threads of [false, 2]) {
+      // eslint-disable-next-line no-await-in-loop
+      const compiler = await runWebpack(
+        {
+          entry: path.join(fixturesPath, "./empty-entry.js"),
+          copyPlugin: true,
+          imageminPluginOptions: {
+            threads,
+            palette: true,
+            generator: [
+              {
+                type: "asset",
+                implementation: ImageMinimizerPlugin.sharpGenerate,
+                filename: "[name]-[width]x[height][ext]",
+                options: {
+                  encodeOptions: {
+                    webp: {},
+                    avif: {},
+                  },
+                },
+              },
+            ],
+          },
+        },
+        true,
+      );
+      // eslint-disable-next-line no-await-in-loop
+      const stats = await compile(compiler);
+      const { compilation } = stats;
+
+      expect(compilation.warnings).toHaveLength(0);
+      expect(compilation.errors).toHaveLength(0);
+
+      const { info } = compilation.getAsset("plugin-test-1x1.avif");
+
+      expect(info.generated).toBe(true);
+      expect(info.dominantColor).toMatch(/^#[\da-f]{6}$/);
+
+      results.push(readImages(compiler, stats));
+    }
+
+    expect(Object.keys(results[1]).sort()).toEqual([
+      "plugin-test-1x1.avif",
+      "plugin-test-1x1.webp",
+    ]);
+    expect(results[1]).toEqual(results[0]);
+  });
+
+  it("should minimize imported images in threads", async () => {
+    /** @type {Record<string, Buffer>[]} */
+    const results = [];
+
+    for (const threads of [false, true]) {
+      // eslint-disable-next-line no-await-in-loop
+      const compiler = await runWebpack(
+        {
+          entry: path.join(fixturesPath, "./simple.js"),
+          fileLoaderOff: true,
+          assetResource: true,
+          imageminPluginOptions: {
+            threads,
+            minimizer: {
+              implementation: ImageMinimizerPlugin.sharpMinify,
+            },
+          },
+        },
+        true,
+      );
+      // eslint-disable-next-line no-await-in-loop
+      const stats = await compile(compiler);
+      const { compilation } = stats;
+
+      expect(compilation.warnings).toHaveLength(0);
+      expect(compilation.errors).toHaveLength(0);
+      expect(compilation.getAsset("loader-test.jpg").info.minimized).toBe(true);
+
+      results.push(readImages(compiler, stats));
+    }
+
+    expect(results[1]).toEqual(results[0]);
+  });
+
+  it("should run implementations in threads", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        copyPlugin: true,
+        imageminPluginOptions: {
+          threads: 2,
+          minimizer: {
+            implementation: threadImplementation,
+          },
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+    const { compilation } = stats;
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(0);
+
+    const { info } = compilation.getAsset("plugin-test.jpg");
+
+    expect(info.minimized).toBe(true);
+    expect(info.threadId).toEqual(expect.any(Number));
+    expect(info.threadId).not.toBe(0);
+  });
+
+  it("should run implementations which can't be loaded in threads in the main thread", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        copyPlugin: true,
+        imageminPluginOptions: {
+          threads: 2,
+          minimizer: {
+            implementation: (original) =>
+              Promise.resolve({
+                ...original,
+                data: Buffer.from("minimized"),
+              }),
+          },
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+    const { compilation } = stats;
+
+    expect(compilation.warnings).toHaveLength(1);
+    expect(compilation.warnings[0].message).toMatch(
+      /The 'implementation' implementation runs in the main thread, it is not exported from a module/,
+    );
+    expect(compilation.errors).toHaveLength(0);
+    expect(readAsset("plugin-test.jpg", compiler, stats).toString()).toBe(
+      "minimized",
+    );
+  });
+
+  it("should warn once for each implementation which runs in the main thread", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        emitPluginOptions: {
+          fileNames: ["plugin-test.jpg", "plugin-test.png"],
+        },
+        imageminPluginOptions: {
+          threads: 2,
+          test: /\.(jpe?g|png)$/i,
+          minimizer: {
+            implementation: ImageMinimizerPlugin.sharpMinify,
+            options: {
+              resize: { width: 10 },
+              sizeSuffix: (width) => `-${width}w`,
+            },
+          },
+        },
+      },
+      true,
+    );
+    const stats = await compile(compiler);
+    const { compilation } = stats;
+
+    expect(compilation.warnings).toHaveLength(1);
+    expect(compilation.warnings[0].message).toMatch(
+      /The 'sharpMinify' implementation runs in the main thread, its options can't be copied to a thread/,
+    );
+    expect(compilation.errors).toHaveLength(0);
+  });
+});
@@ -0,0 +1,137 @@
+import fs from "fs";
+import path from "path";
+
+import { fixturesPath, runWebpack } from "./helpers";
+
+jest.setTimeout(20000);
+
+describe("plugin in the watch mode", () => {
+  it("should abort running optimizations when the compiler is invalidated", async () => {
+    /** @type {AbortSignal[]} */
+    const signals = [];
+    let watching;
+
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./simple.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        imageminPluginOptions: {
+          loader: false,
+          minimizer: {
+            implementation: (original, options, { signal }) => {
+              signals.push(signal);
+
+              if (signals.length > 1) {
+                return Promise.resolve({
+                  ...original,
+                  data: Buffer.from("minimized"),
+                  info: { ...original.info, minimized: true },
+                });
+              }
+
+              // The first compilation is invalidated while the image is processed
+              return new Promise((resolve, reject) => {
+                signal.addEventListener("abort", () => reject(signal.reason));
+                watching.invalidate();
+              });
+            },
+          },
+        },
+      },
+      true,
+    );
+
+    /** @type {string[]} */
+    const debugMessages = [];
+
+    compiler.hooks.infrastructureLog.tap("test", (origin, type, args) => {
+      if (origin === "ImageMinimizerPlugin" && type === "debug") {
+        debugMessages.push(args.join(" "));
+      }
+    });
+
+    const stats = await new Promise((resolve, reject) => {
+      watching = compiler.watch({}, (error, result) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        resolve(result);
+      });
+    });
+
+    await new Promise((resolve) => {
+      watching.close(resolve);
+    });
+
+    const { compilation } = stats;
+
+    expect(compilation.warnings).toHaveLength(0);
+    expect(compilation.errors).toHaveLength(0);
+    expect(signals).toHaveLength(2);
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[1].aborted).toBe(false);
+    expect(compilation.getAsset("loader-test.jpg").info.minimized).toBe(true);
+    expect(debugMessages).toEqual([
+      "Processing of images is aborted, the compilation is invalidated",
+    ]);
+  });
+
+  it("should not emit the invalidated compilation when it is not built again", async () => {
+    /** @type {AbortSignal[]} */
+    const signals = [];
+    let watching;
+
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./simple.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        imageminPluginOptions: {
+          loader: false,
+          minimizer: {
+            implementation: (original, options, { signal }) => {
+              signals.push(signal);
+
+              // The suspended watcher doesn't start a new compilation
+              return new Promise((resolve, reject) => {
+                signal.addEventListener("abort", () => reject(signal.reason));
+                watching.suspend();
+                watching.invalidate();
+              });
+            },
+          },
+        },
+      },
+      true,
+    );
+
+    const stats = await new Promise((resolve, reject) => {
+      watching = compiler.watch({}, (error, result) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        resolve(result);
+      });
+    });
+
+    await new Promise((resolve) => {
+      watching.close(resolve);
+    });
+
+    const { compilation } = stats;
+
+    expect(signals).toHaveLength(1);
+    expect(signals[0].aborted).toBe(true);
+    expect(
+      compilation.getAsset("loader-test.jpg").info.minimized,
+    ).toBeUndefined();
+    await expect(
+      fs.promises.readdir(compilation.outputOptions.path),
+    ).resolves.toHaveLength(0);
+  });
+});
@@ -0,0 +1,127 @@
+import path from "path";
+import ImageMinimizerPlugin from "../src";
+
+import { runWebpack, compile, fixturesPath, readAsset } from "./helpers";
+
+jest.setTimeout(20000);
+
+describe("traced SVG (traceGenerate)", () => {
+  it("should inline traced SVG using the 'as' query", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./traced-query.js"),
+        fileLoaderOff: true,
+        assetResource: true,
+        imageminPluginOptions: {
+          generator: [
+            {
+              preset: "traced",
+              implementation: ImageMinimizerPlugin.traceGenerate,
+            },
+            {
+              preset: "traced-silhouette",
+              implementation: ImageMinimizerPlugin.traceGenerate,
+              options: {
+                colors: 1,
+                color: "#ccc",
+                size: 64,
+              },
+            },
+          ],
+        },
+      },
+      true,
+    );
+
+    const stats = await compile(compiler);
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+
+    const result = readAsset("bundle.js", compiler, stats).toString();
+    const dataURIs = [
+      ...result.matchAll(/"data:image\/svg\+xml,([^"]+)"/g),
+    ].map(([, data]) => decodeURIComponent(data));
+
+    expect(dataURIs).toHaveLength(2);
+
+    const traced = dataURIs.find((item) => item.includes('width="500"'));
+    const silhouette = dataURIs.find((item) => item.includes('width="20"'));
+
+    expect(traced).toMatch(/^<svg [^>]*height="500" viewBox="0 0 128 128"/);
+    expect(traced.match(/<path/g)).toHaveLength(3);
+    expect(silhouette).toMatch(/^<svg [^>]*height="18"/);
+    expect(silhouette.match(/<path fill="#ccc"/g)).toHaveLength(1);
+    expect(
+      Object.keys(compilation.assets).filter((name) => name.endsWith(".svg")),
+    ).toHaveLength(0);
+    expect(compilation.getAsset("loader-test.jpg")).toBeDefined();
+  });
+
+  it("should generate traced SVG asset", async () => {
+    const compiler = await runWebpack(
+      {
+        entry: path.join(fixturesPath, "./empty-entry.js"),
+        copyPlugin: true,
+        imageminPluginOptions: {
+          generator: [
+            {
+              type: "asset",
+              implementation: ImageMinimizerPlugin.traceGenerate,
+              options: {
+                colors: 2,
+                background: "#fff",
+              },
+            },
+          ],
+        },
+      },
+      true,
+    );
+
+    const stats = await compile(compiler);
+    const { compilation } = stats;
+    const { warnings, errors } = compilation;
+
+    expect(warnings).toHaveLength(0);
+    expect(errors).toHaveLength(0);
+
+    const asset = compilation.getAsset("plugin-test.svg");
+
+    expect(asset.info).toEqual(
+      expect.objectContaining({
+        generated: true,
+        generatedBy: ["trace"],
+        minimized: true,
+        minimizedBy: ["svgo"],
+      }),
+    );
+    expect(readAsset("plugin-test.svg", compiler, stats).toString()).toMatch(
+      /^<svg [^>]*width="1" height="1"[^>]*><rect width="100%" height="100%" fill="#fff"\/><\/svg>$/,
+    );
+  });
+
+  it("should emit an error on unsupported format", async () => {
+    const stats = await runWebpack({
+      entry: path.join(fixturesPath, "./svg-and-jpg.js"),
+      fileLoaderOff: true,
+      assetResource: true,
+      imageminPluginOptions: {
+        generator: [
+          {
+            type: "asset",
+            implementation: ImageMinimizerPlugin.traceGenerate,
+          },
+        ],
+      },
+    });
+
+    const { compilation } = stats;
+    const { errors } = compilation;
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toMatch(/Input file has an unsupported format/);
+  });
+});
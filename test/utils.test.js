@@ -1,4 +1,22 @@
-import { isAbsoluteURL, replaceFileExtension } from "../src/utils.js";
+import fs from "fs";
+import path from "path";
+
+import sharp from "sharp";
+
+import {
+  createImageDecoder,
+  estimateImageMemory,
+  getCacheIdentity,
+  getPackageVersions,
+  getTransformerPackages,
+  isAbsoluteURL,
+  replaceFileExtension,
+  sharpGenerate,
+  sharpMinify,
+  svgoMinify,
+  throttleAll,
+  traceGenerate,
+} from "../src/utils.js";
 
 describe("utils", () => {
   it("should distinguish between relative and absolute file paths", () => {
@@ -69,4 +87,224 @@ describe("utils", () => {
       "C:\\user/img.png",
     );
   });
+
+  it("should run tasks with limited concurrency and keep the order of results", async () => {
+    const started = [];
+    let running = 0;
+    let maxRunning = 0;
+    const tasks = [30, 10, 20, 0].map((delay, index) => () => {
+      started.push(index);
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+
+      return new Promise((resolve) => {
+        setTimeout(() => {
+          running -= 1;
+          resolve(index);
+        }, delay);
+      });
+    });
+
+    await expect(throttleAll(2, tasks)).resolves.toEqual([0, 1, 2, 3]);
+    expect(started).toEqual([0, 1, 2, 3]);
+    expect(maxRunning).toBe(2);
+  });
+
+  it("should start the largest tasks first and keep tasks in the memory limit", async () => {
+    const started = [];
+    let usedMemory = 0;
+    let maxUsedMemory = 0;
+    const memory = [10, 80, 20, 200, 60];
+    const tasks = memory.map((taskMemory, index) => () => {
+      started.push(index);
+      usedMemory += taskMemory;
+      maxUsedMemory = Math.max(maxUsedMemory, usedMemory);
+
+      return new Promise((resolve) => {
+        setTimeout(() => {
+          usedMemory -= taskMemory;
+          resolve(index);
+        }, 5);
+      });
+    });
+
+    await expect(
+      throttleAll(4, tasks, { memoryLimit: 100, memory }),
+    ).resolves.toEqual([0, 1, 2, 3, 4]);
+    // The task larger than the limit runs alone
+    expect(started[0]).toBe(3);
+    expect(started.slice(1, 3)).toEqual([1, 2]);
+    expect(started.slice(3)).toEqual([4, 0]);
+    expect(maxUsedMemory).toBe(200);
+  });
+
+  it("should throw an error on the invalid memory limit", () => {
+    expect(() => throttleAll(1, [], { memoryLimit: 0 })).toThrow(
+      /Expected 'memoryLimit' to be a number > 0/,
+    );
+  });
+
+  it("should estimate memory of decoded images", async () => {
+    const fixtures = path.resolve(__dirname, "fixtures");
+
+    await expect(
+      estimateImageMemory(
+        await fs.promises.readFile(path.join(fixtures, "loader-test.png")),
+      ),
+    ).resolves.toBe(500 * 500 * 4);
+    await expect(
+      estimateImageMemory(
+        await fs.promises.readFile(path.join(fixtures, "loader-test.gif")),
+      ),
+    ).resolves.toBe(20 * 18 * 4);
+    await expect(
+      estimateImageMemory(
+        await sharp({
+          create: {
+            width: 300,
+            height: 200,
+            channels: 3,
+            background: "#ff0000",
+          },
+        })
+          .avif()
+          .toBuffer(),
+      ),
+    ).resolves.toBe(300 * 200 * 4);
+    await expect(estimateImageMemory(Buffer.from("unknown"))).resolves.toBe(7);
+  });
+
+  it("should not start tasks after the signal is aborted", async () => {
+    const abortController = new AbortController();
+    const started = [];
+    const tasks = [0, 1, 2].map((index) => () => {
+      started.push(index);
+      abortController.abort();
+
+      return new Promise((resolve) => {
+        setTimeout(() => resolve(index), 5);
+      });
+    });
+
+    await expect(
+      throttleAll(1, tasks, { signal: abortController.signal }),
+    ).rejects.toThrow(/aborted/);
+    await new Promise((resolve) => {
+      setTimeout(resolve, 20);
+    });
+    expect(started).toEqual([0]);
+  });
+
+  it("should decode images once and keep results of transformers", async () => {
+    const fixtures = path.resolve(__dirname, "fixtures");
+
+    for (const filename of ["loader-test.png", "loader-test.jpg"]) {
+      // eslint-disable-next-line no-await-in-loop
+      const input = await fs.promises.readFile(path.join(fixtures, filename));
+      const decode = createImageDecoder(input);
+      const original = () => ({
+        data: input,
+        filename,
+        warnings: [],
+        errors: [],
+        info: {},
+      });
+      const transformers = [
+        (context) => sharpMinify(original(), {}, context),
+        (context) =>
+          sharpGenerate(
+            original(),
+            {
+              resize: { width: 50, unit: "percent" },
+              encodeOptions: { webp: {} },
+            },
+            context,
+          ),
+        (context) =>
+          sharpGenerate(
+            original(),
+            { encodeOptions: { avif: {}, png: {} } },
+            context,
+          ),
+      ];
+
+      for (const transformer of transformers) {
+        // eslint-disable-next-line no-await-in-loop
+        const [shared, separate] = await Promise.all([
+          transformer({ decode }),
+          transformer({}),
+        ]);
+
+        expect(shared).toEqual(separate);
+      }
+
+      expect(decode()).toBe(decode());
+      // eslint-disable-next-line no-await-in-loop
+      expect((await decode()).info).toEqual(
+        filename === "loader-test.png"
+          ? { width: 500, height: 500, channels: 4 }
+          : { width: 1, height: 1, channels: 3 },
+      );
+    }
+  });
+
+  it("should not decode animated images", async () => {
+    const input = await fs.promises.readFile(
+      path.resolve(__dirname, "fixtures", "animation-test.gif"),
+    );
+
+    await expect(createImageDecoder(input)()).resolves.toBeNull();
+  });
+
+  it("should return versions of packages of implementations", () => {
+    const sharpVersion = require("sharp/package.json").version;
+
+    expect(getPackageVersions({ implementation: sharpMinify })).toEqual({
+      sharp: sharpVersion,
+    });
+    expect(
+      getPackageVersions([
+        { implementation: sharpGenerate },
+        { implementation: svgoMinify },
+        { implementation: () => Promise.resolve(null) },
+      ]),
+    ).toEqual({
+      sharp: sharpVersion,
+      svgo: require("svgo/package.json").version,
+    });
+    expect(getPackageVersions({ implementation: traceGenerate })).toEqual({
+      sharp: sharpVersion,
+      svgo: require("svgo/package.json").version,
+    });
+    expect(
+      getTransformerPackages({ implementation: sharpGenerate })[0].path,
+    ).toBe(require.resolve("sharp/package.json"));
+  });
+
+  it("should identify implementations by the cache key and the version", () => {
+    const implementation = () => Promise.resolve(null);
+    const withCacheKey = Object.assign(() => Promise.resolve(null), {
+      cacheKey: (options) => `key-${options.quality}`,
+    });
+    const withVersion = Object.assign(() => Promise.resolve(null), {
+      version: "1.0.0",
+    });
+
+    expect(getCacheIdentity({ implementation })).toEqual({ implementation });
+    expect(
+      getCacheIdentity([
+        { implementation: withCacheKey, options: { quality: 50 } },
+        { implementation: withVersion, filename: "[name][ext]" },
+      ]),
+    ).toEqual([
+      {
+        implementation: { cacheKey: "key-50", version: undefined },
+        options: { quality: 50 },
+      },
+      {
+        implementation: { cacheKey: undefined, version: "1.0.0" },
+        filename: "[name][ext]",
+      },
+    ]);
+  });
 });
@@ -161,6 +161,26 @@ describe("validate loader options", () => {
       success: ["error"],
       failure: [true, false, {}, [], () => {}],
     },
+    placeholder: {
+      success: ["thumbhash", ["blurhash", "lqip"]],
+      failure: [true, "unknown", [], {}],
+    },
+    palette: {
+      success: [true, false, 8],
+      failure: [0, 1.5, "8", {}],
+    },
+    threads: {
+      success: [true, false, 2],
+      failure: [0, 1.5, "2", {}],
+    },
+    store: {
+      success: [false, { maxSize: 1024 }],
+      failure: ["", 1, { directory: "" }],
+    },
+    budgets: {
+      success: [[], [{ test: /hero/, format: "png", maxBytes: 150000 }]],
+      failure: [{}, [{ maxWidth: 0 }], [{ unknown: true }]],
+    },
     unknown: {
       success: [],
       failure: [1, true, false, "test", /test/, [], {}, { foo: "bar" }],
@@ -676,6 +676,435 @@ describe("validate plugin options", () => {
         },
       });
     }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        placeholder: "thumbhash",
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        placeholder: ["thumbhash", "blurhash", "lqip"],
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        placeholder: "unknown",
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        placeholder: [],
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        palette: true,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        palette: 8,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        palette: 0,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        palette: "8",
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        picture: true,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        picture: "true",
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        imageSet: true,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        imageSet: "true",
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        dimensions: true,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        dimensions: "true",
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        threads: true,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        threads: 4,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        threads: 0,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        threads: "4",
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+    expect(() => {
+      new ImageMinimizerPlugin({
+        memoryLimit: 1024 * 1024 * 1024,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        memoryLimit: 0,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        memoryLimit: "1gb",
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        store: true,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        store: "../.cache/images",
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        store: "",
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        store: 1,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        store: { directory: "../.cache/images", maxSize: 1024 },
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        store: { maxSize: -1 },
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        store: { unknown: true },
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        report: true,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        report: "reports/images.html",
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        report: "",
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        report: 1,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        manifest: true,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        manifest: "manifests/images.json",
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        manifest: "",
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        manifest: 1,
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        budgets: [{ test: /hero/, maxBytes: 150000, maxWidth: 2560 }],
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        budgets: [{ format: ["png", "webp"], maxBytes: 150000 }],
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).not.toThrow();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        budgets: [{ format: "" }],
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        budgets: [{ maxBytes: -1 }],
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        budgets: [{ maxWidth: 1.5 }],
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        budgets: [{ unknown: true }],
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
+
+    expect(() => {
+      new ImageMinimizerPlugin({
+        budgets: { maxBytes: 150000 },
+        minimizer: {
+          implementation: ImageMinimizerPlugin.sharpMinify,
+          options: {},
+        },
+      });
+    }).toThrowErrorMatchingSnapshot();
     /* eslint-enable no-new */
   });
 });
@@ -244,6 +244,31 @@ describe("minify", () => {
     expect(result.data.equals(input)).toBe(true);
   });
 
+  it("should create imagemin plugins once for the same options", async () => {
+    const filename = path.resolve(__dirname, "./fixtures/loader-test.jpg");
+    const input = await fs.readFile(filename);
+    const pluginPath = path.resolve(
+      __dirname,
+      "./fixtures/imagemin-counter.js",
+    );
+    // eslint-disable-next-line import/no-dynamic-require
+    const imageminCounter = require(pluginPath);
+    const options = { plugins: [pluginPath] };
+
+    for (let i = 0; i < 3; i++) {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await worker({
+        input,
+        filename,
+        transformer: { implementation: utils.imageminMinify, options },
+      });
+
+      expect(result.errors).toHaveLength(0);
+    }
+
+    expect(imageminCounter.created).toBe(1);
+  });
+
   it("should return original content and emit a error on invalid content (`String`)", async () => {
     const input = "Foo";
     const result = await worker({
@@ -925,4 +950,159 @@ describe("minify", () => {
       sourceFilename: filename,
     });
   });
+
+  it("should work when implementation returns multiple results", async () => {
+    const filename = path.resolve(__dirname, "./fixtures/loader-test.jpg");
+    const input = await fs.readFile(filename);
+    const result = await worker({
+      input,
+      filename: "image.jpg",
+      generateFilename: (_, info) => `tiles/${info.filename}`,
+      transformer: [
+        {
+          implementation: (original) => [
+            {
+              ...original,
+              filename: "image-1.jpg",
+              warnings: [new Error("First warning")],
+              info: { ...original.info, tile: 1 },
+            },
+            null,
+            {
+              ...original,
+              filename: "image-2.jpg",
+              warnings: [],
+              info: { ...original.info, tile: 2 },
+            },
+          ],
+          filename: "[name][ext]",
+        },
+        {
+          implementation: utils.sharpMinify,
+          options: {
+            encodeOptions: {
+              jpeg: {
+                quality: 90,
+              },
+            },
+          },
+        },
+      ],
+    });
+
+    expect(result).toHaveLength(2);
+    expect(result.map((item) => item.filename)).toEqual([
+      "tiles/image-1.jpg",
+      "tiles/image-2.jpg",
+    ]);
+    expect(result.map((item) => item.info.tile)).toEqual([1, 2]);
+    expect(result[0].warnings).toHaveLength(1);
+    expect(result[1].warnings).toHaveLength(0);
+
+    for (const item of result) {
+      expect(item.errors).toHaveLength(0);
+      expect(item.info.minimized).toBe(true);
+      expect(item.data.length).toBeLessThan(input.length);
+    }
+  });
+
+  it("should keep the original when implementation returns an empty array", async () => {
+    const filename = path.resolve(__dirname, "./fixtures/loader-test.jpg");
+    const input = await fs.readFile(filename);
+    const result = await worker({
+      input,
+      filename,
+      transformer: {
+        implementation: () => [],
+      },
+    });
+
+    expect(result.warnings).toHaveLength(0);
+    expect(result.errors).toHaveLength(0);
+    expect(result.data.equals(input)).toBe(true);
+  });
+
+  it("should return an error when multiple results have the same filename", async () => {
+    const filename = path.resolve(__dirname, "./fixtures/loader-test.jpg");
+    const input = await fs.readFile(filename);
+    const result = await worker({
+      input,
+      filename: "image.jpg",
+      transformer: {
+        implementation: (original) => [
+          { ...original, filename: "tile.jpg" },
+          { ...original, filename: "tile.jpg" },
+        ],
+      },
+    });
+
+    expect(result.filename).toBe("tile.jpg");
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0].message).toMatch(
+      /multiple results have the same 'tile.jpg' filename/,
+    );
+  });
+
+  it("should pass the signal to implementations and stop when the signal is aborted", async () => {
+    const filename = path.resolve(__dirname, "./fixtures/loader-test.jpg");
+    const input = await fs.readFile(filename);
+    const abortController = new AbortController();
+    const calls = [];
+
+    await expect(
+      worker({
+        input,
+        filename: "image.jpg",
+        signal: abortController.signal,
+        transformer: [
+          {
+            implementation: (original, options, { signal }) => {
+              calls.push(signal);
+              abortController.abort();
+
+              return original;
+            },
+          },
+          {
+            implementation: (original) => {
+              calls.push(null);
+
+              return original;
+            },
+          },
+        ],
+      }),
+    ).rejects.toThrow(/aborted/);
+    expect(calls).toEqual([abortController.signal]);
+  });
+
+  it("should not add the abort error to errors of the result", async () => {
+    const filename = path.resolve(__dirname, "./fixtures/loader-test.jpg");
+    const input = await fs.readFile(filename);
+    const abortController = new AbortController();
+
+    abortController.abort();
+
+    await expect(
+      utils.sharpMinify(
+        {
+          filename: "image.jpg",
+          data: input,
+          warnings: [],
+          errors: [],
+          info: {},
+        },
+        {},
+        { signal: abortController.signal },
+      ),
+    ).rejects.toThrow(/aborted/);
+    await expect(
+      worker({
+        input,
+        filename: "image.jpg",
+        signal: abortController.signal,
+        transformer: { implementation: utils.sharpMinify },
+      }),
+    ).rejects.toThrow(/aborted/);
+  });
 });
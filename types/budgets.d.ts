@@ -0,0 +1,44 @@
+export type Compiler = import("webpack").Compiler;
+export type AssetInfo = import("webpack").AssetInfo;
+export type Rules = import("./index").Rules;
+export type Budget = {
+  /**
+   * Names of images which are checked, all images are checked by default.
+   */
+  test?: import("./index").Rules | undefined;
+  /**
+   * Formats (extensions of names) of images which are checked, all formats are checked by default.
+   */
+  format?: string | string[] | undefined;
+  /**
+   * Maximum size of an image in bytes.
+   */
+  maxBytes?: number | undefined;
+  /**
+   * Maximum width of an image in pixels.
+   */
+  maxWidth?: number | undefined;
+};
+export type BudgetImage = {
+  filename: string;
+  data: Buffer;
+  info?: import("webpack").AssetInfo | undefined;
+};
+/**
+ * Budgets are checked for final images (results of the cache too), so changes of budgets don't need new processing,
+ * problems are reported as errors or warnings according to the `severityError` option.
+ * @param {Compiler} compiler
+ * @param {BudgetImage[]} images
+ * @param {Budget[] | undefined} budgets
+ * @param {string | undefined} severityError
+ * @returns {Promise<{ warnings: Error[], errors: Error[] }>}
+ */
+export function checkBudgets(
+  compiler: Compiler,
+  images: BudgetImage[],
+  budgets: Budget[] | undefined,
+  severityError: string | undefined,
+): Promise<{
+  warnings: Error[];
+  errors: Error[];
+}>;
@@ -0,0 +1,49 @@
+export type Manifest = import("./manifest").Manifest;
+export type ManifestVariant = import("./manifest").ManifestVariant;
+export type ComparedImage = {
+  sourceFilename: string;
+  format: string;
+  preset: string | null;
+  width: number | null;
+  height: number | null;
+  /**
+   * Name of the image in the first build.
+   */
+  before: string | null;
+  /**
+   * Name of the image in the second build.
+   */
+  after: string | null;
+  beforeSize: number;
+  afterSize: number;
+  delta: number;
+};
+export type ManifestComparison = {
+  added: ComparedImage[];
+  removed: ComparedImage[];
+  grown: ComparedImage[];
+  shrunk: ComparedImage[];
+  /**
+   * Number of images with the same size.
+   */
+  unchanged: number;
+  beforeSize: number;
+  afterSize: number;
+  delta: number;
+};
+/**
+ * Compares manifests of two builds (i.e. of the main branch and of a pull request) emitted by the `manifest` option.
+ * @param {Manifest} before
+ * @param {Manifest} after
+ * @returns {ManifestComparison}
+ */
+export function compareManifests(
+  before: Manifest,
+  after: Manifest,
+): ManifestComparison;
+/**
+ * Returns a summary of the comparison for comments of pull requests.
+ * @param {ManifestComparison} comparison
+ * @returns {string}
+ */
+export function getComparisonMarkdown(comparison: ManifestComparison): string;
@@ -0,0 +1,18 @@
+export type Compilation = import("webpack").Compilation;
+export type Insertion = {
+  position: number;
+  content: string;
+};
+/**
+ * Finds `background` declarations with images which have generated variants,
+ * the same declaration with `image-set()` is added after the original one, so browsers without `image-set()` use the original declaration.
+ * @param {Compilation} compilation
+ * @param {string} css
+ * @param {string} outputName
+ * @returns {Insertion[]}
+ */
+export function getImageSetInsertions(
+  compilation: Compilation,
+  css: string,
+  outputName: string,
+): Insertion[];
@@ -0,0 +1,50 @@
+export type Compilation = import("webpack").Compilation;
+export type ImageAsset = import("./variants").ImageAsset;
+export type Insertion = import("./css").Insertion;
+export type HtmlTagObject = {
+  tagName: string;
+  attributes: Record<string, string | boolean | undefined | null>;
+  voidTag: boolean;
+  innerHTML?: string | undefined;
+  meta?: Record<string, any> | undefined;
+};
+export type PictureSource = {
+  type: string;
+  srcset: string;
+};
+/**
+ * Wraps `<img>` with generated variants into `<picture>`, existing `<picture>`, comments and scripts are kept as is.
+ * @param {Compilation} compilation
+ * @param {string} html
+ * @param {string} outputName
+ * @returns {string}
+ */
+export function rewritePictures(
+  compilation: Compilation,
+  html: string,
+  outputName: string,
+): string;
+/**
+ * Replaces `<img>` tag objects with generated variants by `<picture>` tag objects.
+ * @param {Compilation} compilation
+ * @param {HtmlTagObject[]} tags
+ * @param {string} outputName
+ * @returns {HtmlTagObject[]}
+ */
+export function rewritePictureTags(
+  compilation: Compilation,
+  tags: HtmlTagObject[],
+  outputName: string,
+): HtmlTagObject[];
+/**
+ * Finds `<img>` without `width` or `height` attributes, the missing attribute is calculated from the aspect ratio of the image.
+ * @param {Compilation} compilation
+ * @param {string} html
+ * @param {string} outputName
+ * @returns {Promise<Insertion[]>}
+ */
+export function getImageSizeInsertions(
+  compilation: Compilation,
+  html: string,
+  outputName: string,
+): Promise<Insertion[]>;
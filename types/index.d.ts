@@ -17,6 +17,7 @@ declare class ImageMinimizerPlugin<T, G = T> {
    * @param {Compiler} compiler
    * @param {Compilation} compilation
    * @param {Record<string, Source>} assets
+   * @param {AbortSignal} [signal]
    * @returns {Promise<void>}
    */
   private optimize;
@@ -28,6 +29,34 @@ declare class ImageMinimizerPlugin<T, G = T> {
    * @private
    */
   private teardownAll;
+  /**
+   * Budgets are checked once after all images are processed, so images are checked in their final state.
+   * @private
+   * @param {Compiler} compiler
+   * @param {Compilation} compilation
+   * @returns {Promise<void>}
+   */
+  private reportBudgetProblems;
+  /**
+   * @private
+   * @param {Compiler} compiler
+   * @param {Compilation} compilation
+   * @param {Record<string, Source>} assets
+   */
+  private addImageSets;
+  /**
+   * @private
+   * @param {Compiler} compiler
+   * @param {Compilation} compilation
+   * @param {Record<string, Source>} assets
+   */
+  private addImageDimensions;
+  /**
+   * @private
+   * @param {Compiler} compiler
+   * @param {Compilation} compilation
+   */
+  private setupHtmlWebpackPlugin;
   /**
    * @param {import("webpack").Compiler} compiler
    */
@@ -44,6 +73,9 @@ declare namespace ImageMinimizerPlugin {
     sharpMinify,
     sharpGenerate,
     svgoMinify,
+    traceGenerate,
+    compareManifests,
+    getComparisonMarkdown,
     Schema,
     WebpackPluginInstance,
     Compiler,
@@ -55,6 +87,7 @@ declare namespace ImageMinimizerPlugin {
     Module,
     ImageminMinifyFunction,
     SquooshMinifyFunction,
+    PlaceholderType,
     Rule,
     Rules,
     FilterFn,
@@ -66,6 +99,8 @@ declare namespace ImageMinimizerPlugin {
     InferDefaultType,
     BasicTransformerOptions,
     ResizeOptions,
+    DecodedImage,
+    TransformerContext,
     BasicTransformerImplementation,
     BasicTransformerHelpers,
     TransformerFunction,
@@ -75,6 +110,8 @@ declare namespace ImageMinimizerPlugin {
     Minimizer,
     Generator,
     InternalWorkerOptions,
+    CachedStep,
+    StepCache,
     InternalLoaderOptions,
     PluginOptions,
   };
@@ -88,6 +125,9 @@ import { squooshGenerate } from "./utils.js";
 import { sharpMinify } from "./utils.js";
 import { sharpGenerate } from "./utils.js";
 import { svgoMinify } from "./utils.js";
+import { traceGenerate } from "./utils.js";
+import { compareManifests } from "./compare";
+import { getComparisonMarkdown } from "./compare";
 type Schema = import("schema-utils/declarations/validate").Schema;
 type WebpackPluginInstance = import("webpack").WebpackPluginInstance;
 type Compiler = import("webpack").Compiler;
@@ -99,6 +139,7 @@ type Source = import("webpack").sources.Source;
 type Module = import("webpack").Module;
 type ImageminMinifyFunction = typeof imageminMinify;
 type SquooshMinifyFunction = typeof squooshMinify;
+type PlaceholderType = import("./placeholder").PlaceholderType;
 type Rule = RegExp | string;
 type Rules = Rule[] | Rule;
 type FilterFn = (source: Buffer, sourcePath: string) => boolean;
@@ -125,9 +166,15 @@ type Task<T> = {
     | (WorkerResult & {
         source?: Source;
       })
+    | Array<
+        WorkerResult & {
+          source?: Source;
+        }
+      >
     | undefined;
   cacheItem: ReturnType<ReturnType<Compilation["getCache"]>["getItemCache"]>;
   transformer: Transformer<T> | Transformer<T>[];
+  stepCache?: StepCache | undefined;
 };
 type CustomOptions = {
   [key: string]: any;
@@ -140,13 +187,47 @@ type ResizeOptions = {
   unit?: "px" | "percent" | undefined;
   enabled?: boolean | undefined;
 };
+type DecodedImage = {
+  /**
+   * Raw pixels with interleaved channels.
+   */
+  data: Buffer;
+  info: {
+    width: number;
+    height: number;
+    channels: 1 | 2 | 3 | 4;
+  };
+  /**
+   * Metadata of the original image.
+   */
+  metadata: import("sharp").Metadata;
+};
+type TransformerContext = {
+  /**
+   * Aborted when results are not needed anymore, i.e. the compiler is invalidated in the watch mode.
+   */
+  signal?: AbortSignal | undefined;
+  /**
+   * Decodes the original image once for all transformers of the image, it is available only when the original image is transformed.
+   */
+  decode?: (() => Promise<DecodedImage | null>) | undefined;
+};
 type BasicTransformerImplementation<T> = (
   original: WorkerResult,
   options?: BasicTransformerOptions<T>,
-) => Promise<WorkerResult | null>;
+  context?: TransformerContext | undefined,
+) => Promise<WorkerResult | WorkerResult[] | null>;
 type BasicTransformerHelpers = {
   setup?: (() => void) | undefined;
   teardown?: (() => void) | undefined;
+  /**
+   * Identifies results of the implementation with the options in the cache instead of the source code of the implementation.
+   */
+  cacheKey?: ((options: any) => any) | undefined;
+  /**
+   * Identifies results of the implementation in the cache instead of the source code of the implementation.
+   */
+  version?: string | number | undefined;
 };
 type TransformerFunction<T> = BasicTransformerImplementation<T> &
   BasicTransformerHelpers;
@@ -174,6 +255,31 @@ type InternalWorkerOptions<T> = {
   transformer: Transformer<T> | Transformer<T>[];
   severityError?: string | undefined;
   generateFilename?: Function | undefined;
+  placeholder?: import("./placeholder").PlaceholderType[] | undefined;
+  palette?: number | undefined;
+  threads?: number | undefined;
+  signal?: AbortSignal | undefined;
+  decode?: (() => Promise<DecodedImage | null>) | undefined;
+  stepCache?: StepCache | undefined;
+  store?: import("./store").Store | undefined;
+  onStep?:
+    | ((
+        index: number,
+        result: WorkerResult,
+        filenameTemplate: undefined | string | FilenameFn,
+      ) => void)
+    | undefined;
+};
+type CachedStep = {
+  result: WorkerResult;
+  /**
+   * Index of the transformer with the filename template of the result.
+   */
+  filenameIndex?: number | undefined;
+};
+type StepCache = {
+  get: (transformers: Transformer<any>[]) => Promise<CachedStep | undefined>;
+  store: (transformers: Transformer<any>[], step: CachedStep) => Promise<void>;
 };
 type InternalLoaderOptions<T> = import("./loader").LoaderOptions<T>;
 type PluginOptions<T, G> = {
@@ -213,6 +319,10 @@ type PluginOptions<T, G> = {
    * Maximum number of concurrency optimization processes in one time.
    */
   concurrency?: number | undefined;
+  /**
+   * Maximum estimated memory (in bytes) of decoded images which are processed in one time.
+   */
+  memoryLimit?: number | undefined;
   /**
    * Allows to choose how errors are displayed.
    */
@@ -221,4 +331,47 @@ type PluginOptions<T, G> = {
    * Allows to remove original assets. Useful for converting to a `webp` and remove original assets.
    */
   deleteOriginalAssets?: boolean | undefined;
+  /**
+   * Allows to generate placeholders for images and store them in the asset info.
+   */
+  placeholder?:
+    | import("./placeholder").PlaceholderType
+    | import("./placeholder").PlaceholderType[]
+    | undefined;
+  /**
+   * Allows to extract the dominant color and the palette of images and store them in the asset info.
+   */
+  palette?: number | boolean | undefined;
+  /**
+   * Allows to add `image-set()` with generated `avif`/`webp` variants to `background` declarations of CSS assets.
+   */
+  imageSet?: boolean | undefined;
+  /**
+   * Allows to add missing `width` and `height` attributes to `<img>` in HTML assets.
+   */
+  dimensions?: boolean | undefined;
+  /**
+   * Allows to rewrite `<img>` with generated `avif`/`webp` variants into `<picture>` in HTML files of `html-webpack-plugin`.
+   */
+  picture?: boolean | undefined;
+  /**
+   * Allows to run minimizers and generators in worker threads.
+   */
+  threads?: number | boolean | undefined;
+  /**
+   * Allows to store results in a directory which is shared between projects and builds.
+   */
+  store?: string | boolean | import("./store").StoreOptions | undefined;
+  /**
+   * Allows to emit an HTML report with results of processing of images.
+   */
+  report?: string | boolean | undefined;
+  /**
+   * Allows to emit a JSON manifest which maps source images to all their images in the output.
+   */
+  manifest?: string | boolean | undefined;
+  /**
+   * Allows to limit sizes and widths of images, exceeded budgets are reported according to the `severityError` option.
+   */
+  budgets?: import("./budgets").Budget[] | undefined;
 };
@@ -14,6 +14,7 @@ declare namespace loader {
     raw,
     Schema,
     Compilation,
+    Compiler,
     WorkerResult,
     Minimizer,
     Generator,
@@ -23,6 +24,7 @@ declare namespace loader {
 declare var raw: boolean;
 type Schema = import("schema-utils/declarations/validate").Schema;
 type Compilation = import("webpack").Compilation;
+type Compiler = import("webpack").Compiler;
 type WorkerResult = import("./utils").WorkerResult;
 /**
  * <T>
@@ -45,4 +47,27 @@ type LoaderOptions<T> = {
     | import("./index").Minimizer<T>[]
     | undefined;
   generator?: import("./index").Generator<T>[] | undefined;
+  /**
+   * Allows to generate placeholders for images and store them in the asset info.
+   */
+  placeholder?:
+    | import("./placeholder").PlaceholderType
+    | import("./placeholder").PlaceholderType[]
+    | undefined;
+  /**
+   * Allows to extract the dominant color and the palette of images and store them in the asset info.
+   */
+  palette?: number | boolean | undefined;
+  /**
+   * Allows to run minimizers and generators in worker threads.
+   */
+  threads?: number | boolean | undefined;
+  /**
+   * Allows to store results in a directory which is shared between projects and builds.
+   */
+  store?: string | boolean | import("./store").StoreOptions | undefined;
+  /**
+   * Allows to limit sizes and widths of images.
+   */
+  budgets?: import("./budgets").Budget[] | undefined;
 };
@@ -0,0 +1,39 @@
+export type ManifestVariant = {
+  url: string;
+  name: string;
+  format: string;
+  type: string;
+  width: number | null;
+  height: number | null;
+  size: number;
+  preset: string | null;
+};
+export type Manifest = Record<string, ManifestVariant[]>;
+export type Compilation = import("webpack").Compilation;
+/** @typedef {import("webpack").Compilation} Compilation */
+export const DEFAULT_MANIFEST_FILENAME: "image-manifest.json";
+/**
+ * @typedef {Object} ManifestVariant
+ * @property {string} url
+ * @property {string} name
+ * @property {string} format
+ * @property {string} type
+ * @property {number | null} width
+ * @property {number | null} height
+ * @property {number} size
+ * @property {string | null} preset
+ */
+/**
+ * @typedef {Record<string, ManifestVariant[]>} Manifest
+ */
+/**
+ * Maps source images to all their images in the output, i.e. the minimized original and generated formats and sizes.
+ * Only images which are minimized or generated by the plugin are listed, like in the report.
+ * @param {Compilation} compilation
+ * @param {string} [filename] Name of the manifest, URLs are relative to it with the `auto` public path.
+ * @returns {Promise<Manifest>}
+ */
+export function getManifest(
+  compilation: Compilation,
+  filename?: string | undefined,
+): Promise<Manifest>;
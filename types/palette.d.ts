@@ -0,0 +1,33 @@
+export type SharpLib = typeof import("sharp");
+export type Sharp = import("sharp").Sharp;
+export type Palette = {
+  /**
+   * The most common color of the image.
+   */
+  dominantColor?: string | undefined;
+  /**
+   * Colors of the image sorted by population.
+   */
+  palette: string[];
+};
+export type Color = [number, number, number];
+/** @typedef {import("sharp")} SharpLib */
+/** @typedef {import("sharp").Sharp} Sharp */
+/**
+ * @typedef {Object} Palette
+ * @property {string} [dominantColor] The most common color of the image.
+ * @property {string[]} palette Colors of the image sorted by population.
+ */
+/** @typedef {[number, number, number]} Color */
+export const DEFAULT_PALETTE_COLORS: 5;
+/**
+ * Extracts the dominant color and the palette of an image, transparent pixels are ignored.
+ * The image is an encoded image or a pipeline of decoded pixels.
+ * @param {Buffer | Sharp} image
+ * @param {number} [colors]
+ * @returns {Promise<Palette>}
+ */
+export function extractPalette(
+  image: Buffer | Sharp,
+  colors?: number | undefined,
+): Promise<Palette>;
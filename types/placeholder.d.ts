@@ -0,0 +1,42 @@
+export type SharpLib = typeof import("sharp");
+export type Sharp = import("sharp").Sharp;
+export type PlaceholderType = "thumbhash" | "blurhash" | "lqip";
+export type RawImage = {
+  /**
+   * RGBA pixels.
+   */
+  data: Buffer;
+  width: number;
+  height: number;
+};
+/** @typedef {import("sharp")} SharpLib */
+/** @typedef {import("sharp").Sharp} Sharp */
+/**
+ * @typedef {"thumbhash" | "blurhash" | "lqip"} PlaceholderType
+ */
+/**
+ * @typedef {Object} RawImage
+ * @property {Buffer} data RGBA pixels.
+ * @property {number} width
+ * @property {number} height
+ */
+export const PLACEHOLDER_TYPES: string[];
+/**
+ * Generates a compact placeholder of an image, the image is an encoded image or a pipeline of decoded pixels.
+ * @param {Buffer | Sharp} image
+ * @param {PlaceholderType} type
+ * @returns {Promise<string>}
+ */
+export function generatePlaceholder(
+  image: Buffer | Sharp,
+  type: PlaceholderType,
+): Promise<string>;
+/**
+ * @param {Buffer | Sharp} image
+ * @param {PlaceholderType[]} types
+ * @returns {Promise<Partial<Record<PlaceholderType, string>>>}
+ */
+export function generatePlaceholders(
+  image: Buffer | Sharp,
+  types: PlaceholderType[],
+): Promise<Partial<Record<PlaceholderType, string>>>;
@@ -0,0 +1,94 @@
+export type Worker = import("worker_threads").Worker;
+export type WorkerResult = import("./index").WorkerResult;
+export type FilenameFn = import("./index").FilenameFn;
+export type ImplementationPath = {
+  /**
+   * Absolute path to a module.
+   */
+  path: string;
+  /**
+   * Name of the export, the module itself is the implementation when it is not specified.
+   */
+  name?: string | undefined;
+};
+export type ThreadTransformer = {
+  implementation: ImplementationPath;
+  options?: any;
+  /**
+   * Index of the transformer, filename templates are processed on the main thread.
+   */
+  filename?: number | undefined;
+};
+export type ThreadTask = {
+  id: number;
+  input: {
+    data: Uint8Array;
+    filename: string;
+    info: import("webpack").AssetInfo;
+    warnings: Error[];
+    errors: Error[];
+  };
+  transformers: ThreadTransformer[];
+  /**
+   * Results of steps are returned, so they can be cached on the main thread.
+   */
+  steps?: boolean | undefined;
+};
+export type ThreadResult = {
+  id: number;
+  results?:
+    | {
+        result: Omit<WorkerResult, "data"> & {
+          data: Uint8Array;
+        };
+        filenameTemplate: number | undefined;
+      }[]
+    | undefined;
+  steps?:
+    | {
+        index: number;
+        result: Omit<WorkerResult, "data"> & {
+          data: Uint8Array;
+        };
+        filenameTemplate: number | undefined;
+      }[]
+    | undefined;
+  error?: Error | undefined;
+};
+export type PendingTask = {
+  task: ThreadTask;
+  transferList: ArrayBuffer[];
+  resolve: (message: ThreadResult) => void;
+  reject: (error: Error) => void;
+  signal?: AbortSignal | undefined;
+};
+/**
+ * Runs transformers in a thread, returns `null` when transformers can't be loaded in a thread
+ * (i.e. implementations are not exported from a module or options contain functions), a warning is added to the first result of the implementation then.
+ * @template T
+ * @param {WorkerResult} result
+ * @param {import("./index").Transformer<T>[]} transformers
+ * @param {import("./index").InternalWorkerOptions<T>} options
+ * @param {number} threads
+ * @returns {Promise<import("./worker").TransformedResult<T>[] | null>}
+ */
+export function runInThread<T>(
+  result: WorkerResult,
+  transformers: import("./index").Transformer<T>[],
+  options: import("./index").InternalWorkerOptions<T>,
+  threads: number,
+): Promise<import("./worker").TransformedResult<T>[] | null>;
+/**
+ * `true` means one thread less than CPUs, the main thread is used by webpack.
+ * @param {boolean | number | undefined} threads
+ * @returns {number | undefined}
+ */
+export function getThreadsCount(
+  threads: boolean | number | undefined,
+): number | undefined;
+/**
+ * Buffers can be views of a shared memory (i.e. the pool of small buffers), such memory can't be transferred.
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function toTransferable(data: Uint8Array): Uint8Array;
@@ -0,0 +1,52 @@
+export type Compiler = import("webpack").Compiler;
+export type Compilation = import("webpack").Compilation;
+export type ReportProgress = (name: string, title: string) => () => void;
+/** @typedef {import("webpack").Compiler} Compiler */
+/** @typedef {import("webpack").Compilation} Compilation */
+/**
+ * @callback ReportProgress
+ * @param {string} name Name of the image.
+ * @param {string} title What is done with the image, i.e. formats of a generator.
+ * @returns {() => void} Reports that the image is processed.
+ */
+export const MINIMIZE_TITLE: "minimize";
+/**
+ * Formats are taken from `encodeOptions` of built-in generators, otherwise the name of the preset is used.
+ * @template T
+ * @param {import("./index").Transformer<T>} generator
+ * @returns {string}
+ */
+export function getGeneratorTitle<T>(
+  generator: import("./index").Transformer<T>,
+): string;
+/**
+ * Progress of the plugin is reported with the reporter of `ProgressPlugin`, it is available only inside of hooks of the plugin.
+ * @param {Compiler} compiler
+ * @param {number} total
+ * @returns {ReportProgress}
+ */
+export function createProgressReporter(
+  compiler: Compiler,
+  total: number,
+): ReportProgress;
+/**
+ * Images of the loader are counted while modules are built, the total number of images grows while new images are found.
+ * `ProgressPlugin` provides the reporter only inside of hooks which it intercepts, so images are reported when it is available
+ * and the result is reported by `reportLoaderProgress` when modules are built.
+ * @param {Compiler} compiler
+ * @param {Compilation} compilation
+ * @returns {ReportProgress}
+ */
+export function createLoaderProgressReporter(
+  compiler: Compiler,
+  compilation: Compilation,
+): ReportProgress;
+/**
+ * Reports the number of images processed by the loader, it is called in the `finishMake` hook, so the reporter of `ProgressPlugin` is available.
+ * @param {Compiler} compiler
+ * @param {Compilation} compilation
+ */
+export function reportLoaderProgress(
+  compiler: Compiler,
+  compilation: Compilation,
+): void;
@@ -0,0 +1,60 @@
+export type Compilation = import("webpack").Compilation;
+export type Module = import("webpack").Module;
+export type AssetInfo = import("webpack").AssetInfo;
+export type ReportOutput = {
+  name: string;
+  format: string;
+  originalSize: number;
+  processedSize: number;
+  /**
+   * The time is unknown for results from the cache.
+   */
+  processingTime?: number | undefined;
+  width?: number | undefined;
+  height?: number | undefined;
+  transformers: string[];
+};
+export type ReportImage = {
+  sourceFilename: string;
+  outputs: ReportOutput[];
+  warnings: string[];
+  /**
+   * Modules which import the image.
+   */
+  modules: string[];
+};
+/** @typedef {import("webpack").Compilation} Compilation */
+/** @typedef {import("webpack").Module} Module */
+/** @typedef {import("webpack").AssetInfo} AssetInfo */
+export const DEFAULT_REPORT_FILENAME: "image-minimizer-report.html";
+/**
+ * Warnings of the plugin are collected by images, warnings of the loader are taken from modules.
+ * @param {Compilation} compilation
+ * @param {string} sourceFilename
+ * @param {Error[]} warnings
+ */
+export function addImageWarnings(
+  compilation: Compilation,
+  sourceFilename: string,
+  warnings: Error[],
+): void;
+/**
+ * The same units as in stats of webpack.
+ * @param {number} size
+ * @returns {string}
+ */
+export function formatSize(size: number): string;
+/**
+ * Collects minimized and generated images of the compilation by their sources.
+ * @param {Compilation} compilation
+ * @returns {Promise<ReportImage[]>}
+ */
+export function getReportImages(
+  compilation: Compilation,
+): Promise<ReportImage[]>;
+/**
+ * The report is a single file without external resources, so it can be opened from CI artifacts.
+ * @param {Compilation} compilation
+ * @returns {Promise<string>}
+ */
+export function getReportHtml(compilation: Compilation): Promise<string>;
@@ -0,0 +1,95 @@
+export type Compilation = import("webpack").Compilation;
+export type AssetInfo = import("webpack").AssetInfo;
+export type ProcessingTotals = {
+  /**
+   * Number of source images.
+   */
+  count: number;
+  /**
+   * Number of minimized and generated images.
+   */
+  outputs: number;
+  /**
+   * Sum of sizes of source images, each source image is counted once.
+   */
+  originalSize: number;
+  /**
+   * Sum of sizes of minimized images of source images, the largest one when an image is minimized in several sizes, generated images are used only for sources without minimized images.
+   */
+  processedSize: number;
+  /**
+   * Time of processing of images in the compilation in milliseconds, results from the cache are not processed.
+   */
+  processingTime?: number | undefined;
+};
+export type CompilationProcessing = {
+  spans: Array<[number, number]>;
+  sources: Set<string>;
+};
+/**
+ * Images are processed by the loader while modules are built and by the plugin while assets are processed,
+ * the time of each phase is the time between the start of the first image and the end of the last image.
+ * @param {Compilation} compilation
+ * @param {number} startTime
+ * @param {number} endTime
+ * @param {Iterable<string>} sources Names of processed source images.
+ */
+export function addProcessing(
+  compilation: Compilation,
+  startTime: number,
+  endTime: number,
+  sources: Iterable<string>,
+): void;
+/**
+ * @param {Compilation} compilation
+ * @param {string} sourceFilename
+ * @returns {boolean}
+ */
+export function isProcessed(
+  compilation: Compilation,
+  sourceFilename: string,
+): boolean;
+/**
+ * @param {AssetInfo} info
+ * @returns {boolean}
+ */
+export function hasProcessingInfo(info: AssetInfo): boolean;
+/**
+ * @param {Compilation} compilation
+ * @returns {ProcessingTotals | undefined}
+ */
+export function getProcessingTotals(
+  compilation: Compilation,
+): ProcessingTotals | undefined;
+/**
+ * @param {number} time
+ * @returns {string}
+ */
+export function formatProcessingTime(time: number): string;
+/**
+ * @param {number} originalSize
+ * @param {number} processedSize
+ * @returns {string}
+ */
+export function formatSavings(
+  originalSize: number,
+  processedSize: number,
+): string;
+/**
+ * The time is not shown for results from the cache.
+ * @param {{ originalSize: number, processedSize: number, processingTime?: number }} sizes
+ * @param {(size: number) => string} formatSize
+ * @returns {string}
+ */
+export function formatProcessing(
+  {
+    originalSize,
+    processedSize,
+    processingTime,
+  }: {
+    originalSize: number;
+    processedSize: number;
+    processingTime?: number;
+  },
+  formatSize: (size: number) => string,
+): string;
@@ -0,0 +1,87 @@
+export type StoreOptions = {
+  /**
+   * Directory of stored results.
+   */
+  directory?: string | undefined;
+  /**
+   * Maximum size of the directory in bytes, least recently used results are removed.
+   */
+  maxSize?: number | undefined;
+};
+export type StoredItem = {
+  data: Buffer;
+} & Record<string, any>;
+/**
+ * @typedef {Object} StoreOptions
+ * @property {string} [directory] Directory of stored results.
+ * @property {number} [maxSize] Maximum size of the directory in bytes, least recently used results are removed.
+ */
+/**
+ * @typedef {{ data: Buffer } & Record<string, any>} StoredItem
+ */
+/**
+ * Results are stored as files named by the key, a file contains the length of the JSON header, the header with other properties of items,
+ * then data of items one after another.
+ */
+export class Store {
+  /**
+   * @param {string} directory
+   * @param {number} [maxSize]
+   */
+  constructor(directory: string, maxSize?: number | undefined);
+  directory: string;
+  maxSize: number;
+  /** @type {Promise<number> | undefined} */
+  size: Promise<number> | undefined;
+  /** @type {Promise<void> | undefined} */
+  pruning: Promise<void> | undefined;
+  /**
+   * @param {string} key
+   * @returns {string}
+   */
+  getPath(key: string): string;
+  /**
+   * Missing and unreadable files are ignored, results are optimized again.
+   * @param {string} key
+   * @returns {Promise<StoredItem[] | undefined>}
+   */
+  get(key: string): Promise<StoredItem[] | undefined>;
+  /**
+   * Results are written to a temporary file and renamed, so other builds never read partially written files.
+   * @param {string} key
+   * @param {StoredItem[]} items
+   * @returns {Promise<void>}
+   */
+  set(key: string, items: StoredItem[]): Promise<void>;
+  /**
+   * @returns {Promise<Array<{ filePath: string, size: number, mtimeMs: number }>>}
+   */
+  getFiles(): Promise<
+    Array<{
+      filePath: string;
+      size: number;
+      mtimeMs: number;
+    }>
+  >;
+  /**
+   * The size of the directory is read once, then it is increased by written files,
+   * when it exceeds the maximum size least recently used files are removed.
+   * @param {number} writtenSize
+   * @returns {Promise<void>}
+   */
+  prune(writtenSize: number): Promise<void>;
+}
+/**
+ * @param {boolean | string | StoreOptions} store
+ * @param {string} context
+ * @returns {Store}
+ */
+export function getStore(
+  store: boolean | string | StoreOptions,
+  context: string,
+): Store;
+/**
+ * @param {Buffer | string} data
+ * @returns {string}
+ */
+export function getHash(data: Buffer | string): string;
@@ -0,0 +1,2 @@
+export type ThreadTask = import("./pool").ThreadTask;
+export type ThreadResult = import("./pool").ThreadResult;
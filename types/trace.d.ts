@@ -0,0 +1,52 @@
+export type RawImage = {
+  /**
+   * RGBA pixels.
+   */
+  data: Buffer;
+  width: number;
+  height: number;
+};
+export type TraceSVGOptions = {
+  /**
+   * Number of posterized layers.
+   */
+  colors: number;
+  /**
+   * Fill of all layers, by default each layer uses the average color of its pixels.
+   */
+  color?: string | undefined;
+  /**
+   * Fill of the background, by default the background is transparent.
+   */
+  background?: string | undefined;
+  /**
+   * Paths with smaller area (in pixels) are dropped.
+   */
+  minArea: number;
+  /**
+   * Maximum distance (in pixels) between a traced and a simplified outline.
+   */
+  tolerance: number;
+  /**
+   * Width of the `svg` element, by default the width of the image.
+   */
+  outputWidth?: number | undefined;
+  /**
+   * Height of the `svg` element, by default the height of the image.
+   */
+  outputHeight?: number | undefined;
+};
+export type Point = [number, number];
+export type Bitmap = {
+  data: Uint8Array;
+  width: number;
+  height: number;
+};
+/**
+ * Vectorizes an image into posterized layers from the darkest to the lightest tones,
+ * every layer contains all pixels darker than its threshold, so layers are stacked from the largest one.
+ * @param {RawImage} image
+ * @param {TraceSVGOptions} options
+ * @returns {string}
+ */
+export function traceSVG(image: RawImage, options: TraceSVGOptions): string;
@@ -1,24 +1,32 @@
 export type WorkerResult = import("./index").WorkerResult;
 export type SquooshOptions = import("./index").SquooshOptions;
+export type TransformerContext = import("./index").TransformerContext;
+export type DecodedImage = import("./index").DecodedImage;
 export type ImageminOptions = import("imagemin").Options;
 export type WebpackError = import("webpack").WebpackError;
 export type Module = import("webpack").Module;
 export type AssetInfo = import("webpack").AssetInfo;
 export type Task<T> = () => Promise<T>;
-export type SvgoLib = typeof import("svgo");
-export type SvgoOptions = {
-  encodeOptions?: Omit<import("svgo").Config, "path" | "datauri"> | undefined;
+export type ThrottleOptions = {
+  /**
+   * Limit of the estimated memory (in bytes) of tasks that run at once.
+   */
+  memoryLimit?: number | undefined;
+  /**
+   * Estimated memory (in bytes) of each task.
+   */
+  memory?: number[] | undefined;
+  /**
+   * Not started tasks are skipped when the signal is aborted, the promise is rejected with the reason of the signal.
+   */
+  signal?: AbortSignal | undefined;
 };
-export type SvgoEncodeOptions = Omit<import("svgo").Config, "path" | "datauri">;
-export type Uint8ArrayUtf8ByteString = (
-  array: number[] | Uint8Array,
-  start: number,
-  end: number,
-) => string;
-export type StringToBytes = (string: string) => number[];
-export type MetaData = {
-  warnings: Array<Error>;
-  errors: Array<Error>;
+export type ImageMetadata = {
+  format?: string | undefined;
+  width?: number | undefined;
+  height?: number | undefined;
+  hasAlpha?: boolean | undefined;
+  isAnimated?: boolean | undefined;
 };
 export type SharpLib = typeof import("sharp");
 export type Sharp = import("sharp").Sharp;
@@ -43,14 +51,80 @@ export type SharpOptions = {
   encodeOptions?: SharpEncodeOptions | undefined;
 };
 export type SizeSuffix = (width: number, height: number) => string;
+export type SvgoLib = typeof import("svgo");
+export type SvgoOptions = {
+  encodeOptions?: Omit<import("svgo").Config, "path" | "datauri"> | undefined;
+};
+export type SvgoEncodeOptions = Omit<import("svgo").Config, "path" | "datauri">;
+export type TraceOptions = {
+  /**
+   * Number of posterized layers, `1` traces a silhouette.
+   */
+  colors?: number | undefined;
+  /**
+   * Fill of all layers, by default each layer uses the average color of its pixels.
+   */
+  color?: string | undefined;
+  /**
+   * Fill of the background, by default the background is transparent.
+   */
+  background?: string | undefined;
+  /**
+   * Maximum width and height of the traced bitmap, smaller values give less details and smaller SVG.
+   */
+  size?: number | undefined;
+  /**
+   * Paths with smaller area (in pixels of the traced bitmap) are dropped.
+   */
+  minArea?: number | undefined;
+  /**
+   * Maximum distance (in pixels of the traced bitmap) between the traced and the simplified outline.
+   */
+  tolerance?: number | undefined;
+  /**
+   * Options for `svgo`.
+   */
+  encodeOptions?: Omit<import("svgo").Config, "path" | "datauri"> | undefined;
+};
+export type Uint8ArrayUtf8ByteString = (
+  array: number[] | Uint8Array,
+  start: number,
+  end: number,
+) => string;
+export type StringToBytes = (string: string) => number[];
+export type MetaData = {
+  warnings: Array<Error>;
+  errors: Array<Error>;
+};
+export type PackageInfo = {
+  name: string;
+  version: string;
+  /**
+   * Path to `package.json` of the package.
+   */
+  path: string;
+};
+/**
+ * @typedef {Object} ThrottleOptions
+ * @property {number} [memoryLimit] Limit of the estimated memory (in bytes) of tasks that run at once.
+ * @property {number[]} [memory] Estimated memory (in bytes) of each task.
+ * @property {AbortSignal} [signal] Not started tasks are skipped when the signal is aborted, the promise is rejected with the reason of the signal.
+ */
 /**
  * Run tasks with limited concurrency.
+ * When the memory of tasks is known, the largest tasks are started first and tasks are started only when they fit into the memory limit,
+ * a task which is larger than the limit runs alone.
  * @template T
  * @param {number} limit - Limit of tasks that run at once.
  * @param {Task<T>[]} tasks - List of tasks to run.
+ * @param {ThrottleOptions} [options] - Memory of tasks and the limit of memory.
  * @returns {Promise<T[]>} A promise that fulfills to an array of the results
  */
-export function throttleAll<T>(limit: number, tasks: Task<T>[]): Promise<T[]>;
+export function throttleAll<T>(
+  limit: number,
+  tasks: Task<T>[],
+  options?: ThrottleOptions | undefined,
+): Promise<T[]>;
 /**
  * @param {string} url
  * @returns {boolean}
@@ -58,6 +132,8 @@ export function throttleAll<T>(limit: number, tasks: Task<T>[]): Promise<T[]>;
 export function isAbsoluteURL(url: string): boolean;
 /** @typedef {import("./index").WorkerResult} WorkerResult */
 /** @typedef {import("./index").SquooshOptions} SquooshOptions */
+/** @typedef {import("./index").TransformerContext} TransformerContext */
+/** @typedef {import("./index").DecodedImage} DecodedImage */
 /** @typedef {import("imagemin").Options} ImageminOptions */
 /** @typedef {import("webpack").WebpackError} WebpackError */
 /** @typedef {import("webpack").Module} Module */
@@ -72,6 +148,61 @@ export function isAbsoluteURL(url: string): boolean;
  * @returns {string} new filename `path/img.png` -> `path/img.webp`
  */
 export function replaceFileExtension(filename: string, ext: string): string;
+/**
+ * Reads metadata from the header of an image, `hasAlpha` and `isAnimated` are read by `sharp` (when it is installed),
+ * it also reads sizes of formats which are unknown for `image-size`.
+ * @param {Buffer} buffer
+ * @returns {Promise<ImageMetadata>}
+ */
+export function getImageMetadata(buffer: Buffer): Promise<ImageMetadata>;
+/**
+ * Estimates memory (in bytes) which is used by decoded pixels of an image, only the header of the image is read.
+ * @param {Buffer} buffer
+ * @returns {Promise<number>}
+ */
+export function estimateImageMemory(buffer: Buffer): Promise<number>;
+/**
+ * The image is decoded on the first call only.
+ * @param {Buffer} input
+ * @returns {() => Promise<DecodedImage | null>}
+ */
+export function createImageDecoder(
+  input: Buffer,
+): () => Promise<DecodedImage | null>;
+/**
+ * Packages of built-in implementations, packages of custom implementations are unknown.
+ * @template T
+ * @param {import("./index").Transformer<T> | import("./index").Transformer<T>[]} transformer
+ * @returns {PackageInfo[]}
+ */
+export function getTransformerPackages<T>(
+  transformer:
+    | import("./index").Transformer<T>
+    | import("./index").Transformer<T>[],
+): PackageInfo[];
+/**
+ * Versions of packages are a part of cache keys, so results are optimized again after packages are updated.
+ * @template T
+ * @param {import("./index").Transformer<T> | import("./index").Transformer<T>[]} transformer
+ * @returns {Record<string, string>}
+ */
+export function getPackageVersions<T>(
+  transformer:
+    | import("./index").Transformer<T>
+    | import("./index").Transformer<T>[],
+): Record<string, string>;
+/**
+ * Implementations with the `cacheKey` hook or the `version` property are identified by them instead of the source code,
+ * so changes of captured variables invalidate results and refactoring of implementations doesn't.
+ * @template T
+ * @param {import("./index").Transformer<T> | import("./index").Transformer<T>[]} transformer
+ * @returns {any}
+ */
+export function getCacheIdentity<T>(
+  transformer:
+    | import("./index").Transformer<T>
+    | import("./index").Transformer<T>[],
+): any;
 /**
  * @template T
  * @param fn {(function(): any) | undefined}
@@ -86,15 +217,24 @@ export function memoize<T>(fn: (() => any) | undefined): () => T;
 export function imageminNormalizeConfig<T>(
   imageminConfig: ImageminOptions,
 ): Promise<ImageminOptions>;
+/**
+ * Checks that plugins of the configuration are installed without importing them, so a missing plugin is reported once,
+ * when the configuration is loaded, instead of once per image.
+ * @param {ImageminOptions} imageminConfig
+ * @returns {void}
+ */
+export function imageminCheckConfig(imageminConfig: ImageminOptions): void;
 /**
  * @template T
  * @param {WorkerResult} original
  * @param {T} options
+ * @param {TransformerContext} [context]
  * @returns {Promise<WorkerResult | null>}
  */
 export function imageminMinify<T>(
   original: WorkerResult,
   options: T,
+  context?: import("./index").TransformerContext | undefined,
 ): Promise<WorkerResult | null>;
 /**
  * @template T
@@ -110,11 +250,13 @@ export function imageminGenerate<T>(
  * @template T
  * @param {WorkerResult} original
  * @param {T} options
+ * @param {TransformerContext} [context]
  * @returns {Promise<WorkerResult | null>}
  */
 export function squooshMinify<T>(
   original: WorkerResult,
   options: T,
+  context?: import("./index").TransformerContext | undefined,
 ): Promise<WorkerResult | null>;
 export namespace squooshMinify {
   export { squooshImagePoolSetup as setup };
@@ -124,11 +266,13 @@ export namespace squooshMinify {
  * @template T
  * @param {WorkerResult} original
  * @param {T} minifyOptions
+ * @param {TransformerContext} [context]
  * @returns {Promise<WorkerResult | null>}
  */
 export function squooshGenerate<T>(
   original: WorkerResult,
   minifyOptions: T,
+  context?: import("./index").TransformerContext | undefined,
 ): Promise<WorkerResult | null>;
 export namespace squooshGenerate {
   export { squooshImagePoolSetup as setup };
@@ -138,22 +282,26 @@ export namespace squooshGenerate {
  * @template T
  * @param {WorkerResult} original
  * @param {T} minimizerOptions
+ * @param {TransformerContext} [context]
  * @returns {Promise<WorkerResult | null>}
  */
 export function sharpMinify<T>(
   original: WorkerResult,
   minimizerOptions: T,
+  context?: import("./index").TransformerContext | undefined,
 ): Promise<WorkerResult | null>;
 /**
  * @template T
  * @param {WorkerResult} original
  * @param {T} minimizerOptions
- * @returns {Promise<WorkerResult | null>}
+ * @param {TransformerContext} [context]
+ * @returns {Promise<WorkerResult | WorkerResult[] | null>}
  */
 export function sharpGenerate<T>(
   original: WorkerResult,
   minimizerOptions: T,
-): Promise<WorkerResult | null>;
+  context?: import("./index").TransformerContext | undefined,
+): Promise<WorkerResult | WorkerResult[] | null>;
 /** @typedef {import("svgo")} SvgoLib */
 /**
  * @typedef SvgoOptions
@@ -165,14 +313,40 @@ export function sharpGenerate<T>(
  * @template T
  * @param {WorkerResult} original
  * @param {T} minimizerOptions
+ * @param {TransformerContext} [context]
  * @returns {Promise<WorkerResult | null>}
  */
 export function svgoMinify<T>(
   original: WorkerResult,
   minimizerOptions: T,
+  context?: import("./index").TransformerContext | undefined,
+): Promise<WorkerResult | null>;
+/**
+ * @typedef TraceOptions
+ * @type {object}
+ * @property {number} [colors] Number of posterized layers, `1` traces a silhouette.
+ * @property {string} [color] Fill of all layers, by default each layer uses the average color of its pixels.
+ * @property {string} [background] Fill of the background, by default the background is transparent.
+ * @property {number} [size] Maximum width and height of the traced bitmap, smaller values give less details and smaller SVG.
+ * @property {number} [minArea] Paths with smaller area (in pixels of the traced bitmap) are dropped.
+ * @property {number} [tolerance] Maximum distance (in pixels of the traced bitmap) between the traced and the simplified outline.
+ * @property {SvgoEncodeOptions} [encodeOptions] Options for `svgo`.
+ */
+/**
+ * @template T
+ * @param {WorkerResult} original
+ * @param {T} minimizerOptions
+ * @param {TransformerContext} [context]
+ * @returns {Promise<WorkerResult | null>}
+ */
+export function traceGenerate<T>(
+  original: WorkerResult,
+  minimizerOptions: T,
+  context?: import("./index").TransformerContext | undefined,
 ): Promise<WorkerResult | null>;
 /** @type {WeakMap<Module, AssetInfo>} */
 export const IMAGE_MINIMIZER_PLUGIN_INFO_MAPPINGS: WeakMap<Module, AssetInfo>;
+export const EXPORTS_QUERY_REGEX: RegExp;
 export const ABSOLUTE_URL_REGEX: RegExp;
 export const WINDOWS_PATH_REGEX: RegExp;
 declare function squooshImagePoolSetup(): void;
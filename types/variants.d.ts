@@ -0,0 +1,83 @@
+export type Compilation = import("webpack").Compilation;
+export type AssetInfo = import("webpack").AssetInfo;
+export type ImageAsset = {
+  name: string;
+  info: AssetInfo;
+};
+/** @typedef {import("webpack").Compilation} Compilation */
+/** @typedef {import("webpack").AssetInfo} AssetInfo */
+/**
+ * @typedef {Object} ImageAsset
+ * @property {string} name
+ * @property {AssetInfo} info
+ */
+export const MODERN_FORMATS: {
+  extension: string;
+  type: string;
+}[];
+/**
+ * @param {string} filename
+ * @returns {string | undefined}
+ */
+export function getMimeType(filename: string): string | undefined;
+/**
+ * @param {Compilation} compilation
+ * @param {string} url
+ * @param {string} outputName
+ * @returns {ImageAsset | undefined}
+ */
+export function resolveImage(
+  compilation: Compilation,
+  url: string,
+  outputName: string,
+): ImageAsset | undefined;
+/**
+ * Assets without the `sourceFilename` info (i.e. emitted by other plugins) are sources of their generated variants.
+ * @param {ImageAsset} asset
+ * @returns {string}
+ */
+export function getSourceFilename(asset: ImageAsset): string;
+/**
+ * Collects images by their source, the relationship is known from the `sourceFilename` info of assets.
+ * @param {Compilation} compilation
+ * @returns {Map<string, ImageAsset[]>}
+ */
+export function getImageVariants(
+  compilation: Compilation,
+): Map<string, ImageAsset[]>;
+/**
+ * Returns the generated variant of an image in a format, the image itself is returned when it has this format.
+ * @param {ImageAsset} image
+ * @param {Map<string, ImageAsset[]>} variants
+ * @param {string} extension
+ * @returns {ImageAsset | undefined}
+ */
+export function findVariant(
+  image: ImageAsset,
+  variants: Map<string, ImageAsset[]>,
+  extension: string,
+): ImageAsset | undefined;
+/**
+ * Builds URL of a variant from URL of the image, so the variant uses the same public path.
+ * @param {string} url
+ * @param {ImageAsset} image
+ * @param {ImageAsset} variant
+ * @returns {string}
+ */
+export function getVariantUrl(
+  url: string,
+  image: ImageAsset,
+  variant: ImageAsset,
+): string;
+/**
+ * @param {Compilation} compilation
+ * @param {ImageAsset} image
+ * @returns {Promise<{ width?: number, height?: number }>}
+ */
+export function getImageSize(
+  compilation: Compilation,
+  image: ImageAsset,
+): Promise<{
+  width?: number;
+  height?: number;
+}>;
@@ -2,13 +2,45 @@ export = worker;
 /**
  * @template T
  * @param {import("./index").InternalWorkerOptions<T>} options
- * @returns {Promise<WorkerResult>}
+ * @returns {Promise<WorkerResult | WorkerResult[]>}
  */
 declare function worker<T>(
   options: import("./index").InternalWorkerOptions<T>,
-): Promise<WorkerResult>;
+): Promise<WorkerResult | WorkerResult[]>;
 declare namespace worker {
-  export { WorkerResult, FilenameFn };
+  export {
+    transform,
+    TransformedResult,
+    WorkerResult,
+    FilenameFn,
+    DecodedImage,
+    ImageInfo,
+  };
 }
+/**
+ * Runs transformers, filename templates are processed later, so it can be run in threads.
+ * @template T
+ * @param {WorkerResult} result
+ * @param {import("./index").Transformer<T>[]} transformers
+ * @param {import("./index").InternalWorkerOptions<T>} options
+ * @returns {Promise<TransformedResult<T>[]>}
+ */
+declare function transform<T>(
+  result: WorkerResult,
+  transformers: import("./index").Transformer<T>[],
+  options: import("./index").InternalWorkerOptions<T>,
+): Promise<TransformedResult<T>[]>;
+type TransformedResult<T> = {
+  result: WorkerResult;
+  filenameTemplate: undefined | string | FilenameFn;
+};
 type WorkerResult = import("./index").WorkerResult;
 type FilenameFn = import("./index").FilenameFn;
+type DecodedImage = import("./index").DecodedImage;
+type ImageInfo = {
+  placeholder?:
+    | Partial<Record<import("./placeholder").PlaceholderType, string>>
+    | undefined;
+  dominantColor?: string | undefined;
+  palette?: string[] | undefined;
+};